@@ -6,6 +6,8 @@ import { PropertiesPanel } from './components/PropertiesPanel';
 import SketchControls from './components/SketchControls';
 import { SKETCH_MODES } from './core/SketchMode';
 import ImportExportControls from './components/ImportExportControls';
+import { SceneGraph } from './components/SceneGraph';
+import { HistoryPanel } from './components/HistoryPanel';
 
 function App() {
   const [selectedObject, setSelectedObject] = useState(null);
@@ -28,8 +30,37 @@ function App() {
   }, []);
   
   const handleSetSketchMode = useCallback((mode) => {
-    setSketchMode(mode);
     sceneManagerRef.current?.setSketchMode(mode);
+    // The mode may be refused, e.g. editing a sketch with nothing selected
+    setSketchMode(sceneManagerRef.current?.sketchMode.mode ?? mode);
+  }, []);
+
+  const handleEditSketch = useCallback(() => {
+    handleSetSketchMode(SKETCH_MODES.EDIT);
+  }, [handleSetSketchMode]);
+
+  const handleSetSketchOperation = useCallback((operation, revolveSettings) => {
+    sceneManagerRef.current?.sketchMode.setOperation(operation, revolveSettings);
+  }, []);
+
+  const handleSetSketchPlane = useCallback((plane, offset) => {
+    sceneManagerRef.current?.sketchMode.setWorkPlane(plane, offset);
+  }, []);
+
+  const handleApplyConstraint = useCallback((type) => {
+    sceneManagerRef.current?.sketchMode.applyConstraint(type);
+  }, []);
+
+  const handleSetSketchDimensions = useCallback((dimensions) => {
+    sceneManagerRef.current?.sketchMode.setTypedDimensions(dimensions);
+  }, []);
+
+  const handleSetEditTool = useCallback((tool) => {
+    sceneManagerRef.current?.sketchMode.setEditTool(tool);
+  }, []);
+
+  const handleApplyEditTool = useCallback((tool, size) => {
+    sceneManagerRef.current?.sketchMode.applyEditTool(tool, size);
   }, []);
 
   const handleSceneImport = useCallback((importedScene) => {
@@ -84,6 +115,7 @@ function App() {
             <div className="import-export-panel">
               <ImportExportControls 
                 scene={sceneRef.current}
+                sceneManager={sceneManagerRef.current}
                 onSceneImport={handleSceneImport}
               />
             </div>
@@ -91,6 +123,25 @@ function App() {
         </div>
         
         <main className="canvas-container" ref={canvasRef}>
+          {isSceneReady && (
+            <SketchControls 
+              activeMode={sketchMode}
+              onSetSketchMode={handleSetSketchMode}
+              onSetSketchOperation={handleSetSketchOperation}
+              onSetSketchPlane={handleSetSketchPlane}
+              onApplyConstraint={handleApplyConstraint}
+              onSetSketchDimensions={handleSetSketchDimensions}
+              onSetEditTool={handleSetEditTool}
+              onApplyEditTool={handleApplyEditTool}
+            />
+          )}
+          {isSceneReady && (
+            <SceneGraph
+              sceneManager={sceneManagerRef.current}
+              onEditSketch={handleEditSketch}
+            />
+          )}
+          {isSceneReady && <HistoryPanel sceneManager={sceneManagerRef.current} />}
           <Canvas3D 
             ref={canvasRef}
             onReady={handleCanvasReady}
@@ -101,6 +152,7 @@ function App() {
         
         <aside className="properties-panel">
           <PropertiesPanel 
+            sceneManager={sceneManagerRef.current}
             selectedObject={selectedObject}
             onUpdateObject={(updates) => {
               if (selectedObject) {
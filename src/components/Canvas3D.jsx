@@ -62,7 +62,8 @@ const Canvas3D = ({ onReady, onObjectSelect }) => {
       scene,
       camera,
       renderer,
-      domElement: renderer.domElement
+      domElement: renderer.domElement,
+      controls
     });
     mgrRef.current = sceneManager;
 
@@ -0,0 +1,173 @@
+import { useSceneSelector } from '../hooks/useSceneSelector';
+
+// What the panel shows of the history: its entries, how many are built and the selected object
+const readHistory = manager => (manager.history ? {
+  entries: manager.history.entries.map(entry => ({
+    id: entry.id,
+    name: entry.name || entry.type,
+    type: entry.type,
+    suppressed: entry.suppressed,
+    built: entry.built
+  })),
+  activeCount: manager.history.activeCount,
+  selectedId: manager.selectedObject?.uuid ?? null
+} : null);
+
+// Feature tree of the core scene manager: rollback, suppression and reordering of its history
+export const HistoryPanel = ({ sceneManager }) => {
+  const { entries, activeCount, selectedId } = useSceneSelector(sceneManager, readHistory) ||
+    { entries: [], activeCount: 0, selectedId: null };
+
+  if (!sceneManager?.history) return null;
+  const { history } = sceneManager;
+
+  const handleSelect = (entry) => {
+    const meta = sceneManager.objects.get(entry.id);
+    if (meta) sceneManager.selectObject(meta.mesh);
+  };
+
+  // Buttons must not select the row they sit on
+  const action = (handler) => (e) => {
+    e.stopPropagation();
+    handler();
+  };
+
+  const rollbackBar = (
+    <li key="rollback" style={rollbackStyle}>
+      <span style={{ flex: 1 }}>Rollback</span>
+      {activeCount < entries.length && (
+        <button onClick={() => history.rollbackTo(null)} style={buttonStyle} title="Build every feature">
+          To end
+        </button>
+      )}
+    </li>
+  );
+
+  return (
+    <div style={panelStyle}>
+      <h3>History</h3>
+      {entries.length === 0 ? (
+        <p>No features yet</p>
+      ) : (
+        <ul style={listStyle}>
+          {entries.flatMap((entry, index) => {
+            const rolledBack = index >= activeCount;
+            const row = (
+              <li
+                key={entry.id}
+                onClick={() => handleSelect(entry)}
+                style={{
+                  ...itemStyle,
+                  background: selectedId === entry.id ? 'rgba(0, 120, 215, 0.3)' : 'transparent',
+                  opacity: rolledBack || entry.suppressed ? 0.5 : 1
+                }}
+              >
+                <span style={indexStyle}>{index + 1}</span>
+                <span style={{
+                  flex: 1,
+                  textDecoration: entry.suppressed ? 'line-through' : 'none',
+                  color: !rolledBack && !entry.suppressed && !entry.built ? '#ff8080' : 'inherit'
+                }}>
+                  {entry.name}
+                </span>
+                <span style={typeStyle}>{entry.type}</span>
+                <button
+                  onClick={action(() => history.move(entry.id, index - 1))}
+                  disabled={index === 0}
+                  style={buttonStyle}
+                  title="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  onClick={action(() => history.move(entry.id, index + 1))}
+                  disabled={index === entries.length - 1}
+                  style={buttonStyle}
+                  title="Move down"
+                >
+                  ↓
+                </button>
+                <button
+                  onClick={action(() => history.setSuppressed(entry.id, !entry.suppressed))}
+                  style={buttonStyle}
+                  title={entry.suppressed ? 'Unsuppress' : 'Suppress'}
+                >
+                  {entry.suppressed ? 'On' : 'Off'}
+                </button>
+                <button
+                  onClick={action(() => history.rollbackTo(index + 1))}
+                  style={buttonStyle}
+                  title="Roll back to after this feature"
+                >
+                  ⤓
+                </button>
+              </li>
+            );
+            return index === activeCount - 1 && activeCount < entries.length ? [row, rollbackBar] : [row];
+          })}
+          {activeCount === 0 && rollbackBar}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Styles
+const panelStyle = {
+  position: 'absolute',
+  top: '10px',
+  right: '10px',
+  background: 'rgba(0, 0, 0, 0.7)',
+  color: 'white',
+  padding: '15px',
+  borderRadius: '4px',
+  width: '320px',
+  maxHeight: '45vh',
+  overflowY: 'auto',
+  zIndex: 10
+};
+
+const listStyle = {
+  listStyle: 'none',
+  padding: 0,
+  margin: 0,
+  marginTop: '10px'
+};
+
+const itemStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '4px',
+  padding: '4px 6px',
+  marginBottom: '2px',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+const indexStyle = {
+  width: '20px',
+  opacity: 0.6,
+  fontSize: '0.8em'
+};
+
+const typeStyle = {
+  fontSize: '0.8em',
+  opacity: 0.7,
+  marginRight: '4px'
+};
+
+const rollbackStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  padding: '2px 6px',
+  margin: '4px 0',
+  borderTop: '2px solid #ffaa00',
+  color: '#ffaa00',
+  fontSize: '0.8em'
+};
+
+const buttonStyle = {
+  padding: '1px 5px',
+  fontSize: '0.8em',
+  cursor: 'pointer'
+};
@@ -3,7 +3,7 @@ import SceneExporter from '../utils/SceneExporter';
 import SceneImporter from '../utils/SceneImporter';
 import { readFileAsText } from '../utils/fileUtils';
 
-const ImportExportControls = ({ scene, onSceneImport }) => {
+const ImportExportControls = ({ scene, sceneManager, onSceneImport }) => {
   const fileInputRef = useRef(null);
 
   const handleExport = () => {
@@ -16,6 +16,8 @@ const ImportExportControls = ({ scene, onSceneImport }) => {
     const filename = `scene-${timestamp}.json`;
     
     try {
+      // Objects keep their type and params in userData, so the manager can register them again on import
+      sceneManager?.syncUserData?.();
       const sceneJson = SceneExporter.exportScene(scene);
       const blob = new Blob([sceneJson], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
@@ -1,8 +1,55 @@
 import { useEffect, useState } from 'react';
 import { sceneManager } from '../three/SceneManager';
+import { getPrimitive } from '../core/primitiveRegistry';
+import { SCENE_EVENTS } from '../core/sceneEvents';
+import { shallowEqual, useSceneSelector } from '../hooks/useSceneSelector';
 
-export const PropertiesPanel = () => {
+// Object types with feature settings, and sketch objects whose dimensions can be edited
+const FEATURE_TYPES = ['Extruded', 'Revolved', 'Swept', 'Lofted', 'Boolean', 'Fillet', 'Chamfer', 'PushPull', 'Shell', 'Pattern', 'Mirror', 'Sketch'];
+
+// World axes a revolve can turn around, besides the lines of its sketch
+const REVOLVE_AXES = [
+  { value: 'x', label: 'X axis' },
+  { value: 'y', label: 'Y axis' },
+  { value: 'z', label: 'Z axis' }
+];
+
+// World vectors of a pattern, by its kind
+const PATTERN_VECTORS = {
+  linear: [{ key: 'direction', label: 'Direction' }],
+  circular: [{ key: 'axis', label: 'Axis' }, { key: 'center', label: 'Center' }]
+};
+
+// Numeric bevel settings shown when bevelling is enabled
+const BEVEL_FIELDS = [
+  { key: 'bevelThickness', label: 'Thickness', step: '0.05', min: '0' },
+  { key: 'bevelSize', label: 'Size', step: '0.05', min: '0' },
+  { key: 'bevelSegments', label: 'Segments', step: '1', min: '1' }
+];
+
+// What the panel shows of the selected object, as flat values compared with shallowEqual;
+// it re-renders when any of them changes
+const readSelection = manager => {
+  const object = manager.selectedObject || null;
+  const meta = (object && manager.getObjectMeta?.(object)) || null;
+  return {
+    object,
+    id: meta?.id,
+    type: meta?.type,
+    params: meta?.params,
+    transform: object
+      ? [...object.position.toArray(), ...object.rotation.toArray(), ...object.scale.toArray()].join()
+      : '',
+    color: object?.material?.color?.getHexString()
+  };
+};
+
+export const PropertiesPanel = ({ sceneManager: activeManager }) => {
+  const manager = activeManager || sceneManager;
   const [selectedObject, setSelectedObject] = useState(null);
+  const [feature, setFeature] = useState(null);
+  const [primitive, setPrimitive] = useState(null);
+  const [draft, setDraft] = useState(null); // { id, field, text } of the number field being typed in
   const [properties, setProperties] = useState({
     position: { x: 0, y: 0, z: 0 },
     rotation: { x: 0, y: 0, z: 0 },
@@ -10,42 +57,37 @@ export const PropertiesPanel = () => {
     color: '#ffffff'
   });
 
-  useEffect(() => {
-    const handleSelectionChange = () => {
-      const obj = sceneManager.selectedObject;
-      setSelectedObject(obj);
-      
-      if (obj) {
-        setProperties({
-          position: {
-            x: obj.position.x.toFixed(2),
-            y: obj.position.y.toFixed(2),
-            z: obj.position.z.toFixed(2)
-          },
-          rotation: {
-            x: (obj.rotation.x * (180 / Math.PI)).toFixed(2),
-            y: (obj.rotation.y * (180 / Math.PI)).toFixed(2),
-            z: (obj.rotation.z * (180 / Math.PI)).toFixed(2)
-          },
-          scale: {
-            x: obj.scale.x.toFixed(2),
-            y: obj.scale.y.toFixed(2),
-            z: obj.scale.z.toFixed(2)
-          },
-          color: obj.material.color.getHexString()
-        });
-      }
-    };
+  const selection = useSceneSelector(manager, readSelection, shallowEqual);
 
-    // Initial setup
-    handleSelectionChange();
-
-    // Listen for selection changes (you'll need to implement this in SceneManager)
-    // For now, we'll use a simple interval
-    const interval = setInterval(handleSelectionChange, 100);
+  // Show the selected object, again whenever the scene changes it
+  useEffect(() => {
+    const { object: obj, id, type, params } = selection;
+    setSelectedObject(obj);
     
-    return () => clearInterval(interval);
-  }, []);
+    setFeature(FEATURE_TYPES.includes(type) ? { id, type, ...params } : null);
+    setPrimitive(getPrimitive(type) ? { id, type, values: params } : null);
+    
+    if (obj) {
+      setProperties({
+        position: {
+          x: obj.position.x.toFixed(2),
+          y: obj.position.y.toFixed(2),
+          z: obj.position.z.toFixed(2)
+        },
+        rotation: {
+          x: (obj.rotation.x * (180 / Math.PI)).toFixed(2),
+          y: (obj.rotation.y * (180 / Math.PI)).toFixed(2),
+          z: (obj.rotation.z * (180 / Math.PI)).toFixed(2)
+        },
+        scale: {
+          x: obj.scale.x.toFixed(2),
+          y: obj.scale.y.toFixed(2),
+          z: obj.scale.z.toFixed(2)
+        },
+        color: selection.color ?? 'ffffff'
+      });
+    }
+  }, [selection]);
 
   const handlePropertyChange = (property, axis, value) => {
     if (!selectedObject) return;
@@ -69,6 +111,9 @@ export const PropertiesPanel = () => {
       default:
         break;
     }
+    manager.notify?.(property === 'color' ? SCENE_EVENTS.OBJECT_CHANGED : SCENE_EVENTS.TRANSFORM_CHANGED, {
+      object: selectedObject
+    });
     
     // Update local state
     setProperties(prev => ({
@@ -80,6 +125,59 @@ export const PropertiesPanel = () => {
     }));
   };
 
+  const handleFeatureChange = (key, value) => {
+    if (!feature || (typeof value === 'number' && Number.isNaN(value))) return;
+    
+    manager.updateFeature?.(feature.id, { [key]: value });
+    setFeature(prev => ({ ...prev, [key]: value }));
+  };
+
+  // The geometry follows with the value clamped, which the field shows once it loses focus
+  const handlePrimitiveChange = (name, text) => {
+    const value = parseFloat(text);
+    if (primitive && !Number.isNaN(value)) manager.updatePrimitive?.(primitive.id, { [name]: value });
+  };
+
+  // Props of a number field that keeps the typed text while it has focus, even empty or out of range
+  // (e.g. "0." on the way to "0.5"), and shows the value in use once it loses focus. Live fields
+  // (primitives) take each keystroke; the others (features, sketch dimensions), which rebuild the
+  // model, take the text when they lose focus or on Enter.
+  const numberField = (field, value, commit, live = false) => {
+    const typed = draft?.id === selection.id && draft.field === field ? draft.text : null;
+    return {
+      value: typed ?? value,
+      onChange: (e) => {
+        setDraft({ id: selection.id, field, text: e.target.value });
+        if (live) commit(e.target.value);
+      },
+      onBlur: () => {
+        if (!live && typed !== null) commit(typed);
+        setDraft(null);
+      },
+      onKeyDown: (e) => e.key === 'Enter' && e.currentTarget.blur()
+    };
+  };
+
+  // Change one component of a vector setting, e.g. the y of a pattern's direction
+  const handleFeatureVectorChange = (key, index, value) => {
+    if (!feature || Number.isNaN(value)) return;
+    handleFeatureChange(key, feature[key].map((component, i) => i === index ? value : component));
+  };
+
+  // Change the normal or the offset of a mirror's plane; a zero normal keeps the last shape
+  const handleMirrorPlaneChange = (key, value) => {
+    if (!feature || [value].flat().some(Number.isNaN)) return;
+    handleFeatureChange('plane', { ...feature.plane, [key]: value });
+  };
+
+  // A value the sketch cannot take is warned about and the field goes back to the value in use
+  const handleDimensionChange = (constraintId, value) => {
+    if (!feature || Number.isNaN(value)) return;
+
+    const meta = manager.setSketchDimension?.(feature.id, constraintId, value);
+    if (meta) setFeature(prev => ({ ...prev, ...meta.params }));
+  };
+
   if (!selectedObject) {
     return (
       <div style={panelStyle}>
@@ -140,6 +238,360 @@ export const PropertiesPanel = () => {
         ))}
       </div>
 
+      {primitive && (
+        <div style={sectionStyle}>
+          <h4>{getPrimitive(primitive.type).label}</h4>
+          {getPrimitive(primitive.type).params.map(param => (
+            <div key={param.name} style={inputGroupStyle}>
+              <label>{param.label}:</label>
+              <input
+                type="number"
+                step={param.step}
+                min={param.min}
+                max={param.max}
+                {...numberField(
+                  param.name,
+                  primitive.values[param.name],
+                  text => handlePrimitiveChange(param.name, text),
+                  true
+                )}
+                style={inputStyle}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {feature?.type === 'Extruded' && (
+        <div style={sectionStyle}>
+          <h4>Extrusion</h4>
+          <div style={inputGroupStyle}>
+            <label>Depth:</label>
+            <input
+              type="number"
+              step="0.1"
+              min="0.01"
+              {...numberField('depth', feature.depth, text => handleFeatureChange('depth', parseFloat(text)))}
+              style={inputStyle}
+            />
+          </div>
+          <div style={inputGroupStyle}>
+            <label>Direction:</label>
+            <select
+              value={feature.symmetric ? 'symmetric' : 'one-sided'}
+              onChange={(e) => handleFeatureChange('symmetric', e.target.value === 'symmetric')}
+              style={inputStyle}
+            >
+              <option value="one-sided">One-sided</option>
+              <option value="symmetric">Symmetric</option>
+            </select>
+          </div>
+          <div style={inputGroupStyle}>
+            <label>Operation:</label>
+            <select
+              value={feature.operation}
+              onChange={(e) => handleFeatureChange('operation', e.target.value)}
+              style={inputStyle}
+            >
+              <option value="add">Add</option>
+              {feature.target && <option value="cut">Cut</option>}
+            </select>
+          </div>
+          <div style={inputGroupStyle}>
+            <label>Bevel:</label>
+            <input
+              type="checkbox"
+              checked={feature.bevelEnabled}
+              onChange={(e) => handleFeatureChange('bevelEnabled', e.target.checked)}
+            />
+          </div>
+          {feature.bevelEnabled && BEVEL_FIELDS.map(field => (
+            <div key={field.key} style={inputGroupStyle}>
+              <label>{field.label}:</label>
+              <input
+                type="number"
+                step={field.step}
+                min={field.min}
+                {...numberField(field.key, feature[field.key], text => handleFeatureChange(field.key, parseFloat(text)))}
+                style={inputStyle}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {feature?.type === 'Revolved' && (
+        <div style={sectionStyle}>
+          <h4>Revolve</h4>
+          <div style={inputGroupStyle}>
+            <label>Angle:</label>
+            <input
+              type="number"
+              step="15"
+              min="1"
+              max="360"
+              {...numberField('angle', feature.angle, text => handleFeatureChange('angle', parseFloat(text)))}
+              style={inputStyle}
+            />
+          </div>
+          <div style={inputGroupStyle}>
+            <label>Axis:</label>
+            <select
+              value={feature.axis}
+              onChange={(e) => handleFeatureChange('axis', e.target.value)}
+              style={inputStyle}
+            >
+              {REVOLVE_AXES.map(axis => (
+                <option key={axis.value} value={axis.value}>{axis.label}</option>
+              ))}
+              {feature.sketch.entities
+                .filter(entity => entity.type === 'line')
+                .map(entity => (
+                  <option key={entity.id} value={entity.id}>Sketch line {entity.id}</option>
+                ))}
+            </select>
+          </div>
+        </div>
+      )}
+
+      {feature?.type === 'Swept' && (
+        <div style={sectionStyle}>
+          <h4>Sweep</h4>
+          <div style={inputGroupStyle}>
+            <label>Twist:</label>
+            <input
+              type="number"
+              step="15"
+              {...numberField('twist', feature.twist, text => handleFeatureChange('twist', parseFloat(text)))}
+              style={inputStyle}
+            />
+          </div>
+          <div style={inputGroupStyle}>
+            <label>End scale:</label>
+            <input
+              type="number"
+              step="0.1"
+              min="0.01"
+              {...numberField('scale', feature.scale, text => handleFeatureChange('scale', parseFloat(text)))}
+              style={inputStyle}
+            />
+          </div>
+        </div>
+      )}
+
+      {feature?.type === 'Lofted' && (
+        <div style={sectionStyle}>
+          <h4>Loft</h4>
+          <div style={inputGroupStyle}>
+            <label>Smooth:</label>
+            <input
+              type="checkbox"
+              checked={feature.smooth}
+              onChange={(e) => handleFeatureChange('smooth', e.target.checked)}
+            />
+          </div>
+        </div>
+      )}
+
+      {feature?.type === 'Boolean' && (
+        <div style={sectionStyle}>
+          <h4>Boolean</h4>
+          <div style={inputGroupStyle}>
+            <label>Operation:</label>
+            <select
+              value={feature.operation}
+              onChange={(e) => handleFeatureChange('operation', e.target.value)}
+              style={inputStyle}
+            >
+              <option value="union">Union</option>
+              <option value="subtract">Subtract</option>
+              <option value="intersect">Intersect</option>
+            </select>
+          </div>
+          <div style={inputGroupStyle}>
+            <label>Operands:</label>
+            <span>{feature.operands.length}</span>
+          </div>
+        </div>
+      )}
+
+      {feature?.type === 'Pattern' && (
+        <div style={sectionStyle}>
+          <h4>Pattern</h4>
+          <div style={inputGroupStyle}>
+            <label>Kind:</label>
+            <select
+              value={feature.kind}
+              onChange={(e) => handleFeatureChange('kind', e.target.value)}
+              style={inputStyle}
+            >
+              <option value="linear">Linear</option>
+              <option value="circular">Circular</option>
+            </select>
+          </div>
+          <div style={inputGroupStyle}>
+            <label>Copies:</label>
+            <input
+              type="number"
+              step="1"
+              min="0"
+              {...numberField('count', feature.count, text => handleFeatureChange('count', parseInt(text, 10)))}
+              style={inputStyle}
+            />
+          </div>
+          {feature.kind === 'circular' ? (
+            <div style={inputGroupStyle}>
+              <label>Angle step:</label>
+              <input
+                type="number"
+                step="5"
+                {...numberField('angle', feature.angle, text => handleFeatureChange('angle', parseFloat(text)))}
+                style={inputStyle}
+              />
+            </div>
+          ) : (
+            <div style={inputGroupStyle}>
+              <label>Spacing:</label>
+              <input
+                type="number"
+                step="0.1"
+                {...numberField('spacing', feature.spacing, text => handleFeatureChange('spacing', parseFloat(text)))}
+                style={inputStyle}
+              />
+            </div>
+          )}
+          {PATTERN_VECTORS[feature.kind].map(({ key, label }) => (
+            <div key={key} style={inputGroupStyle}>
+              <label>{label}:</label>
+              {feature[key].map((component, i) => (
+                <input
+                  key={i}
+                  type="number"
+                  step="0.1"
+                  {...numberField(`${key}.${i}`, component, text => handleFeatureVectorChange(key, i, parseFloat(text)))}
+                  style={{ ...inputStyle, width: '50px' }}
+                />
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {feature?.type === 'Mirror' && (
+        <div style={sectionStyle}>
+          <h4>Mirror</h4>
+          <div style={inputGroupStyle}>
+            <label>Plane normal:</label>
+            {feature.plane.normal.map((component, i) => (
+              <input
+                key={i}
+                type="number"
+                step="0.1"
+                {...numberField(`normal.${i}`, component, text => handleMirrorPlaneChange(
+                  'normal',
+                  feature.plane.normal.map((value, j) => (j === i ? parseFloat(text) : value))
+                ))}
+                style={{ ...inputStyle, width: '50px' }}
+              />
+            ))}
+          </div>
+          <div style={inputGroupStyle}>
+            <label>Plane offset:</label>
+            <input
+              type="number"
+              step="0.1"
+              {...numberField('constant', -feature.plane.constant, text => handleMirrorPlaneChange('constant', -parseFloat(text)))}
+              style={inputStyle}
+            />
+          </div>
+          <div style={inputGroupStyle}>
+            <label>Merge:</label>
+            <input
+              type="checkbox"
+              checked={feature.merge}
+              onChange={(e) => handleFeatureChange('merge', e.target.checked)}
+            />
+          </div>
+        </div>
+      )}
+
+      {(feature?.type === 'Fillet' || feature?.type === 'Chamfer') && (
+        <div style={sectionStyle}>
+          <h4>{feature.type}</h4>
+          <div style={inputGroupStyle}>
+            <label>{feature.type === 'Fillet' ? 'Radius' : 'Distance'}:</label>
+            <input
+              type="number"
+              step="0.05"
+              min="0.01"
+              {...numberField('size', feature.size, text => handleFeatureChange('size', parseFloat(text)))}
+              style={inputStyle}
+            />
+          </div>
+          <div style={inputGroupStyle}>
+            <label>Edges:</label>
+            <span>{feature.edges.length}</span>
+          </div>
+        </div>
+      )}
+
+      {feature?.type === 'PushPull' && (
+        <div style={sectionStyle}>
+          <h4>Push/Pull</h4>
+          <div style={inputGroupStyle}>
+            <label>Distance:</label>
+            <input
+              type="number"
+              step="0.1"
+              {...numberField('distance', feature.distance, text => handleFeatureChange('distance', parseFloat(text)))}
+              style={inputStyle}
+            />
+          </div>
+        </div>
+      )}
+
+      {feature?.type === 'Shell' && (
+        <div style={sectionStyle}>
+          <h4>Shell</h4>
+          <div style={inputGroupStyle}>
+            <label>Thickness:</label>
+            <input
+              type="number"
+              step="0.05"
+              min="0.01"
+              {...numberField('thickness', feature.thickness, text => handleFeatureChange('thickness', parseFloat(text)))}
+              style={inputStyle}
+            />
+          </div>
+          <div style={inputGroupStyle}>
+            <label>Open faces:</label>
+            <span>{feature.removedFaces.length}</span>
+          </div>
+        </div>
+      )}
+
+      {feature?.sketch?.constraints?.some(constraint => constraint.value !== undefined) && (
+        <div style={sectionStyle}>
+          <h4>Sketch Dimensions</h4>
+          {feature.sketch.constraints
+            .filter(constraint => constraint.value !== undefined)
+            .map(constraint => (
+              <div key={constraint.id} style={inputGroupStyle}>
+                <label>{constraint.type === 'radius' ? 'Radius' : 'Length'} {constraint.refs[0]}:</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  min="0.01"
+                  {...numberField(`dimension.${constraint.id}`, constraint.value, text => (
+                    handleDimensionChange(constraint.id, parseFloat(text))
+                  ))}
+                  style={inputStyle}
+                />
+              </div>
+            ))}
+        </div>
+      )}
+
       <div style={sectionStyle}>
         <h4>Material</h4>
         <div style={inputGroupStyle}>
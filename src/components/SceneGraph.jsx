@@ -1,54 +1,231 @@
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import { sceneManager } from '../three/SceneManager';
+import { SCENE_EVENTS } from '../core/sceneEvents';
+import { useSceneSelector } from '../hooks/useSceneSelector';
 
-export const SceneGraph = () => {
-  const [objects, setObjects] = useState([]);
-  const [selectedId, setSelectedId] = useState(null);
+// Whether a scene manager tracks an object: the core manager keeps a map of object metadata,
+// the legacy one an array of meshes
+const isListed = (manager, object) => Boolean(object) &&
+  (manager.objects instanceof Map ? manager.objects.has(object.uuid) : manager.objects.includes(object));
 
+const typeOf = (manager, object) => (manager.objects instanceof Map ? manager.objects.get(object.uuid).type : object.type);
+
+// Build the outline of a scene: the tracked objects in the order of their parent's children,
+// each with the tracked objects inside it
+const buildTree = (manager, parent) => (parent?.children || [])
+  .filter(object => isListed(manager, object))
+  .map(object => ({ object, type: typeOf(manager, object), children: buildTree(manager, object) }));
+
+// Flatten an outline into rows, leaving out what is inside collapsed groups
+const flattenTree = (nodes, collapsed, depth = 0) => nodes.flatMap(({ object, type, children }) => [
+  { object, type, depth, hasChildren: children.length > 0 },
+  ...(collapsed.has(object.uuid) ? [] : flattenTree(children, collapsed, depth + 1))
+]);
+
+// Ids of the selected objects; the legacy manager selects one at a time
+const selectionOf = manager => (manager.selectedObjects || [manager.selectedObject])
+  .filter(Boolean)
+  .map(object => object.uuid);
+
+// Id of the object shown on its own, if any
+const soloOf = manager => manager.solo?.object.uuid ?? null;
+
+// Ids of the tracked groups an object sits in
+const ancestorIds = (manager, object) => {
+  const ids = [];
+  for (let ancestor = object?.parent; isListed(manager, ancestor); ancestor = ancestor.parent) ids.push(ancestor.uuid);
+  return ids;
+};
+
+// Entries of the context menu, shown when the manager has the method
+const MENU_ACTIONS = [
+  { method: 'duplicateObject', label: 'Duplicate' },
+  { method: 'deleteObject', label: 'Delete' },
+  { method: 'focusObject', label: 'Focus' }
+];
+
+export const SceneGraph = ({ sceneManager: activeManager, onEditSketch }) => {
+  const manager = activeManager || sceneManager;
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [renaming, setRenaming] = useState(null); // { id, value } of the row being renamed
+  const [menu, setMenu] = useState(null); // { id, x, y } of the open context menu
+  const [drop, setDrop] = useState(null); // { id, zone } of the row a dragged object would land on
+  const draggedId = useRef(null);
+
+  // Rows of the outline, read again when the scene changes or a group is opened or closed
+  const readRows = useCallback(current => flattenTree(buildTree(current, current.scene), collapsed)
+    .map(({ object, type, depth, hasChildren }) => ({
+      id: object.uuid,
+      name: object.name || `Object-${object.uuid.slice(0, 6)}`,
+      type,
+      depth,
+      hasChildren,
+      visible: object.visible,
+      locked: Boolean(object.userData.locked),
+      pickable: !current.isLocked?.(object)
+    })), [collapsed]);
+  const objects = useSceneSelector(manager, readRows);
+  const selectedIds = useSceneSelector(manager, selectionOf);
+  const soloId = useSceneSelector(manager, soloOf);
+
+  // Open the groups around objects selected in the viewport
   useEffect(() => {
-    const updateSceneGraph = () => {
-      const sceneObjects = sceneManager.objects.map(obj => ({
-        id: obj.uuid,
-        name: obj.name || `Object-${obj.uuid.slice(0, 6)}`,
-        type: obj.type,
-        visible: obj.visible
-      }));
-      setObjects(sceneObjects);
-      
-      // Update selected ID if needed
-      if (sceneManager.selectedObject && 
-          (!selectedId || sceneManager.selectedObject.uuid !== selectedId)) {
-        setSelectedId(sceneManager.selectedObject.uuid);
-      } else if (!sceneManager.selectedObject) {
-        setSelectedId(null);
-      }
+    const ancestors = (manager.selectedObjects || [manager.selectedObject])
+      .flatMap(object => ancestorIds(manager, object));
+    setCollapsed(prev => (
+      ancestors.some(id => prev.has(id)) ? new Set([...prev].filter(id => !ancestors.includes(id))) : prev
+    ));
+  }, [manager, selectedIds]);
+
+  // A click anywhere or Escape closes the context menu
+  useEffect(() => {
+    if (!menu) return undefined;
+
+    const close = () => setMenu(null);
+    const onKeyDown = event => {
+      if (event.key === 'Escape') close();
     };
+    window.addEventListener('click', close);
+    window.addEventListener('keydown', onKeyDown);
+    return () => {
+      window.removeEventListener('click', close);
+      window.removeEventListener('keydown', onKeyDown);
+    };
+  }, [menu]);
 
-    // Initial update
-    updateSceneGraph();
-    
-    // Set up an interval to check for changes
-    const interval = setInterval(updateSceneGraph, 100);
-    
-    return () => clearInterval(interval);
-  }, [selectedId]);
-
-  const handleSelect = (objectId) => {
-    const obj = sceneManager.objects.find(o => o.uuid === objectId);
-    if (obj) {
-      sceneManager.selectObject(obj);
-      setSelectedId(objectId);
+  const findObject = (objectId) => {
+    const object = manager.scene?.getObjectByProperty('uuid', objectId);
+    return isListed(manager, object) ? object : null;
+  };
+
+  // Select a row like a click in the viewport: shift adds it to the selection or takes it out.
+  // Locked objects cannot be selected.
+  const handleSelect = (objectId, event) => {
+    const obj = findObject(objectId);
+    if (!obj || manager.isLocked?.(obj)) return;
+
+    if (event.shiftKey && manager.toggleSelection) {
+      manager.toggleSelection(obj);
+    } else {
+      manager.selectObject(obj);
     }
   };
 
+  // Select a sketch and open it in sketch edit mode
+  const handleEditSketch = (objectId) => {
+    const obj = findObject(objectId);
+    if (!obj) return;
+    manager.selectObject(obj);
+    onEditSketch?.();
+  };
+
   const toggleVisibility = (objectId) => {
-    const obj = sceneManager.objects.find(o => o.uuid === objectId);
+    const obj = findObject(objectId);
     if (obj) {
       obj.visible = !obj.visible;
-      setObjects(prev => prev.map(o => 
-        o.id === objectId ? { ...o, visible: obj.visible } : o
-      ));
+      manager.notify?.(SCENE_EVENTS.OBJECT_CHANGED, { object: obj });
+    }
+  };
+
+  const toggleLock = (objectId) => {
+    const obj = findObject(objectId);
+    if (obj) manager.setLocked(obj, !obj.userData.locked);
+  };
+
+  // Show only this object, or everything again if it already is
+  const toggleSolo = (objectId) => {
+    manager.setSolo(soloId === objectId ? null : findObject(objectId));
+  };
+
+  const toggleExpanded = (objectId) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (!next.delete(objectId)) next.add(objectId);
+      return next;
+    });
+  };
+
+  const commitRename = () => {
+    const obj = renaming && findObject(renaming.id);
+    if (obj && renaming.value.trim()) {
+      obj.name = renaming.value.trim();
+      manager.notify?.(SCENE_EVENTS.OBJECT_CHANGED, { object: obj });
     }
+    setRenaming(null);
+  };
+
+  // Where a dragged object lands on a row: before or after it, or inside the middle of a group
+  const dropZone = (event, row) => {
+    const { top, height } = event.currentTarget.getBoundingClientRect();
+    const offset = (event.clientY - top) / height;
+    if (row.type === 'Group' && offset > 0.25 && offset < 0.75) return 'inside';
+    return offset < 0.5 ? 'before' : 'after';
+  };
+
+  const handleDragStart = (event, objectId) => {
+    draggedId.current = objectId;
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', objectId);
+  };
+
+  const handleDragOver = (event, row) => {
+    if (!draggedId.current || draggedId.current === row.id) return;
+    event.preventDefault();
+    event.stopPropagation();
+    const zone = dropZone(event, row);
+    if (drop?.id !== row.id || drop.zone !== zone) setDrop({ id: row.id, zone });
+  };
+
+  const handleDragEnd = () => {
+    draggedId.current = null;
+    setDrop(null);
+  };
+
+  // Move the dragged object into a group, or next to another object among its siblings
+  const handleDrop = (event, row) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const obj = findObject(draggedId.current);
+    const target = findObject(row.id);
+    const zone = dropZone(event, row);
+    handleDragEnd();
+    if (!obj || !target || obj === target) return;
+
+    if (zone === 'inside') {
+      if (manager.setParent(obj, target)) setCollapsed(prev => new Set([...prev].filter(id => id !== row.id)));
+      return;
+    }
+
+    const parent = isListed(manager, target.parent) ? target.parent : null;
+    const siblings = target.parent.children.filter(child => isListed(manager, child) && child !== obj);
+    const before = zone === 'before' ? target : siblings[siblings.indexOf(target) + 1] || null;
+    manager.setParent(obj, parent, before);
+  };
+
+  // Dropping below the rows moves the object to the end of the scene, outside any group
+  const handleDropOnList = (event) => {
+    event.preventDefault();
+    const obj = findObject(draggedId.current);
+    handleDragEnd();
+    if (obj) manager.setParent(obj, null);
+  };
+
+  const handleContextMenu = (event, objectId) => {
+    event.preventDefault();
+    setMenu({ id: objectId, x: event.clientX, y: event.clientY });
+  };
+
+  const runMenuAction = (method) => {
+    const obj = findObject(menu.id);
+    setMenu(null);
+    if (obj) manager[method](obj);
+  };
+
+  // Line shown where a dragged object would land
+  const dropIndicator = (objectId) => {
+    if (drop?.id !== objectId) return {};
+    if (drop.zone === 'inside') return { outline: '1px solid #4CAF50' };
+    return { boxShadow: `inset 0 ${drop.zone === 'before' ? 2 : -2}px 0 #4CAF50` };
   };
 
   if (objects.length === 0) {
@@ -60,19 +237,45 @@ export const SceneGraph = () => {
     );
   }
 
+  const canDrag = Boolean(manager.setParent);
+
   return (
     <div style={panelStyle}>
       <h3>Scene Graph</h3>
-      <ul style={listStyle}>
+      <ul
+        style={listStyle}
+        onDragOver={e => draggedId.current && e.preventDefault()}
+        onDrop={handleDropOnList}
+      >
         {objects.map(obj => (
           <li key={obj.id} style={itemStyle}>
-            <div 
+            <div
+              draggable={canDrag && renaming?.id !== obj.id}
+              onDragStart={e => handleDragStart(e, obj.id)}
+              onDragOver={e => handleDragOver(e, obj)}
+              onDrop={e => handleDrop(e, obj)}
+              onDragEnd={handleDragEnd}
+              onContextMenu={e => handleContextMenu(e, obj.id)}
               style={{
                 ...itemContentStyle,
-                background: selectedId === obj.id ? 'rgba(0, 120, 215, 0.3)' : 'transparent'
+                paddingLeft: `${4 + obj.depth * 14}px`,
+                background: selectedIds.includes(obj.id) ? 'rgba(0, 120, 215, 0.3)' : 'transparent',
+                cursor: obj.pickable ? 'pointer' : 'default',
+                opacity: obj.pickable ? 1 : 0.6,
+                ...dropIndicator(obj.id)
               }}
-              onClick={() => handleSelect(obj.id)}
+              onClick={e => handleSelect(obj.id, e)}
+              onDoubleClick={() => setRenaming({ id: obj.id, value: obj.name })}
             >
+              <span
+                style={expanderStyle}
+                onClick={e => {
+                  e.stopPropagation();
+                  if (obj.hasChildren) toggleExpanded(obj.id);
+                }}
+              >
+                {obj.hasChildren && (collapsed.has(obj.id) ? '▸' : '▾')}
+              </span>
               <input
                 type="checkbox"
                 checked={obj.visible}
@@ -80,12 +283,78 @@ export const SceneGraph = () => {
                 onClick={e => e.stopPropagation()}
                 style={checkboxStyle}
               />
-              <span style={{ flex: 1 }}>{obj.name}</span>
+              {renaming?.id === obj.id ? (
+                <input
+                  autoFocus
+                  value={renaming.value}
+                  onChange={e => setRenaming({ ...renaming, value: e.target.value })}
+                  onBlur={commitRename}
+                  onKeyDown={e => {
+                    if (e.key === 'Enter') commitRename();
+                    if (e.key === 'Escape') setRenaming(null);
+                  }}
+                  onClick={e => e.stopPropagation()}
+                  style={renameStyle}
+                />
+              ) : (
+                <span style={{ flex: 1 }} title="Double-click to rename">{obj.name}</span>
+              )}
               <span style={typeStyle}>{obj.type}</span>
+              {manager.setLocked && (
+                <button
+                  onClick={e => {
+                    e.stopPropagation();
+                    toggleLock(obj.id);
+                  }}
+                  style={{ ...iconButtonStyle, opacity: obj.locked ? 1 : 0.4 }}
+                  title={obj.locked ? 'Unlock' : 'Lock: clicks in the viewport pass through'}
+                >
+                  {obj.locked ? '🔒' : '🔓'}
+                </button>
+              )}
+              {manager.setSolo && (
+                <button
+                  onClick={e => {
+                    e.stopPropagation();
+                    toggleSolo(obj.id);
+                  }}
+                  style={{ ...iconButtonStyle, opacity: soloId === obj.id ? 1 : 0.4 }}
+                  title={soloId === obj.id ? 'Show all objects' : 'Show only this object'}
+                >
+                  ◎
+                </button>
+              )}
+              {obj.type === 'Sketch' && onEditSketch && (
+                <button
+                  onClick={e => {
+                    e.stopPropagation();
+                    handleEditSketch(obj.id);
+                  }}
+                  style={editButtonStyle}
+                >
+                  Edit
+                </button>
+              )}
             </div>
           </li>
         ))}
       </ul>
+      {menu && (
+        <ul style={{ ...menuStyle, left: menu.x, top: menu.y }}>
+          {MENU_ACTIONS.filter(({ method }) => typeof manager[method] === 'function').map(({ method, label }) => (
+            <li
+              key={method}
+              style={menuItemStyle}
+              onClick={e => {
+                e.stopPropagation();
+                runMenuAction(method);
+              }}
+            >
+              {label}
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 };
@@ -93,14 +362,14 @@ export const SceneGraph = () => {
 // Styles
 const panelStyle = {
   position: 'absolute',
-  top: '10px',
+  bottom: '10px',
   left: '10px',
   background: 'rgba(0, 0, 0, 0.7)',
   color: 'white',
   padding: '15px',
   borderRadius: '4px',
-  width: '250px',
-  maxHeight: '80vh',
+  width: '300px',
+  maxHeight: '40vh',
   overflowY: 'auto',
   zIndex: 10
 };
@@ -109,7 +378,8 @@ const listStyle = {
   listStyle: 'none',
   padding: 0,
   margin: 0,
-  marginTop: '10px'
+  marginTop: '10px',
+  minHeight: '20px'
 };
 
 const itemStyle = {
@@ -130,13 +400,61 @@ const itemContentStyle = {
   }
 };
 
+const expanderStyle = {
+  width: '12px',
+  flexShrink: 0,
+  cursor: 'pointer'
+};
+
 const checkboxStyle = {
   marginRight: '8px',
   cursor: 'pointer'
 };
 
+const renameStyle = {
+  flex: 1,
+  minWidth: 0,
+  backgroundColor: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '2px',
+  padding: '1px 4px'
+};
+
 const typeStyle = {
   fontSize: '0.8em',
   opacity: 0.7,
   marginLeft: '8px'
 };
+
+const iconButtonStyle = {
+  marginLeft: '4px',
+  padding: '0 2px',
+  background: 'none',
+  border: 'none',
+  color: 'white',
+  cursor: 'pointer'
+};
+
+const editButtonStyle = {
+  marginLeft: '8px',
+  padding: '2px 6px',
+  fontSize: '0.8em',
+  cursor: 'pointer'
+};
+
+const menuStyle = {
+  position: 'fixed',
+  listStyle: 'none',
+  margin: 0,
+  padding: '4px 0',
+  background: '#222',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  zIndex: 1000
+};
+
+const menuItemStyle = {
+  padding: '6px 16px',
+  cursor: 'pointer'
+};
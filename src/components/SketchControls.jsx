@@ -1,7 +1,158 @@
-import React from 'react';
-import { SKETCH_MODES } from '../core/SketchMode';
+import React, { useState } from 'react';
+import { SKETCH_EDIT_TOOLS, SKETCH_LINE_AXIS, SKETCH_MODES, SKETCH_OPERATIONS } from '../core/SketchMode';
+import { REVOLVE_DEFAULTS } from '../core/features';
+import { CONSTRAINT_TYPES } from '../core/sketchSolver';
+
+const SKETCH_TOOLS = [
+  { mode: SKETCH_MODES.RECTANGLE, label: 'Rectangle' },
+  { mode: SKETCH_MODES.CIRCLE, label: 'Circle' },
+  {
+    mode: SKETCH_MODES.POLYLINE,
+    label: 'Polyline',
+    title: 'Click to place vertices, click the first vertex to close (Backspace: undo, Esc: cancel)'
+  },
+  {
+    mode: SKETCH_MODES.TANGENT_ARC,
+    label: 'Tangent Arc',
+    title: 'Click the end point of an arc tangent to the previous segment'
+  },
+  {
+    mode: SKETCH_MODES.THREE_POINT_ARC,
+    label: '3-Point Arc',
+    title: 'Click the end point, then a point on the arc'
+  },
+  {
+    mode: SKETCH_MODES.SPLINE,
+    label: 'Spline',
+    title: 'Click points to pass through, Enter to finish the spline'
+  },
+  {
+    mode: SKETCH_MODES.BEZIER,
+    label: 'Bezier',
+    title: 'Click two control points, then the end point'
+  },
+  {
+    mode: SKETCH_MODES.EDIT,
+    label: 'Edit Sketch',
+    title: 'Edit the sketch of the selected object: drag points, or pick one or two items and add a constraint (Backspace: remove the last constraint)'
+  }
+];
+
+const CONSTRAINT_LABELS = {
+  horizontal: 'Horizontal',
+  vertical: 'Vertical',
+  parallel: 'Parallel',
+  perpendicular: 'Perpendicular',
+  coincident: 'Coincident',
+  tangent: 'Tangent',
+  equal: 'Equal',
+  concentric: 'Concentric',
+  fixed: 'Fix',
+  distance: 'Length',
+  radius: 'Radius'
+};
+
+// Sizes that can be typed before drawing with a tool; they become driving dimensions
+const TYPED_DIMENSIONS = {
+  [SKETCH_MODES.RECTANGLE]: [
+    { key: 'width', label: 'W' },
+    { key: 'height', label: 'H' }
+  ],
+  [SKETCH_MODES.CIRCLE]: [{ key: 'radius', label: 'R' }],
+  [SKETCH_MODES.POLYLINE]: [{ key: 'length', label: 'L' }]
+};
+
+// Trim and extend wait for a click on an entity; the rest act on the selection with a size
+const PICK_TOOLS = [
+  { tool: SKETCH_EDIT_TOOLS.TRIM, label: 'Trim', title: 'Click the piece of a line, arc or circle to cut away at its crossings (Esc: stop)' },
+  { tool: SKETCH_EDIT_TOOLS.EXTEND, label: 'Extend', title: 'Click near the free end of a line to extend it to the next entity (Esc: stop)' }
+];
+
+const SIZE_TOOLS = [
+  { tool: SKETCH_EDIT_TOOLS.OFFSET, label: 'Offset', title: 'Offset the closed profile of the selected entity (negative shrinks it)' },
+  { tool: SKETCH_EDIT_TOOLS.FILLET, label: 'Fillet', title: 'Round the selected corner point with this radius' },
+  { tool: SKETCH_EDIT_TOOLS.CHAMFER, label: 'Chamfer', title: 'Bevel the selected corner point, set back this far along both lines' }
+];
+
+const REVOLVE_AXES = [
+  { value: 'x', label: 'X axis' },
+  { value: 'y', label: 'Y axis' },
+  { value: 'z', label: 'Z axis' },
+  { value: SKETCH_LINE_AXIS, label: 'First sketch line' }
+];
+
+const SKETCH_FEATURES = [
+  { value: SKETCH_OPERATIONS.EXTRUDE, label: 'Extrude' },
+  { value: SKETCH_OPERATIONS.REVOLVE, label: 'Revolve' },
+  { value: SKETCH_OPERATIONS.SWEEP, label: 'Sweep', title: 'Sketch a closed profile, then its path (Enter finishes an open path)' },
+  { value: SKETCH_OPERATIONS.LOFT, label: 'Loft', title: 'Sketch closed profiles on offset planes, then press Enter (Esc: discard)' }
+];
+
+const WORK_PLANE_OPTIONS = [
+  { value: 'xz', label: 'XZ plane' },
+  { value: 'xy', label: 'XY plane' },
+  { value: 'yz', label: 'YZ plane' }
+];
+
+const fieldStyle = {
+  backgroundColor: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  padding: '6px'
+};
+
+export default function SketchControls({
+  onSetSketchMode,
+  onSetSketchOperation,
+  onSetSketchPlane,
+  onApplyConstraint,
+  onSetSketchDimensions,
+  onSetEditTool,
+  onApplyEditTool,
+  activeMode
+}) {
+  const [operation, setOperation] = useState(SKETCH_OPERATIONS.EXTRUDE);
+  const [revolve, setRevolve] = useState(REVOLVE_DEFAULTS);
+  const [workPlane, setWorkPlane] = useState({ plane: 'xz', offset: 0 });
+  const [dimensions, setDimensions] = useState({});
+  const [pickTool, setPickTool] = useState(null);
+  const [toolSize, setToolSize] = useState(0.25);
+
+  // Switching tools ends trimming or extending
+  const selectMode = (mode) => {
+    setPickTool(null);
+    onSetSketchMode(mode);
+  };
+
+  const togglePickTool = (tool) => {
+    const nextTool = pickTool === tool ? null : tool;
+    setPickTool(nextTool);
+    onSetEditTool?.(nextTool);
+  };
+
+  const updateDimension = (key, text) => {
+    const nextDimensions = { ...dimensions, [key]: text };
+    setDimensions(nextDimensions);
+    const values = Object.fromEntries(
+      Object.entries(nextDimensions).map(([name, value]) => [name, parseFloat(value) || 0])
+    );
+    onSetSketchDimensions?.(values);
+  };
+
+  const updateWorkPlane = (changes) => {
+    const nextPlane = { ...workPlane, ...changes };
+    setWorkPlane(nextPlane);
+    onSetSketchPlane?.(nextPlane.plane, nextPlane.offset);
+  };
+
+  const updateOperation = (nextOperation, changes = {}) => {
+    const nextRevolve = { ...revolve, ...changes };
+    setOperation(nextOperation);
+    setRevolve(nextRevolve);
+    onSetSketchOperation?.(nextOperation, nextRevolve);
+  };
 
-export default function SketchControls({ onSetSketchMode, activeMode }) {
   return (
     <div style={{
       position: 'absolute',
@@ -14,32 +165,23 @@ export default function SketchControls({ onSetSketchMode, activeMode }) {
       display: 'flex',
       gap: '5px'
     }}>
-      <button 
-        style={{
-          backgroundColor: activeMode === SKETCH_MODES.RECTANGLE ? '#4CAF50' : '#555',
-          color: 'white',
-          border: 'none',
-          padding: '8px 12px',
-          borderRadius: '4px',
-          cursor: 'pointer'
-        }}
-        onClick={() => onSetSketchMode(SKETCH_MODES.RECTANGLE)}
-      >
-        Rectangle
-      </button>
-      <button 
-        style={{
-          backgroundColor: activeMode === SKETCH_MODES.CIRCLE ? '#4CAF50' : '#555',
-          color: 'white',
-          border: 'none',
-          padding: '8px 12px',
-          borderRadius: '4px',
-          cursor: 'pointer'
-        }}
-        onClick={() => onSetSketchMode(SKETCH_MODES.CIRCLE)}
-      >
-        Circle
-      </button>
+      {SKETCH_TOOLS.map(tool => (
+        <button 
+          key={tool.mode}
+          style={{
+            backgroundColor: activeMode === tool.mode ? '#4CAF50' : '#555',
+            color: 'white',
+            border: 'none',
+            padding: '8px 12px',
+            borderRadius: '4px',
+            cursor: 'pointer'
+          }}
+          onClick={() => selectMode(tool.mode)}
+          title={tool.title}
+        >
+          {tool.label}
+        </button>
+      ))}
       <button 
         style={{
           backgroundColor: activeMode === SKETCH_MODES.NONE ? '#f44336' : '#555',
@@ -50,10 +192,155 @@ export default function SketchControls({ onSetSketchMode, activeMode }) {
           cursor: 'pointer',
           marginLeft: '10px'
         }}
-        onClick={() => onSetSketchMode(SKETCH_MODES.NONE)}
+        onClick={() => selectMode(SKETCH_MODES.NONE)}
       >
         Select
       </button>
+      <select
+        style={{ ...fieldStyle, marginLeft: '10px' }}
+        value={operation}
+        onChange={(e) => updateOperation(e.target.value)}
+        title={SKETCH_FEATURES.find(feature => feature.value === operation)?.title || 'Feature built from finished sketches'}
+      >
+        {SKETCH_FEATURES.map(feature => (
+          <option key={feature.value} value={feature.value}>{feature.label}</option>
+        ))}
+      </select>
+      {operation === SKETCH_OPERATIONS.REVOLVE && (
+        <>
+          <select
+            style={fieldStyle}
+            value={revolve.axis}
+            onChange={(e) => updateOperation(operation, { axis: e.target.value })}
+            title="Axis to revolve around. Enter finishes an open profile."
+          >
+            {REVOLVE_AXES.map(axis => (
+              <option key={axis.value} value={axis.value}>{axis.label}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            style={{ ...fieldStyle, width: '70px' }}
+            value={revolve.angle}
+            min="1"
+            max="360"
+            step="15"
+            onChange={(e) => updateOperation(operation, { angle: parseFloat(e.target.value) || 360 })}
+            title="Sweep angle in degrees"
+          />
+        </>
+      )}
+      <select
+        style={{ ...fieldStyle, marginLeft: '10px' }}
+        value={workPlane.plane}
+        onChange={(e) => updateWorkPlane({ plane: e.target.value })}
+        title="Plane to sketch on (Ctrl+click a face to sketch on it instead)"
+      >
+        {WORK_PLANE_OPTIONS.map(plane => (
+          <option key={plane.value} value={plane.value}>{plane.label}</option>
+        ))}
+      </select>
+      <input
+        type="number"
+        style={{ ...fieldStyle, width: '60px' }}
+        value={workPlane.offset}
+        step="0.5"
+        onChange={(e) => updateWorkPlane({ offset: parseFloat(e.target.value) || 0 })}
+        title="Offset of the sketch plane along its normal"
+      />
+      {TYPED_DIMENSIONS[activeMode]?.map(field => (
+        <label key={field.key} style={{ color: 'white', display: 'flex', alignItems: 'center', gap: '4px', marginLeft: '5px' }}>
+          {field.label}
+          <input
+            type="number"
+            style={{ ...fieldStyle, width: '60px' }}
+            value={dimensions[field.key] ?? ''}
+            min="0"
+            step="0.5"
+            placeholder="free"
+            onChange={(e) => updateDimension(field.key, e.target.value)}
+            title="Exact size for the next shape (leave empty to follow the pointer)"
+          />
+        </label>
+      ))}
+      {activeMode === SKETCH_MODES.EDIT && (
+        <div style={{ display: 'flex', gap: '5px', marginLeft: '10px' }}>
+          {Object.keys(CONSTRAINT_TYPES).map(type => (
+            <button
+              key={type}
+              style={{
+                backgroundColor: '#2196F3',
+                color: 'white',
+                border: 'none',
+                padding: '8px 10px',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+              onClick={() => onApplyConstraint?.(type)}
+            >
+              {CONSTRAINT_LABELS[type]}
+            </button>
+          ))}
+          {PICK_TOOLS.map(({ tool, label, title }) => (
+            <button
+              key={tool}
+              style={{
+                backgroundColor: pickTool === tool ? '#4CAF50' : '#9C27B0',
+                color: 'white',
+                border: 'none',
+                padding: '8px 10px',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                marginLeft: tool === SKETCH_EDIT_TOOLS.TRIM ? '10px' : 0
+              }}
+              onClick={() => togglePickTool(tool)}
+              title={title}
+            >
+              {label}
+            </button>
+          ))}
+          <input
+            type="number"
+            style={{ ...fieldStyle, width: '60px' }}
+            value={toolSize}
+            step="0.05"
+            onChange={(e) => setToolSize(parseFloat(e.target.value) || 0)}
+            title="Offset distance, fillet radius or chamfer setback"
+          />
+          {SIZE_TOOLS.map(({ tool, label, title }) => (
+            <button
+              key={tool}
+              style={{
+                backgroundColor: '#9C27B0',
+                color: 'white',
+                border: 'none',
+                padding: '8px 10px',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+              onClick={() => onApplyEditTool?.(tool, toolSize)}
+              title={title}
+            >
+              {label}
+            </button>
+          ))}
+          <button
+            style={{
+              backgroundColor: '#9C27B0',
+              color: 'white',
+              border: 'none',
+              padding: '8px 10px',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              marginLeft: '10px'
+            }}
+            onClick={() => onApplyEditTool?.(SKETCH_EDIT_TOOLS.MIRROR)}
+            title="Mirror the sketch across the selected line, or only the entity selected before the line"
+          >
+            Mirror
+          </button>
+        </div>
+      )}
     </div>
   );
 }
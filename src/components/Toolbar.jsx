@@ -1,4 +1,5 @@
-import { createBox, createSphere, createCylinder } from '../core/primitives';
+import { useState } from 'react';
+import { listPrimitives } from '../core/primitiveRegistry';
 
 const Button = ({ children, onClick, title, style = {} }) => (
   <button 
@@ -25,22 +26,107 @@ const Button = ({ children, onClick, title, style = {} }) => (
 );
 
 export const Toolbar = ({ sceneManager, onSelectObject, transformMode, onTransformModeChange }) => {
-  const handleAddPrimitive = (createFn) => {
+  const [pickMode, setPickMode] = useState('object');
+  const [edgeSize, setEdgeSize] = useState(0.1);
+  const [pushPullDistance, setPushPullDistance] = useState(0.5);
+  const [shellThickness, setShellThickness] = useState(0.1);
+  const [patternCount, setPatternCount] = useState(3);
+  const [mirrorPlane, setMirrorPlane] = useState('YZ');
+  const [mirrorMerge, setMirrorMerge] = useState(false);
+
+  // Add a registered primitive with the defaults of its schema
+  const handleAddPrimitive = (type) => {
     if (!sceneManager) {
       console.error('Scene manager not available');
       return null;
     }
     
-    const object = createFn({ sceneManager });
-    if (object && onSelectObject) {
-      onSelectObject(object);
+    const meta = sceneManager.addPrimitive(type);
+    if (meta && onSelectObject) {
+      onSelectObject(meta.mesh);
+    }
+    return meta;
+  };
+
+  // Combine the selected meshes (shift+click to select several)
+  const handleBoolean = (operation) => {
+    const meta = sceneManager?.addBoolean(operation);
+    if (meta && onSelectObject) {
+      sceneManager.selectObject(meta.mesh);
+      onSelectObject(meta.mesh);
+    }
+  };
+
+  // Click edges (shift+click for several) or faces instead of objects
+  const handleTogglePickMode = (mode) => {
+    const nextMode = pickMode === mode ? 'object' : mode;
+    sceneManager?.setPickMode(nextMode);
+    setPickMode(nextMode);
+  };
+
+  // Move the picked face by the typed distance; it can also be dragged along its normal
+  const handlePushPull = () => {
+    sceneManager?.addPushPull(pushPullDistance);
+  };
+
+  // Hollow the selected object, leaving the picked faces open
+  const handleShell = () => {
+    const meta = sceneManager?.addShell(shellThickness);
+    if (meta && onSelectObject) {
+      onSelectObject(meta.mesh);
+    }
+  };
+
+  // Repeat the selected object; spacing, axis and angle are set in the properties panel
+  const handlePattern = (kind) => {
+    const meta = sceneManager?.addPattern({ kind, count: patternCount });
+    if (meta && onSelectObject) {
+      sceneManager.selectObject(meta.mesh);
+      onSelectObject(meta.mesh);
+    }
+  };
+
+  // Reflect the selected objects, or the object of the picked face, across the chosen plane
+  const handleMirror = () => {
+    const [meta] = sceneManager?.addMirror(mirrorPlane, { merge: mirrorMerge }) || [];
+    if (meta && onSelectObject) {
+      sceneManager.selectObject(meta.mesh);
+      onSelectObject(meta.mesh);
+    }
+  };
+
+  // Group the selected objects (shift+click to select several), or dissolve the selected group
+  const handleGroup = () => {
+    const meta = sceneManager?.groupObjects();
+    if (meta && onSelectObject) {
+      sceneManager.selectObject(meta.mesh);
+      onSelectObject(meta.mesh);
+    }
+  };
+
+  const handleUngroup = () => {
+    sceneManager?.ungroupObject();
+    onSelectObject?.(null);
+  };
+
+  const pickModeStyle = (mode) => ({
+    background: pickMode === mode ? 'rgba(100, 149, 237, 0.8)' : 'transparent',
+    border: pickMode === mode ? '1px solid #6495ed' : '1px solid transparent'
+  });
+
+  // Round or bevel the picked edges
+  const handleEdgeFeature = (type) => {
+    const meta = sceneManager?.addEdgeFeature(type, edgeSize);
+    if (meta && onSelectObject) {
+      onSelectObject(meta.mesh);
     }
-    return object;
   };
 
-  const handleAddBox = () => handleAddPrimitive(createBox);
-  const handleAddSphere = () => handleAddPrimitive(createSphere);
-  const handleAddCylinder = () => handleAddPrimitive(createCylinder);
+  const booleanOperations = [
+    { id: 'union', icon: '∪', label: 'Union of the selected objects' },
+    { id: 'subtract', icon: '−', label: 'Subtract the other selected objects from the first' },
+    { id: 'intersect', icon: '∩', label: 'Intersection of the selected objects' }
+  ];
 
   const transformModes = [
     { id: 'select', icon: '🖱️', label: 'Select (Q)' },
@@ -94,14 +180,160 @@ export const Toolbar = ({ sceneManager, onSelectObject, transformMode, onTransfo
         borderRadius: '4px',
         marginLeft: '8px'
       }}>
-        <Button onClick={handleAddBox} title="Add Box">
-          <span style={{ fontSize: '16px' }}>📦</span>
+        {listPrimitives().map((primitive) => (
+          <Button key={primitive.type} onClick={() => handleAddPrimitive(primitive.type)} title={`Add ${primitive.label}`}>
+            <span style={{ fontSize: '16px' }}>{primitive.icon}</span>
+          </Button>
+        ))}
+      </div>
+
+      <div style={{
+        display: 'flex',
+        gap: '8px',
+        padding: '4px',
+        background: 'rgba(255,255,255,0.1)',
+        borderRadius: '4px',
+        marginLeft: '8px'
+      }}>
+        {booleanOperations.map((operation) => (
+          <Button
+            key={operation.id}
+            onClick={() => handleBoolean(operation.id)}
+            title={operation.label}
+          >
+            <span style={{ fontSize: '16px' }}>{operation.icon}</span>
+          </Button>
+        ))}
+      </div>
+
+      <div style={{
+        display: 'flex',
+        gap: '8px',
+        padding: '4px',
+        background: 'rgba(255,255,255,0.1)',
+        borderRadius: '4px',
+        marginLeft: '8px'
+      }}>
+        <Button
+          onClick={() => handleTogglePickMode('edge')}
+          title="Pick edges (shift+click for several)"
+          style={pickModeStyle('edge')}
+        >
+          <span style={{ fontSize: '16px' }}>📐</span>
+        </Button>
+        <Button onClick={() => handleEdgeFeature('Fillet')} title="Fillet the picked edges">
+          <span style={{ fontSize: '16px' }}>◜</span>
+        </Button>
+        <Button onClick={() => handleEdgeFeature('Chamfer')} title="Chamfer the picked edges">
+          <span style={{ fontSize: '16px' }}>◸</span>
         </Button>
-        <Button onClick={handleAddSphere} title="Add Sphere">
-          <span style={{ fontSize: '16px' }}>⚪</span>
+        <input
+          type="number"
+          step="0.05"
+          min="0.01"
+          value={edgeSize}
+          onChange={(e) => setEdgeSize(parseFloat(e.target.value) || 0)}
+          title="Fillet radius or chamfer distance"
+          style={{ width: '60px' }}
+        />
+      </div>
+
+      <div style={{
+        display: 'flex',
+        gap: '8px',
+        padding: '4px',
+        background: 'rgba(255,255,255,0.1)',
+        borderRadius: '4px',
+        marginLeft: '8px'
+      }}>
+        <Button
+          onClick={() => handleTogglePickMode('face')}
+          title="Pick faces (shift+click for several), then drag a picked face to push or pull it"
+          style={pickModeStyle('face')}
+        >
+          <span style={{ fontSize: '16px' }}>▱</span>
+        </Button>
+        <Button onClick={handlePushPull} title="Push or pull the picked face by the distance">
+          <span style={{ fontSize: '16px' }}>⇕</span>
+        </Button>
+        <input
+          type="number"
+          step="0.1"
+          value={pushPullDistance}
+          onChange={(e) => setPushPullDistance(parseFloat(e.target.value) || 0)}
+          title="Push/pull distance: out when positive, in when negative"
+          style={{ width: '60px' }}
+        />
+        <Button onClick={handleShell} title="Shell the selected object, leaving the picked faces open">
+          <span style={{ fontSize: '16px' }}>⬚</span>
+        </Button>
+        <input
+          type="number"
+          step="0.05"
+          min="0.01"
+          value={shellThickness}
+          onChange={(e) => setShellThickness(parseFloat(e.target.value) || 0)}
+          title="Shell wall thickness"
+          style={{ width: '60px' }}
+        />
+      </div>
+
+      <div style={{
+        display: 'flex',
+        gap: '8px',
+        padding: '4px',
+        background: 'rgba(255,255,255,0.1)',
+        borderRadius: '4px',
+        marginLeft: '8px'
+      }}>
+        <Button onClick={() => handlePattern('linear')} title="Linear pattern of the selected object">
+          <span style={{ fontSize: '16px' }}>⋯</span>
+        </Button>
+        <Button onClick={() => handlePattern('circular')} title="Circular pattern of the selected object">
+          <span style={{ fontSize: '16px' }}>✺</span>
+        </Button>
+        <input
+          type="number"
+          step="1"
+          min="1"
+          value={patternCount}
+          onChange={(e) => setPatternCount(parseInt(e.target.value, 10) || 1)}
+          title="Number of copies"
+          style={{ width: '50px' }}
+        />
+        <Button onClick={handleMirror} title="Mirror the selected objects across the chosen plane">
+          <span style={{ fontSize: '16px' }}>⇋</span>
+        </Button>
+        <select
+          value={mirrorPlane}
+          onChange={(e) => setMirrorPlane(e.target.value)}
+          title="Plane to mirror across"
+        >
+          <option value="YZ">YZ plane</option>
+          <option value="XZ">XZ plane</option>
+          <option value="XY">XY plane</option>
+          <option value="face">Picked face</option>
+          <option value="sketch">Sketch line</option>
+        </select>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px' }} title="Join the reflection and the object">
+          <input type="checkbox" checked={mirrorMerge} onChange={(e) => setMirrorMerge(e.target.checked)} />
+          Merge
+        </label>
+      </div>
+
+      <div style={{
+        display: 'flex',
+        gap: '8px',
+        padding: '4px',
+        background: 'rgba(255,255,255,0.1)',
+        borderRadius: '4px',
+        marginLeft: '8px'
+      }}>
+        <Button onClick={handleGroup} title="Group the selected objects (alt+click picks an object inside a group)">
+          <span style={{ fontSize: '16px' }}>⧉</span>
         </Button>
-        <Button onClick={handleAddCylinder} title="Add Cylinder">
-          <span style={{ fontSize: '16px' }}>🪣</span>
+        <Button onClick={handleUngroup} title="Ungroup the selected group">
+          <span style={{ fontSize: '16px' }}>⧈</span>
         </Button>
       </div>
     </div>
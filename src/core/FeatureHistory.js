@@ -0,0 +1,334 @@
+import * as THREE from 'three';
+import { consumedObjectIds, linkedSketchIds, replaceLinkedSketch } from './features';
+import { SCENE_EVENTS } from './sceneEvents';
+
+/**
+ * Ordered history of the objects made in a scene, like the feature tree of a CAD
+ * model. Each entry keeps what is needed to make its object again: type, name,
+ * params and transform. Replaying the entries in order through
+ * SceneManager.createObject rebuilds the model, which is how rollback,
+ * suppression and reordering take effect. Objects keep their id across
+ * rebuilds, so features still find the objects they were built from.
+ * Entries also keep the group each object sits in, with its transform
+ * relative to that group, so rebuilds put the objects back into their groups,
+ * in the order the outliner shows them.
+ */
+export class FeatureHistory {
+  /**
+   * @param {import('./SceneManager').default} sceneManager - Owner of the objects
+   */
+  constructor(sceneManager) {
+    this.sceneManager = sceneManager;
+    this.entries = [];
+    this.rollbackIndex = null; // Number of entries built, the rest are rolled back; null builds them all
+    this.replaying = false; // Set while the history itself makes or updates objects
+  }
+
+  // Number of entries before the rollback marker
+  get activeCount() {
+    return this.rollbackIndex ?? this.entries.length;
+  }
+
+  // Position of an object's entry, -1 if it has none
+  indexOf(id) {
+    return this.entries.findIndex(entry => entry.id === id);
+  }
+
+  // Add the entry of an object just made; while rolled back it goes before the marker
+  record(meta) {
+    if (this.replaying || this.indexOf(meta.id) !== -1) return;
+
+    const entry = { id: meta.id, type: meta.type, suppressed: false, built: true };
+    this.captureEntry(entry, meta);
+    this.entries.splice(this.activeCount, 0, entry);
+    if (this.rollbackIndex !== null) this.rollbackIndex++;
+  }
+
+  // Drop the entry of an object that was deleted
+  forget(id) {
+    const index = this.indexOf(id);
+    if (this.replaying || index === -1) return;
+
+    this.entries.splice(index, 1);
+    if (this.rollbackIndex !== null && index < this.rollbackIndex) this.rollbackIndex--;
+  }
+
+  // Forget every entry, e.g. before a scene is imported
+  clear() {
+    this.entries = [];
+    this.rollbackIndex = null;
+  }
+
+  // Copy the current state of an object into its entry. An object hidden because a built feature
+  // stands in for it counts as shown, so it shows again once no feature does.
+  captureEntry(entry, meta, consumed = this.consumedIds()) {
+    const { mesh } = meta;
+    entry.name = mesh.name;
+    entry.params = meta.params;
+    entry.position = mesh.position.toArray();
+    entry.rotation = mesh.rotation.toArray();
+    entry.scale = mesh.scale.toArray();
+    entry.visible = mesh.visible || consumed.has(meta.id);
+    entry.locked = Boolean(mesh.userData.locked);
+
+    // An object shown outside its group while the group is not built still belongs to the group
+    const placement = entry.parent && !this.sceneManager.objects.has(entry.parent) ? this.placementOf(entry) : null;
+    if (!placement || placement.parentId !== this.sceneManager.getParentId(mesh)) {
+      entry.parent = this.sceneManager.getParentId(mesh);
+      return;
+    }
+
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    mesh.updateMatrix();
+    mesh.matrix.clone().premultiply(placement.offset.invert()).decompose(position, quaternion, scale);
+    entry.position = position.toArray();
+    entry.rotation = new THREE.Euler().setFromQuaternion(quaternion, mesh.rotation.order).toArray();
+    entry.scale = scale.toArray();
+  }
+
+  // Copy the current state of every built object into the history
+  capture() {
+    const consumed = this.consumedIds();
+    this.entries.forEach(entry => {
+      const meta = this.sceneManager.objects.get(entry.id);
+      if (meta) this.captureEntry(entry, meta, consumed);
+    });
+  }
+
+  // Ids of the objects built features stand in for (boolean operands, bodies of edge features...)
+  consumedIds() {
+    const ids = new Set();
+    this.sceneManager.objects.forEach(meta => {
+      consumedObjectIds(meta.type, meta.params).forEach(id => ids.add(id));
+    });
+    return ids;
+  }
+
+  // Hide the objects built features stand in for
+  hideConsumed() {
+    this.consumedIds().forEach(id => {
+      const meta = this.sceneManager.objects.get(id);
+      if (meta) meta.mesh.visible = false;
+    });
+  }
+
+  // Show objects again that no built feature stands in for any more, e.g. after a boolean was deleted
+  showReleased(ids) {
+    const consumed = this.consumedIds();
+    ids.forEach(id => {
+      const meta = this.sceneManager.objects.get(id);
+      if (!meta || consumed.has(id)) return;
+      meta.mesh.visible = true;
+      this.sceneManager.notify(SCENE_EVENTS.OBJECT_CHANGED, { object: meta.mesh });
+    });
+  }
+
+  // Ids of the objects an entry is built from (sketches, boolean operands, bodies of cuts and edge features);
+  // it has to stay after them
+  dependenciesOf(entry) {
+    const params = entry.params || {};
+    return [
+      ...linkedSketchIds(params),
+      ...(params.operands || []).map(operand => operand.id),
+      ...(params.base ? [params.base.id] : []),
+      ...(params.target ? [params.target.id] : [])
+    ];
+  }
+
+  // Get the param changes that give a feature the current data of the objects it is built from
+  resolveLinks(params = {}) {
+    const changes = linkedSketchIds(params).reduce((resolved, sketchId) => {
+      const source = this.sceneManager.objects.get(sketchId);
+      if (source?.type !== 'Sketch') return resolved;
+      return { ...resolved, ...replaceLinkedSketch({ ...params, ...resolved }, sketchId, source.params.sketch) };
+    }, {});
+
+    const refresh = operand => {
+      const source = this.sceneManager.objects.get(operand.id);
+      return source ? { ...operand, type: source.type, params: source.params } : operand;
+    };
+    if (params.operands) changes.operands = params.operands.map(refresh);
+    if (params.base) changes.base = refresh(params.base);
+    if (params.target) changes.target = refresh(params.target);
+    return changes;
+  }
+
+  /**
+   * Regenerates, in history order, the features made after an object that
+   * changed and built from it, directly or through other features
+   * @param {string} id - Id of the changed object
+   * @returns {boolean} False if a feature could not be rebuilt; it then keeps its last shape
+   */
+  regenerate(id) {
+    const changed = new Set([id]);
+    let rebuilt = true;
+
+    this.replaying = true;
+    try {
+      this.entries.slice(this.indexOf(id) + 1).forEach(entry => {
+        const meta = this.sceneManager.objects.get(entry.id);
+        if (!meta || !this.dependenciesOf(meta).some(dependency => changed.has(dependency))) return;
+
+        if (this.sceneManager.updateFeature(entry.id, this.resolveLinks(meta.params))) {
+          changed.add(entry.id);
+        } else {
+          console.warn(`${meta.mesh.name || meta.type} keeps its last shape: it cannot be rebuilt from its new inputs`);
+          rebuilt = false;
+        }
+      });
+    } finally {
+      this.replaying = false;
+    }
+    return rebuilt;
+  }
+
+  // Remove the objects of the history and make the built entries again, in order
+  rebuild() {
+    const manager = this.sceneManager;
+    manager.setSolo(null);
+    this.capture();
+    manager.deselectObject();
+    const order = this.outlineOrder();
+
+    this.replaying = true;
+    try {
+      this.entries.forEach(entry => manager.removeObject(entry.id));
+      this.entries.forEach((entry, index) => {
+        entry.built = !entry.suppressed && index < this.activeCount && this.replay(entry);
+      });
+      this.restoreHierarchy();
+      this.restoreOrder(order);
+      this.hideConsumed();
+    } finally {
+      this.replaying = false;
+    }
+    // Suppressing or moving entries that are not built changes no object, so report the history itself
+    manager.notify(SCENE_EVENTS.HISTORY_CHANGED, { history: this });
+  }
+
+  // Make the object of an entry again under its old id
+  replay(entry) {
+    const manager = this.sceneManager;
+    const params = { ...entry.params, ...this.resolveLinks(entry.params) };
+    const meta = manager.createObject(entry.type, { ...params, name: entry.name, position: entry.position });
+    if (!meta) {
+      console.warn(`${entry.name || entry.type} cannot be rebuilt from its params`);
+      return false;
+    }
+
+    manager.objects.delete(meta.id);
+    meta.id = entry.id;
+    meta.mesh.uuid = entry.id;
+    manager.objects.set(entry.id, meta);
+
+    meta.mesh.position.fromArray(entry.position);
+    meta.mesh.rotation.fromArray(entry.rotation);
+    meta.mesh.scale.fromArray(entry.scale);
+    meta.mesh.visible = entry.visible;
+    meta.mesh.userData.locked = entry.locked;
+    manager.notify(SCENE_EVENTS.TRANSFORM_CHANGED, { object: meta.mesh });
+    return true;
+  }
+
+  /**
+   * Finds where an object goes when its group is not built: the nearest built group above it,
+   * placed by the transforms of the groups in between
+   * @param {Object} entry - Entry of an object in a group
+   * @returns {{parentId: string|null, offset: THREE.Matrix4}} Null parentId for the top of the scene
+   */
+  placementOf(entry) {
+    const offset = new THREE.Matrix4();
+    let parentId = entry.parent;
+    while (parentId && !this.sceneManager.objects.has(parentId)) {
+      const group = this.entries[this.indexOf(parentId)];
+      if (group) {
+        offset.premultiply(new THREE.Matrix4().compose(
+          new THREE.Vector3().fromArray(group.position),
+          new THREE.Quaternion().setFromEuler(new THREE.Euler().fromArray(group.rotation)),
+          new THREE.Vector3().fromArray(group.scale)
+        ));
+      }
+      parentId = group?.parent ?? null;
+    }
+    return { parentId, offset };
+  }
+
+  // Put the rebuilt objects back into their groups, or where placementOf puts them while a group is not built
+  restoreHierarchy() {
+    const manager = this.sceneManager;
+    this.entries.forEach(entry => {
+      const meta = manager.objects.get(entry.id);
+      if (!meta || !entry.parent) return;
+
+      const { parentId, offset } = this.placementOf(entry);
+      meta.mesh.applyMatrix4(offset);
+      (parentId ? manager.objects.get(parentId).mesh : manager.scene).add(meta.mesh);
+    });
+  }
+
+  // Ids of the objects in the order they appear in the scene tree
+  outlineOrder() {
+    const order = [];
+    this.sceneManager.scene.traverse(object => {
+      if (this.sceneManager.objects.has(object.uuid)) order.push(object.uuid);
+    });
+    return order;
+  }
+
+  // Sort rebuilt objects among their siblings as they were before, objects not seen before going last
+  restoreOrder(order) {
+    const rank = new Map(order.map((id, index) => [id, index]));
+    const rankOf = object => rank.get(object.uuid) ?? order.length;
+    const parents = new Set([...this.sceneManager.objects.values()].map(meta => meta.mesh.parent).filter(Boolean));
+    parents.forEach(parent => {
+      const slots = parent.children
+        .map((child, index) => (this.sceneManager.objects.has(child.uuid) ? index : -1))
+        .filter(index => index !== -1);
+      const sorted = slots.map(index => parent.children[index]).sort((a, b) => rankOf(a) - rankOf(b));
+      slots.forEach((slot, index) => { parent.children[slot] = sorted[index]; });
+    });
+  }
+
+  // Build only the first entries (null builds them all) and rebuild
+  rollbackTo(count) {
+    this.rollbackIndex = count === null || count >= this.entries.length ? null : Math.max(0, count);
+    this.rebuild();
+  }
+
+  // Leave an entry out of the model, or bring it back, and rebuild
+  setSuppressed(id, suppressed) {
+    const entry = this.entries[this.indexOf(id)];
+    if (!entry) return false;
+
+    entry.suppressed = suppressed;
+    this.rebuild();
+    return true;
+  }
+
+  /**
+   * Moves an entry to another position in the history and rebuilds
+   * @param {string} id - Id of the entry's object
+   * @param {number} toIndex - New position
+   * @returns {boolean} False if an entry would come before an object it is built from
+   */
+  move(id, toIndex) {
+    const from = this.indexOf(id);
+    if (from === -1 || toIndex < 0 || toIndex >= this.entries.length || toIndex === from) return false;
+
+    const order = [...this.entries];
+    order.splice(toIndex, 0, ...order.splice(from, 1));
+    const positions = new Map(order.map((entry, index) => [entry.id, index]));
+    const broken = order.find((entry, index) =>
+      this.dependenciesOf(entry).some(dependency => positions.get(dependency) > index));
+    if (broken) {
+      console.warn(`${broken.name || broken.type} has to stay after the objects it is built from`);
+      return false;
+    }
+
+    this.entries = order;
+    this.rebuild();
+    return true;
+  }
+}
@@ -16,8 +16,29 @@ const getTransformControls = async () => {
 
 const transformControlsPromise = getTransformControls();
 
-import { buildEdgesFromGeometry, triangleToFaceMapFromGeometry } from './primitives';
+import { buildEdgesFromGeometry, findPlanarFace, triangleToFaceMapFromGeometry } from './primitives';
+import { getPrimitive, resolvePrimitiveParams } from './primitiveRegistry';
 import { SketchMode } from './SketchMode';
+import { SnapEngine } from './SnapEngine';
+import { FeatureHistory } from './FeatureHistory';
+import {
+  FEATURE_BUILDERS,
+  FEATURE_DEFAULTS,
+  buildSketchWireGeometry,
+  createFeatureMaterial,
+  buildBooleanGeometry,
+  buildPatternInstances,
+  movePlanarFace,
+  remapLinkedObjects,
+  consumedObjectIds,
+  MIRROR_PLANES,
+  sketchLinePlane
+} from './features';
+import { deserializeFrame, frameToMatrix } from './sketchPlane';
+import { Sketch } from './Sketch';
+import { solveSketch } from './sketchSolver';
+import { SCENE_EVENTS } from './sceneEvents';
+import { isTextEntry } from '../utils/domUtils';
 
 const SKETCH_MODES = {
   NONE: 'none',
@@ -25,12 +46,15 @@ const SKETCH_MODES = {
   CIRCLE: 'sketch-circle'
 };
 
-export default class SceneManager {
-  constructor({ scene, camera, renderer, domElement }) {
+// Dispatches SCENE_EVENTS (see sceneEvents.js) so panels follow the scene without polling it
+export default class SceneManager extends THREE.EventDispatcher {
+  constructor({ scene, camera, renderer, domElement, controls = null }) {
+    super();
     this.scene = scene;
     this.camera = camera;
     this.renderer = renderer;
     this.domElement = domElement;
+    this.controls = controls; // Camera controls, paused while something is dragged
     
     this.edgeThreshold = 0.1;
     this.highlightedFace = null;
@@ -39,6 +63,7 @@ export default class SceneManager {
     this.selected = { type: null, id: null };
     this.objects = new Map();
     this.raycaster = new THREE.Raycaster();
+    this.raycaster.params.Line.threshold = 0.1; // Sketch wires are picked within this distance
     this.mouse = new THREE.Vector2();
     this.highlighted = null;
     this.highlightMaterial = new THREE.MeshStandardMaterial({ 
@@ -46,31 +71,73 @@ export default class SceneManager {
       emissive: 0x444400,
       emissiveIntensity: 0.5
     });
+    this.lineHighlightMaterial = new THREE.LineBasicMaterial({ color: 0xffff00 });
     this.defaultMaterials = new WeakMap();
     
     this.sketchMode = SKETCH_MODES.NONE;
     this.sketchStartPoint = null;
     this.sketchPreview = null;
-    this.drawPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
     this.gridSize = 0.5;
     
     this.transformControls = null;
     this.currentTransformMode = 'translate';
+    this.pickMode = 'object'; // 'object' selects whole objects, 'edge' their edges, 'face' their planar faces
+    this.pushPullDrag = null; // Face being pushed or pulled with the pointer
+    this.solo = null; // Object shown on its own, with the objects hidden for it
+    this.version = 0; // Counts the events dispatched, so readers can tell the scene changed
     
     this._camera = camera;
     this._domElement = domElement;
     
+    this.history = new FeatureHistory(this);
+    this.snapEngine = new SnapEngine(this);
     this.sketchMode = new SketchMode(this);
     
     this.onKeyDown = this.onKeyDown.bind(this);
     window.addEventListener('keydown', this.onKeyDown);
     
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.domElement.addEventListener('pointerdown', this.onPointerDown);
+    this.onPushPullMove = this.onPushPullMove.bind(this);
+    this.onPushPullEnd = this.onPushPullEnd.bind(this);
+    
     this.render = this.render.bind(this);
     this.dispose = this.dispose.bind(this);
     
     this.initializeTransformControls();
   }
   
+  // The plane sketches are drawn on: the ground plane or the picked face
+  get drawPlane() {
+    return this.sketchMode.drawPlane;
+  }
+  
+  // The currently selected mesh, if any
+  get selectedObject() {
+    return this.selected?.object || null;
+  }
+
+  // The selected object followed by those shift-clicked with it
+  get selectedObjects() {
+    return this.selected?.object ? [this.selected.object, ...(this.selected.others || []).map(item => item.object)] : [];
+  }
+  
+  // Get the metadata registered for a mesh
+  getObjectMeta(object) {
+    return (object && this.objects.get(object.uuid)) || null;
+  }
+
+  // Dispatch one of the SCENE_EVENTS, e.g. after a panel changed an object directly
+  notify(type, detail = {}) {
+    this.version++;
+    this.dispatchEvent({ type, ...detail });
+  }
+
+  // Tell listeners the selection changed
+  notifySelection() {
+    this.notify(SCENE_EVENTS.SELECTION_CHANGED, { objects: this.selectedObjects });
+  }
+  
   async initializeTransformControls() {
     try {
       await new Promise(resolve => requestAnimationFrame(resolve));
@@ -127,10 +194,14 @@ export default class SceneManager {
       
       this.transformControls.addEventListener('objectChange', () => {
         if (this.transformControls?.object) {
+          this.snapMovedObject(this.transformControls.object);
           this.transformControls.object.updateMatrixWorld();
+          this.notify(SCENE_EVENTS.TRANSFORM_CHANGED, { object: this.transformControls.object });
         }
       });
       
+      this.transformControls.addEventListener('mouseUp', () => this.snapEngine.clearMarker());
+      
       return true;
       
     } catch (error) {
@@ -141,6 +212,9 @@ export default class SceneManager {
   }
   
   onKeyDown(event) {
+    // W, E and R typed into a field (e.g. renaming an object) are text, not gizmo shortcuts
+    if (isTextEntry(event.target)) return;
+    
     if (!this.transformControls) {
       this.setupTransformControls();
       if (!this.transformControls) return;
@@ -174,27 +248,81 @@ export default class SceneManager {
       this.deselectObject();
     }
     
-    // Store the selected object
+    // Store the selected object, as a whole rather than a face or edges of it
+    this.selected.type = 'object';
     this.selected.object = object;
     this.selected.originalMaterial = object.material;
     
-    // Apply highlight material
-    object.material = this.highlightMaterial;
+    // Apply highlight material; a group shows as selected through its members
+    if (object.isGroup) {
+      this.selected.members = this.highlightMembers(object);
+    } else {
+      object.material = object.isLine ? this.lineHighlightMaterial : this.highlightMaterial;
+    }
     
-    // Attach to transform controls
-    if (this.transformControls) {
+    // Attach to transform controls; sketches stay on their plane
+    if (this.transformControls && this.getObjectMeta(object)?.type !== 'Sketch') {
       this.transformControls.attach(object);
       this.transformControls.setMode(this.currentTransformMode);
     }
+    this.notifySelection();
+  }
+  
+  // Add an object to the selection of the selected object, or take it out again
+  toggleSelection(object) {
+    if (!this.selected.object) {
+      this.selectObject(object);
+      return;
+    }
+
+    const others = this.selected.others || (this.selected.others = []);
+    const index = others.findIndex(item => item.object === object);
+    if (index !== -1) {
+      this.restoreMaterials([others[index]]);
+      others.splice(index, 1);
+    } else if (object.isGroup) {
+      others.push({ object, members: this.highlightMembers(object) });
+    } else {
+      others.push({ object, originalMaterial: object.material });
+      object.material = object.isLine ? this.lineHighlightMaterial : this.highlightMaterial;
+    }
+    this.notifySelection();
+  }
+
+  // Highlight the meshes and wires of a group, nested groups included
+  highlightMembers(group) {
+    const members = [];
+    group.traverse(member => {
+      if (member === group || !this.objects.has(member.uuid) || !(member.isMesh || member.isLine)) return;
+      members.push({ object: member, originalMaterial: member.material });
+      member.material = member.isLine ? this.lineHighlightMaterial : this.highlightMaterial;
+    });
+    return members;
+  }
+
+  // Give selected objects, or the members of selected groups, their own materials back
+  restoreMaterials(items = []) {
+    items.forEach(({ object, originalMaterial, members }) => {
+      if (members) {
+        this.restoreMaterials(members);
+      } else {
+        object.material = originalMaterial;
+      }
+    });
   }
   
   deselectObject() {
     if (!this.selected.object) return;
+    this.clearHighlight();
     
     // Restore original material
     if (this.selected.originalMaterial) {
       this.selected.object.material = this.selected.originalMaterial;
     }
+    this.restoreMaterials(this.selected.members);
+    this.restoreMaterials(this.selected.others);
+    this.selected.members = [];
+    this.selected.others = [];
     
     // Detach from transform controls
     if (this.transformControls) {
@@ -204,32 +332,14 @@ export default class SceneManager {
     // Clear selection
     this.selected.object = null;
     this.selected.originalMaterial = null;
-  }
-  
-  // Cleanup method
-  dispose() {
-    // Remove event listeners
-    this.domElement.removeEventListener('pointerdown', this.onPointerDown);
-    this.domElement.removeEventListener('pointermove', this.onPointerMove);
-    this.domElement.removeEventListener('pointerup', this.onPointerUp);
-    window.removeEventListener('keydown', this.onKeyDown);
-    
-    // Clean up transform controls
-    if (this.transformControls) {
-      this.scene.remove(this.transformControls);
-      this.transformControls.dispose();
-    }
-    
-    // Clean up other resources
-    if (this.sketchMode && this.sketchMode.dispose) {
-      this.sketchMode.dispose();
-    }
+    this.notifySelection();
   }
   
   // Pointer event handlers
   onPointerDown(event) {
-    // Skip if transform controls are in use
+    // Skip if transform controls are in use or a sketch tool owns the pointer
     if (this.transformControls?.dragging) return;
+    if (this.sketchMode.mode !== SKETCH_MODES.NONE) return;
     
     const rect = this.domElement.getBoundingClientRect();
     const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
@@ -242,24 +352,52 @@ export default class SceneManager {
     // Update the raycaster
     this.raycaster.setFromCamera(this.mouse, this.camera);
     
-    // Check for object intersections
-    const intersects = this.raycaster.intersectObjects(this.scene.children, true);
+    // Check for intersections with the objects the manager tracks
+    const pickables = Array.from(this.objects.values())
+      .map(meta => meta.mesh)
+      .filter(mesh => mesh.visible);
+    const intersects = this.raycaster.intersectObjects(pickables, true);
     
     if (intersects.length > 0) {
-      // Find the first non-helper object that was clicked
+      // Find the first non-helper object that was clicked; locked objects let clicks through
       const clickedObject = intersects.find(item => 
         !item.object.isTransformControls && 
         !item.object.isGridHelper &&
-        item.object.visible
+        item.object.visible &&
+        !this.isLocked(item.object)
       );
       
       if (clickedObject) {
-        // If the same object is clicked again, deselect it
-        if (this.selected.object === clickedObject.object) {
+        if (this.pickMode === 'edge') {
+          this.handleEdgeSelection(clickedObject.object, clickedObject.point, this.getObjectMeta(clickedObject.object), event.shiftKey);
+          return;
+        }
+
+        // Pressing a selected face starts pushing or pulling it, any other face is selected
+        // (shift+click adds faces of the same object or takes them out)
+        if (this.pickMode === 'face') {
+          const { object, face, faceIndex, point } = clickedObject;
+          if (!event.shiftKey && this.selected.type === 'face' && this.selected.object === object &&
+            this.selected.triangles.includes(faceIndex)) {
+            this.startPushPull(point, faceIndex);
+          } else if (object.isMesh) {
+            this.handleFaceSelection(object, face, point, this.getObjectMeta(object), faceIndex, event.shiftKey);
+          }
+          return;
+        }
+
+        // A click picks the outermost group of an object, alt+click the object itself
+        const picked = event.altKey ? clickedObject.object : this.getOutermostGroup(clickedObject.object);
+        
+        // Shift+click adds objects to the selection, or takes them out
+        if (event.shiftKey && this.selected.object && this.selected.object !== picked) {
+          this.toggleSelection(picked);
+        } else if (this.selected.object === picked) {
+          // If the same object is clicked again, deselect it
           this.deselectObject();
         } else {
           // Select the clicked object
-          this.selectObject(clickedObject.object);
+          this.selectObject(picked);
         }
         return;
       }
@@ -267,19 +405,6 @@ export default class SceneManager {
     
     // If we get here, we clicked on empty space - deselect any selected object
     this.deselectObject();
-    
-    // Handle sketch mode if active
-    if (this.sketchMode !== SKETCH_MODES.NONE) {
-      const intersection = new THREE.Vector3();
-      if (this.raycaster.ray.intersectPlane(this.drawPlane, intersection)) {
-        // Snap to grid
-        this.sketchStartPoint = new THREE.Vector3(
-          Math.round(intersection.x / this.gridSize) * this.gridSize,
-          0,
-          Math.round(intersection.z / this.gridSize) * this.gridSize
-        );
-      }
-    }
   }
 
   onPointerMove(event) {
@@ -293,12 +418,7 @@ export default class SceneManager {
       
       const intersection = new THREE.Vector3();
       if (raycaster.ray.intersectPlane(this.drawPlane, intersection)) {
-        // Snap to grid
-        const endPoint = new THREE.Vector3(
-          Math.round(intersection.x / this.gridSize) * this.gridSize,
-          0,
-          Math.round(intersection.z / this.gridSize) * this.gridSize
-        );
+        const endPoint = this.getSnappedPoint(intersection);
         
         this.updateSketchPreview(endPoint);
       }
@@ -316,12 +436,7 @@ export default class SceneManager {
       
       const intersection = new THREE.Vector3();
       if (raycaster.ray.intersectPlane(this.drawPlane, intersection)) {
-        // Snap to grid
-        const endPoint = new THREE.Vector3(
-          Math.round(intersection.x / this.gridSize) * this.gridSize,
-          0,
-          Math.round(intersection.z / this.gridSize) * this.gridSize
-        );
+        const endPoint = this.getSnappedPoint(intersection);
         
         this.completeSketch(endPoint);
       }
@@ -334,6 +449,46 @@ export default class SceneManager {
     this.renderer.render(this.scene, this.camera);
   }
   
+  // Snap a point on the draw plane to nearby scene geometry, or else to the grid
+  getSnappedPoint(point) {
+    const target = this.snapEngine.snapToPlane(point, this.drawPlane);
+    this.snapEngine.showTarget(target);
+    if (target) return target.point;
+    
+    return new THREE.Vector3(
+      Math.round(point.x / this.gridSize) * this.gridSize,
+      0,
+      Math.round(point.z / this.gridSize) * this.gridSize
+    );
+  }
+  
+  // While translating, pull the object so one of its vertices, edge midpoints or
+  // face centers lands on the nearest one of another object, along the dragged axes only
+  snapMovedObject(object) {
+    if (this.currentTransformMode !== 'translate') return;
+    
+    const target = this.snapEngine.snapObject(object);
+    this.snapEngine.showTarget(target);
+    if (!target) return;
+    
+    // Drop the offset along the axes the gizmo holds still, in the gizmo's space
+    const axes = this.transformControls.axis || 'XYZ';
+    const space = this.transformControls.space === 'local'
+      ? object.getWorldQuaternion(new THREE.Quaternion())
+      : new THREE.Quaternion();
+    const offset = target.offset.clone().applyQuaternion(space.clone().invert());
+    ['x', 'y', 'z'].forEach(axis => {
+      if (!axes.includes(axis.toUpperCase())) offset[axis] = 0;
+    });
+    offset.applyQuaternion(space);
+    
+    // Express the world offset in the parent's space
+    if (object.parent) {
+      offset.applyQuaternion(object.parent.getWorldQuaternion(new THREE.Quaternion()).invert());
+    }
+    object.position.add(offset);
+  }
+  
   updateSketchPreview(endPoint) {
     // Implementation of updateSketchPreview
     if (this.sketchPreview) {
@@ -400,8 +555,8 @@ export default class SceneManager {
     }
 
     try {
-      // Add the mesh to the scene if it's not already added
-      if (mesh.parent !== this.scene) {
+      // Add the mesh to the scene unless it already sits in it or in a group
+      if (!mesh.parent) {
         this.scene.add(mesh);
       }
 
@@ -411,11 +566,13 @@ export default class SceneManager {
         mesh,
         type,
         params,
-        faces: mesh.geometry ? triangleToFaceMapFromGeometry(mesh.geometry) : {},
-        edges: mesh.geometry ? buildEdgesFromGeometry(mesh.geometry) : []
+        faces: mesh.isMesh ? triangleToFaceMapFromGeometry(mesh.geometry) : {},
+        edges: mesh.isMesh ? buildEdgesFromGeometry(mesh.geometry) : []
       };
       
       this.objects.set(id, meta);
+      this.history.record(meta);
+      this.notify(SCENE_EVENTS.OBJECT_ADDED, { object: mesh });
       return meta;
     } catch (error) {
       console.error('Error adding object to scene:', error);
@@ -423,136 +580,831 @@ export default class SceneManager {
     }
   }
 
-  addBox({ width = 1, height = 1, depth = 1, name = 'Box', position = [0, 0, 0] }) {
-    const geometry = new THREE.BoxGeometry(width, height, depth);
-    const material = new THREE.MeshStandardMaterial({ 
-      color: 0x8888ff,
-      metalness: 0.3,
-      roughness: 0.8 
+  // Add a registered primitive shape, e.g. 'Box' or 'Torus', from its params; missing ones take
+  // the defaults of its schema
+  addPrimitive(type, { name, position = [0, 0, 0], ...values } = {}) {
+    const primitive = getPrimitive(type);
+    if (!primitive) {
+      console.warn(`Unknown primitive type: ${type}`);
+      return null;
+    }
+
+    const params = resolvePrimitiveParams(primitive.type, values);
+    const geometry = primitive.build(params);
+    if (!geometry) {
+      console.error(`Cannot build a ${primitive.label} from these params`);
+      return null;
+    }
+
+    const { color = 0xcccccc, metalness = 0.3, roughness = 0.6, doubleSided = false } = primitive.material;
+    const material = new THREE.MeshStandardMaterial({
+      color,
+      metalness,
+      roughness,
+      side: doubleSided ? THREE.DoubleSide : THREE.FrontSide
     });
     const mesh = new THREE.Mesh(geometry, material);
     mesh.position.set(...position);
-    mesh.name = name;
-    this.scene.add(mesh);
-    
-    const id = mesh.uuid;
-    const meta = {
-      id,
-      mesh,
-      type: 'Box',
-      params: { width, height, depth },
-      faces: triangleToFaceMapFromGeometry(geometry),
-      edges: buildEdgesFromGeometry(geometry)
-    };
-    this.objects.set(id, meta);
+    mesh.name = name || primitive.label;
+
+    return this.addObject({ mesh, type: primitive.type, params });
+  }
+
+  // Change the params of a primitive and rebuild its geometry in place: the transform and material
+  // stay, the face/edge metadata is recomputed and features built from it follow
+  updatePrimitive(id, changes = {}) {
+    const meta = this.objects.get(id);
+    const primitive = getPrimitive(meta?.type);
+    if (!primitive) return null;
+
+    const params = resolvePrimitiveParams(primitive.type, { ...meta.params, ...changes });
+    const geometry = primitive.build(params);
+    if (!geometry) {
+      console.warn(`${meta.mesh.name || primitive.label} keeps its shape: it cannot be built from these params`);
+      return null;
+    }
+
+    // Picked faces and edges are triangle and vertex indices of the old geometry
+    if (this.selected.object === meta.mesh && this.selected.type !== 'object') {
+      this.deselectObject();
+      this.selected = { type: null, object: null };
+    }
+    this.replaceGeometry(meta, geometry);
+    meta.params = params;
+    this.notify(SCENE_EVENTS.PARAMS_CHANGED, { object: meta.mesh });
+
+    if (!this.history.replaying) this.history.regenerate(id);
     return meta;
   }
 
-  addSphere({ radius = 1, widthSegments = 32, heightSegments = 16, name = 'Sphere', position = [0, 0, 0] }) {
-    const geometry = new THREE.SphereGeometry(radius, widthSegments, heightSegments);
-    const material = new THREE.MeshStandardMaterial({ 
-      color: 0xff8888,
-      metalness: 0.3,
-      roughness: 0.4 
-    });
-    const mesh = new THREE.Mesh(geometry, material);
+  addBox(options = {}) {
+    return this.addPrimitive('Box', options);
+  }
+
+  addSphere(options = {}) {
+    return this.addPrimitive('Sphere', options);
+  }
+
+  addCylinder(options = {}) {
+    return this.addPrimitive('Cylinder', options);
+  }
+
+  addExtrude({ type = 'Extruded', name = type, position = [0, 0, 0], ...settings } = {}) {
+    const buildGeometry = FEATURE_BUILDERS[type];
+    if (!buildGeometry) {
+      console.error(`Unknown sketch feature type: ${type}`);
+      return null;
+    }
+
+    const params = { ...FEATURE_DEFAULTS[type], ...settings };
+    const geometry = buildGeometry(params);
+    if (!geometry) {
+      console.error(`Cannot build a ${type} feature: the sketch has no usable profile`);
+      return null;
+    }
+
+    const mesh = new THREE.Mesh(geometry, createFeatureMaterial());
     mesh.position.set(...position);
     mesh.name = name;
-    this.scene.add(mesh);
-    
-    const id = mesh.uuid;
-    const meta = {
-      id,
-      mesh,
-      type: 'Sphere',
-      params: { radius, widthSegments, heightSegments },
-      faces: triangleToFaceMapFromGeometry(geometry),
-      edges: buildEdgesFromGeometry(geometry)
-    };
-    this.objects.set(id, meta);
+
+    const meta = this.addObject({ mesh, type, params });
+    // A cut takes the place of the body it was cut from
+    if (consumedObjectIds(type, params).length > 0) this.history.hideConsumed();
     return meta;
   }
 
-  addCylinder({ 
-    radiusTop = 1, 
-    radiusBottom = 1, 
-    height = 2, 
-    radialSegments = 16, 
-    name = 'Cylinder',
-    position = [0, 0, 0] 
-  } = {}) {
-    const geometry = new THREE.CylinderGeometry(
-      radiusTop,
-      radiusBottom,
-      height,
-      radialSegments
-    );
-    const material = new THREE.MeshStandardMaterial({ 
-      color: 0x88ff88,
-      metalness: 0.2,
-      roughness: 0.7
+  // Repeat an object along a direction ('linear') or around an axis ('circular') as a pattern feature:
+  // one instanced mesh drawing the object's geometry at each copy. The object stays, and the pattern
+  // keeps its type, params and placement so it follows changes to the object's params.
+  addPattern(settings = {}, object = this.selectedObject) {
+    const source = this.getObjectMeta(object);
+    if (!source?.mesh.isMesh) {
+      console.error('Select a mesh to pattern first');
+      return null;
+    }
+
+    this.deselectObject();
+    source.mesh.updateMatrixWorld();
+    return this.addPatternMesh({
+      ...settings,
+      base: { id: source.id, type: source.type, params: source.params },
+      matrix: source.mesh.matrixWorld.toArray()
     });
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.set(...position);
+  }
+
+  // Make the instanced mesh of a pattern from its params, placed where the object patterned was
+  addPatternMesh({ name = 'Pattern', position, ...settings } = {}) {
+    const params = { ...FEATURE_DEFAULTS.Pattern, ...settings };
+    const instances = buildPatternInstances(params);
+    if (!instances) {
+      console.error('Cannot build the pattern: its object cannot be rebuilt, or its direction or axis has no length');
+      return null;
+    }
+
+    const source = this.objects.get(params.base.id);
+    const material = source?.mesh.material.clone() || createFeatureMaterial();
+    const mesh = new THREE.InstancedMesh(instances.geometry, material, instances.matrices.length);
+    this.setPatternInstances(mesh, instances.matrices);
+    new THREE.Matrix4().fromArray(params.matrix).decompose(mesh.position, mesh.quaternion, mesh.scale);
+    if (position) mesh.position.set(...position);
     mesh.name = name;
-    this.scene.add(mesh);
-    
-    const id = mesh.uuid;
-    const meta = {
-      id,
-      mesh,
-      type: 'Cylinder',
-      params: { radiusTop, radiusBottom, height, radialSegments },
-      faces: triangleToFaceMapFromGeometry(geometry),
-      edges: buildEdgesFromGeometry(geometry)
-    };
-    this.objects.set(id, meta);
+
+    return this.addObject({ mesh, type: 'Pattern', params });
+  }
+
+  // Place the copies of a pattern, growing its instance buffer when there are more of them
+  setPatternInstances(mesh, matrices) {
+    if (matrices.length > mesh.instanceMatrix.count) {
+      mesh.instanceMatrix = new THREE.InstancedBufferAttribute(new Float32Array(matrices.length * 16), 16);
+    }
+    mesh.count = matrices.length;
+    matrices.forEach((matrix, i) => mesh.setMatrixAt(i, matrix));
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.computeBoundingSphere();
+  }
+
+  // Change the settings of a sketch feature (extrusion, revolve) and regenerate its mesh in place
+  updateFeature(id, changes = {}) {
+    const meta = this.objects.get(id);
+    const buildGeometry = FEATURE_BUILDERS[meta?.type];
+    if (!buildGeometry) return null;
+
+    const params = { ...meta.params, ...changes };
+    // Patterns draw the geometry of their object once per copy rather than all copies as one
+    const instances = meta.mesh.isInstancedMesh ? buildPatternInstances(params) : null;
+    const geometry = meta.mesh.isInstancedMesh ? instances?.geometry : buildGeometry(params);
+    if (!geometry) return null;
+
+    this.replaceGeometry(meta, geometry);
+    if (instances) this.setPatternInstances(meta.mesh, instances.matrices);
+    // A cut or a merged mirror stands in for its body, an extrusion or a plain mirror sits beside it
+    const consumedBefore = consumedObjectIds(meta.type, meta.params);
+    const consumed = consumedObjectIds(meta.type, params);
+    meta.params = params;
+    if (consumed.some(consumedId => !consumedBefore.includes(consumedId))) this.history.hideConsumed();
+    this.history.showReleased(consumedBefore.filter(consumedId => !consumed.includes(consumedId)));
+    this.notify(SCENE_EVENTS.PARAMS_CHANGED, { object: meta.mesh });
+
+    // Features built from this one follow it, unless the history is regenerating them itself
+    if (!this.history.replaying) this.history.regenerate(id);
     return meta;
   }
 
-  addExtrude(shape, settings = {}) {
-    const { 
-      amount = 1, 
-      bevelEnabled = true, 
-      bevelThickness = 0.1, 
-      bevelSize = 0.1,
-      name = 'Extruded',
-      position = [0, 0, 0]
-    } = settings;
-
-    const extrudeSettings = {
-      steps: 2,
-      depth: amount,
-      bevelEnabled,
-      bevelThickness,
-      bevelSize,
-      bevelSegments: 1
+  // Combine two or more meshes into a boolean feature: their union, the first minus the others,
+  // or their intersection. The result takes the first mesh's place and the operands are hidden;
+  // their types, params and placements stay in the result's params so it can be evaluated again.
+  addBoolean(operation, objects = this.selectedObjects, { name } = {}) {
+    const operandMetas = objects.map(object => this.getObjectMeta(object)).filter(meta => meta?.mesh.isMesh);
+    if (operandMetas.length < 2) {
+      console.error('A boolean needs two or more meshes');
+      return null;
+    }
+
+    const [base] = operandMetas;
+    operandMetas.forEach(meta => meta.mesh.updateMatrixWorld());
+    const toBase = base.mesh.matrixWorld.clone().invert();
+    const params = {
+      operation,
+      operands: operandMetas.map(meta => ({
+        id: meta.id,
+        type: meta.type,
+        params: meta.params,
+        matrix: toBase.clone().multiply(meta.mesh.matrixWorld).toArray()
+      }))
     };
 
-    const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-    const material = new THREE.MeshStandardMaterial({ 
-      color: 0x88ffff,
-      metalness: 0.1,
-      roughness: 0.8
+    const geometry = buildBooleanGeometry(params);
+    if (!geometry) {
+      console.error(`The ${operation} of these objects leaves nothing, or one of them cannot be rebuilt`);
+      return null;
+    }
+
+    const mesh = new THREE.Mesh(geometry, createFeatureMaterial());
+    base.mesh.matrixWorld.decompose(mesh.position, mesh.quaternion, mesh.scale);
+    mesh.name = name || `${operation[0].toUpperCase()}${operation.slice(1)}`;
+
+    this.deselectObject();
+    operandMetas.forEach(meta => {
+      meta.mesh.visible = false;
     });
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.set(...position);
+    return this.addObject({ mesh, type: 'Boolean', params });
+  }
+
+  // Pick whole objects ('object'), their edges ('edge') or their faces ('face') with the pointer
+  setPickMode(mode) {
+    this.pickMode = mode;
+    this.deselectObject();
+  }
+
+  // Round ('Fillet') or bevel ('Chamfer') the selected edges of a mesh into a new feature. The mesh is
+  // hidden; its type and params stay in the feature's params with the edges, so the size can be changed later.
+  addEdgeFeature(type, size, { objectMeta, edges } = this.selected) {
+    const base = objectMeta;
+    if (!base?.mesh.isMesh || !edges?.length) {
+      console.error(`Select the edges of a mesh to ${type.toLowerCase()} first`);
+      return null;
+    }
+
+    const params = {
+      size,
+      edges: edges.map(edge => [...edge]),
+      base: { id: base.id, type: base.type, params: base.params }
+    };
+    const geometry = FEATURE_BUILDERS[type](params);
+    if (!geometry) {
+      console.error(`Cannot ${type.toLowerCase()} these edges by ${size}: each has to join two faces at a convex angle`);
+      return null;
+    }
+
+    const mesh = new THREE.Mesh(geometry, createFeatureMaterial());
+    mesh.position.copy(base.mesh.position);
+    mesh.quaternion.copy(base.mesh.quaternion);
+    mesh.scale.copy(base.mesh.scale);
+    base.mesh.parent?.add(mesh); // In the mesh's group, where the copied transform holds
+    mesh.name = type;
+
+    this.deselectObject();
+    base.mesh.visible = false;
+    return this.addObject({ mesh, type, params });
+  }
+
+  // Move the selected planar face of a mesh along its normal, out for a positive distance and in for a
+  // negative one; the side faces stretch to follow. Makes a push/pull feature and hides the mesh, or adds
+  // the distance to the push/pull feature that already moved this face.
+  addPushPull(distance, { objectMeta, faceIndex } = this.selected) {
+    const base = objectMeta;
+    if (!base?.mesh.isMesh || faceIndex === undefined || faceIndex === null) {
+      console.error('Select a face of a mesh to push or pull first');
+      return null;
+    }
+
+    if (base.type === 'PushPull' &&
+      findPlanarFace(base.mesh.geometry, base.params.faceIndex)?.triangles.includes(faceIndex)) {
+      return this.updateFeature(base.id, { distance: base.params.distance + distance });
+    }
+
+    const params = {
+      base: { id: base.id, type: base.type, params: base.params },
+      faceIndex,
+      distance
+    };
+    const geometry = FEATURE_BUILDERS.PushPull(params);
+    if (!geometry) {
+      console.error(`Cannot push or pull this face: ${base.mesh.name || base.type} cannot be rebuilt from its params`);
+      return null;
+    }
+
+    const mesh = new THREE.Mesh(geometry, createFeatureMaterial());
+    mesh.position.copy(base.mesh.position);
+    mesh.quaternion.copy(base.mesh.quaternion);
+    mesh.scale.copy(base.mesh.scale);
+    base.mesh.parent?.add(mesh);
+    mesh.name = 'Push/Pull';
+
+    this.deselectObject();
+    base.mesh.visible = false;
+    return this.addObject({ mesh, type: 'PushPull', params });
+  }
+
+  // Hollow a mesh into walls of the given thickness, leaving the selected faces open (none when the
+  // whole object is selected). The mesh is hidden; its type and params stay in the shell's params
+  // with the thickness and removed faces, so both can be changed later.
+  addShell(thickness, selection = this.selected) {
+    const base = selection.type === 'face' ? selection.objectMeta : this.getObjectMeta(selection.object);
+    if (!base?.mesh.isMesh) {
+      console.error('Select a mesh, or the faces to remove from it, to shell first');
+      return null;
+    }
+
+    const params = {
+      base: { id: base.id, type: base.type, params: base.params },
+      thickness,
+      removedFaces: selection.type === 'face' ? [...selection.faceIndices] : []
+    };
+    const geometry = FEATURE_BUILDERS.Shell(params);
+    if (!geometry) {
+      console.error(`Cannot shell ${base.mesh.name || base.type} with walls of ${thickness}: they have to fit inside it`);
+      return null;
+    }
+
+    const mesh = new THREE.Mesh(geometry, createFeatureMaterial());
+    mesh.position.copy(base.mesh.position);
+    mesh.quaternion.copy(base.mesh.quaternion);
+    mesh.scale.copy(base.mesh.scale);
+    base.mesh.parent?.add(mesh);
+    mesh.name = 'Shell';
+
+    this.deselectObject();
+    base.mesh.visible = false;
+    return this.addObject({ mesh, type: 'Shell', params });
+  }
+
+  // Get the world plane a mirror reflects across, as {normal, constant}: a named world plane ('YZ', 'XZ'
+  // or 'XY'), 'face' for the plane of the selected face, 'sketch' for the plane through the first line of
+  // a selected sketch object at right angles to its sketch, or a plane given as {normal, constant}
+  resolveMirrorPlane(plane, selection = this.selected) {
+    if (MIRROR_PLANES[plane]) return MIRROR_PLANES[plane];
+    if (plane?.normal) return plane;
+
+    if (plane === 'face') {
+      const { objectMeta, faceIndex } = selection;
+      const region = selection.type === 'face' && findPlanarFace(objectMeta.mesh.geometry, faceIndex);
+      if (!region) {
+        console.error('Select a planar face to mirror across first');
+        return null;
+      }
+
+      const { mesh } = objectMeta;
+      mesh.updateMatrixWorld();
+      const index = mesh.geometry.index;
+      const corner = index ? index.getX(faceIndex * 3) : faceIndex * 3;
+      const world = new THREE.Plane().setFromNormalAndCoplanarPoint(
+        region.normal.clone().applyNormalMatrix(new THREE.Matrix3().getNormalMatrix(mesh.matrixWorld)),
+        new THREE.Vector3().fromBufferAttribute(mesh.geometry.attributes.position, corner).applyMatrix4(mesh.matrixWorld)
+      );
+      return { normal: world.normal.toArray(), constant: world.constant };
+    }
+
+    if (plane === 'sketch') {
+      const sketchMeta = this.selectedObjects.map(object => this.getObjectMeta(object)).find(meta => meta?.type === 'Sketch');
+      const world = sketchMeta && sketchLinePlane(sketchMeta.params.sketch, sketchMeta.params.frame);
+      if (!world) console.error('Select a sketch object with a line to mirror across first');
+      return world || null;
+    }
+
+    console.warn(`Unknown mirror plane: ${plane}`);
+    return null;
+  }
+
+  // Reflect the selected meshes (or the mesh of the selected face) across a plane (see resolveMirrorPlane)
+  // as mirror features, one per mesh. The reflection is a new object beside the mesh, or with merge the
+  // mesh and its reflection joined into one body that hides the mesh. Each feature keeps its mesh's type,
+  // params and placement so it follows changes to its params.
+  addMirror(plane, { merge = false, objects } = {}) {
+    const selection = this.selected;
+    const targets = objects || (selection.type === 'face' ? [selection.object] : this.selectedObjects);
+    const sources = targets.map(object => this.getObjectMeta(object)).filter(meta => meta?.mesh.isMesh);
+    if (sources.length === 0) {
+      console.error('Select the meshes to mirror first');
+      return [];
+    }
+
+    const worldPlane = this.resolveMirrorPlane(plane, selection);
+    if (!worldPlane) return [];
+
+    this.deselectObject();
+    return sources.map(source => {
+      source.mesh.updateMatrixWorld();
+      const meta = this.addMirrorMesh({
+        name: 'Mirror',
+        base: { id: source.id, type: source.type, params: source.params },
+        matrix: source.mesh.matrixWorld.toArray(),
+        plane: worldPlane,
+        merge
+      });
+      if (meta && merge) source.mesh.visible = false;
+      return meta;
+    }).filter(Boolean);
+  }
+
+  // Make the mesh of a mirror feature from its params, placed where the object mirrored was
+  addMirrorMesh({ name = 'Mirror', position, ...settings } = {}) {
+    const params = { ...FEATURE_DEFAULTS.Mirror, ...settings };
+    const geometry = FEATURE_BUILDERS.Mirror(params);
+    if (!geometry) {
+      console.error('Cannot build the mirror: its object cannot be rebuilt, or the union with its reflection is empty');
+      return null;
+    }
+
+    const mesh = new THREE.Mesh(geometry, createFeatureMaterial());
+    new THREE.Matrix4().fromArray(params.matrix).decompose(mesh.position, mesh.quaternion, mesh.scale);
+    if (position) mesh.position.set(...position);
     mesh.name = name;
-    this.scene.add(mesh);
-    
-    const id = mesh.uuid;
-    const meta = {
-      id,
-      mesh,
-      type: 'Extruded',
-      params: { ...settings },
-      faces: triangleToFaceMapFromGeometry(geometry),
-      edges: buildEdgesFromGeometry(geometry)
+
+    return this.addObject({ mesh, type: 'Mirror', params });
+  }
+
+  // Start dragging a selected face along its normal. The mesh previews the move until the
+  // pointer is released, then addPushPull makes it a feature.
+  startPushPull(point, faceIndex = this.selected.faceIndex) {
+    const { object, face, objectMeta } = this.selected;
+    const region = findPlanarFace(object.geometry, faceIndex);
+    if (!region) return;
+
+    object.updateMatrixWorld();
+    this.pushPullDrag = {
+      object,
+      face,
+      faceIndex,
+      objectMeta,
+      geometry: object.geometry.clone(),
+      origin: object.worldToLocal(point.clone()),
+      normal: region.normal,
+      distance: 0
     };
-    this.objects.set(id, meta);
+
+    if (this.controls) this.controls.enabled = false;
+    this.domElement.addEventListener('pointermove', this.onPushPullMove);
+    this.domElement.addEventListener('pointerup', this.onPushPullEnd);
+  }
+
+  // Point the raycaster at the pointer position of an event
+  updateRaycaster(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    this.raycaster.setFromCamera(this.mouse, this.camera);
+  }
+
+  onPushPullMove(event) {
+    const drag = this.pushPullDrag;
+    if (!drag) return;
+
+    // The distance is where the pointer ray passes closest to the line through the
+    // pressed point along the face normal, measured in the mesh's own units
+    this.updateRaycaster(event);
+    const ray = this.raycaster.ray.clone().applyMatrix4(drag.object.matrixWorld.clone().invert());
+    const reach = 1e4;
+    const closest = new THREE.Vector3();
+    ray.distanceSqToSegment(
+      drag.origin.clone().addScaledVector(drag.normal, -reach),
+      drag.origin.clone().addScaledVector(drag.normal, reach),
+      undefined,
+      closest
+    );
+    drag.distance = Math.round(closest.sub(drag.origin).dot(drag.normal) / this.gridSize * 10) * this.gridSize / 10;
+
+    const preview = movePlanarFace(drag.geometry.clone(), drag.faceIndex, drag.distance);
+    if (preview) {
+      this.replaceGeometry(drag.objectMeta, preview);
+      this.highlightFace(drag.object, drag.face, drag.objectMeta, this.selected.triangles);
+    }
+  }
+
+  onPushPullEnd() {
+    const drag = this.pushPullDrag;
+    this.pushPullDrag = null;
+    this.domElement.removeEventListener('pointermove', this.onPushPullMove);
+    this.domElement.removeEventListener('pointerup', this.onPushPullEnd);
+    if (this.controls) this.controls.enabled = true;
+    if (!drag) return;
+
+    // Put back the mesh as it was, then make the move a feature
+    this.replaceGeometry(drag.objectMeta, drag.geometry);
+    const meta = drag.distance !== 0 ? this.addPushPull(drag.distance, drag) : drag.objectMeta;
+    if (meta) {
+      this.handleFaceSelection(meta.mesh, drag.face, null, meta, drag.faceIndex);
+    }
+  }
+
+  // Change a driving dimension of a feature's sketch, re-solve the sketch and rebuild the feature
+  setSketchDimension(id, constraintId, value) {
+    const meta = this.objects.get(id);
+    const source = this.getSketchSource(meta);
+    if (!source?.params.sketch || !(value > 0)) return null;
+
+    const sketch = new Sketch(source.params.sketch);
+    const dimension = sketch.constraints.find(constraint => constraint.id === constraintId);
+    if (!dimension || dimension.value === undefined) return null;
+    dimension.value = value;
+
+    // Keep the first point in place so the profile grows away from it
+    const anchor = sketch.points[0];
+    const drag = anchor && { id: anchor.id, x: anchor.x, y: anchor.y };
+    let { solved } = solveSketch(sketch, { drag });
+    if (!solved) ({ solved } = solveSketch(sketch));
+    if (!solved) {
+      console.warn(`Dimension ${constraintId} cannot be set to ${value}: the sketch has no solution`);
+      return null;
+    }
+
+    if (!this.updateSketch(id, sketch.toJSON())) return null;
+    this.sketchMode.reloadSketchEdit(source);
     return meta;
   }
 
+  // Keep a sketch as a scene object: its entities drawn as a wire on its plane.
+  // Features built from it refer to it by id (params.sketchId) and follow its changes.
+  addSketch({ sketch, frame, name = 'Sketch', visible = true }) {
+    const mesh = new THREE.LineSegments(
+      buildSketchWireGeometry(sketch),
+      new THREE.LineBasicMaterial({ color: 0x00aaff })
+    );
+    frameToMatrix(deserializeFrame(frame)).decompose(mesh.position, mesh.quaternion, mesh.scale);
+    mesh.name = name;
+    mesh.visible = visible;
+
+    return this.addObject({ mesh, type: 'Sketch', params: { sketch, frame } });
+  }
+
+  // Get the object holding the sketch of an object: the sketch object a feature was built from,
+  // or the object itself (a sketch, or a feature without a sketch object)
+  getSketchSource(meta) {
+    if (!meta) return null;
+    return this.objects.get(meta.params?.sketchId) || meta;
+  }
+
+  // Change the sketch of a sketch object, or of a feature, and rebuild every feature made from it.
+  // Returns false if a feature could not be rebuilt; it then keeps its last shape.
+  updateSketch(id, sketchData) {
+    const source = this.getSketchSource(this.objects.get(id));
+    if (!source) return false;
+    if (source.type !== 'Sketch') {
+      return Boolean(this.updateFeature(source.id, { sketch: sketchData }));
+    }
+
+    source.params = { ...source.params, sketch: sketchData };
+    source.mesh.geometry.dispose();
+    source.mesh.geometry = buildSketchWireGeometry(sketchData);
+    this.notify(SCENE_EVENTS.PARAMS_CHANGED, { object: source.mesh });
+
+    return this.history.regenerate(source.id);
+  }
+
+  // Add an empty group. Its origin is the pivot its members move, turn and scale around.
+  addGroup({ name = 'Group', position = [0, 0, 0] } = {}) {
+    const group = new THREE.Group();
+    group.position.set(...position);
+    group.name = name;
+
+    return this.addObject({ mesh: group, type: 'Group', params: {} });
+  }
+
+  // Put objects into a new group, pivoting on the center of their bounds. The group goes where the
+  // objects were if they shared a group, and each object keeps its place in the world.
+  groupObjects(objects = this.selectedObjects, { name } = {}) {
+    const metas = objects.map(object => this.getObjectMeta(object)).filter(Boolean);
+    if (metas.length === 0) {
+      console.error('Select the objects to group first');
+      return null;
+    }
+
+    const parents = new Set(metas.map(meta => meta.mesh.parent));
+    const parent = parents.size === 1 ? [...parents][0] : this.scene;
+    const bounds = new THREE.Box3();
+    metas.forEach(meta => bounds.expandByObject(meta.mesh));
+    const pivot = bounds.isEmpty() ? new THREE.Vector3() : bounds.getCenter(new THREE.Vector3());
+    parent.updateMatrixWorld();
+
+    this.deselectObject();
+    const group = this.addGroup({ name, position: parent.worldToLocal(pivot).toArray() });
+    parent.add(group.mesh);
+    group.mesh.updateMatrixWorld();
+    metas.forEach(meta => {
+      group.mesh.attach(meta.mesh);
+      this.notify(SCENE_EVENTS.TRANSFORM_CHANGED, { object: meta.mesh });
+    });
+    return group;
+  }
+
+  // Dissolve a group: its members move up to the group's parent, keeping their place in the world
+  ungroupObject(object = this.selectedObject) {
+    const meta = this.getObjectMeta(object);
+    if (meta?.type !== 'Group') {
+      console.error('Select a group to ungroup first');
+      return [];
+    }
+
+    this.deselectObject();
+    const members = meta.mesh.children.map(child => this.getObjectMeta(child)).filter(Boolean);
+    members.forEach(member => {
+      meta.mesh.parent.attach(member.mesh);
+      this.notify(SCENE_EVENTS.TRANSFORM_CHANGED, { object: member.mesh });
+    });
+    this.removeObject(meta.id);
+    return members;
+  }
+
+  // Move an object into a group, or back to the top of the scene with null, keeping its place in the world.
+  // It goes before the sibling given, or after the other objects in its new parent.
+  setParent(object, parent = null, before = null) {
+    const meta = this.getObjectMeta(object);
+    const target = parent ? this.getObjectMeta(parent) : null;
+    if (!meta || (parent && target?.type !== 'Group')) {
+      console.error('Objects can only be moved into groups');
+      return false;
+    }
+
+    for (let ancestor = target?.mesh; ancestor; ancestor = ancestor.parent) {
+      if (ancestor === meta.mesh) {
+        console.error('A group cannot be moved into itself');
+        return false;
+      }
+    }
+
+    const container = target?.mesh || this.scene;
+    container.attach(meta.mesh);
+    if (before && before !== meta.mesh && before.parent === container) {
+      const { children } = container;
+      children.splice(children.indexOf(meta.mesh), 1);
+      children.splice(children.indexOf(before), 0, meta.mesh);
+    }
+    this.notify(SCENE_EVENTS.TRANSFORM_CHANGED, { object: meta.mesh });
+    return true;
+  }
+
+  // Get the outermost group an object sits in, or the object itself outside groups
+  getOutermostGroup(object) {
+    let outermost = object;
+    for (let ancestor = object.parent; ancestor && ancestor !== this.scene; ancestor = ancestor.parent) {
+      if (this.getObjectMeta(ancestor)?.type === 'Group') outermost = ancestor;
+    }
+    return outermost;
+  }
+
+  // Get the id of the group an object sits in, null at the top of the scene
+  getParentId(object) {
+    return object.parent && object.parent !== this.scene ? object.parent.uuid : null;
+  }
+
+  // Whether an object, or a group it sits in, is locked against picking
+  isLocked(object) {
+    for (let ancestor = object; ancestor && ancestor !== this.scene; ancestor = ancestor.parent) {
+      if (ancestor.userData.locked) return true;
+    }
+    return false;
+  }
+
+  // Lock an object so clicks in the viewport pass through it, or unlock it again
+  setLocked(object, locked) {
+    const meta = this.getObjectMeta(object);
+    if (!meta) {
+      console.error('Only objects in the scene can be locked');
+      return false;
+    }
+
+    meta.mesh.userData.locked = locked;
+    if (locked && this.selectedObjects.some(selected => this.isLocked(selected))) this.deselectObject();
+    this.notify(SCENE_EVENTS.OBJECT_CHANGED, { object: meta.mesh });
+    return true;
+  }
+
+  // Show only an object, with the groups around it and its members; null shows the other objects again
+  setSolo(object = null) {
+    if (this.solo) {
+      this.solo.hidden.forEach(mesh => { mesh.visible = true; });
+      this.notify(SCENE_EVENTS.OBJECT_CHANGED, { object: this.solo.object });
+      this.solo = null;
+    }
+    if (!object) return true;
+
+    const meta = this.getObjectMeta(object);
+    if (!meta) {
+      console.error('Only objects in the scene can be isolated');
+      return false;
+    }
+
+    const kept = new Set();
+    meta.mesh.traverse(child => kept.add(child));
+    for (let ancestor = meta.mesh.parent; ancestor; ancestor = ancestor.parent) kept.add(ancestor);
+    const hidden = [...this.objects.values()]
+      .map(({ mesh }) => mesh)
+      .filter(mesh => mesh.visible && !kept.has(mesh));
+    hidden.forEach(mesh => { mesh.visible = false; });
+    this.solo = { object: meta.mesh, hidden };
+    this.notify(SCENE_EVENTS.OBJECT_CHANGED, { object: meta.mesh });
+    return true;
+  }
+
+  // Copy an object, with the members of a group, into its parent right after it and select the copy
+  duplicateObject(object = this.selectedObject) {
+    const meta = this.getObjectMeta(object);
+    if (!meta) {
+      console.error('Select an object to duplicate first');
+      return null;
+    }
+
+    const copy = this.copyObject(meta, meta.mesh.parent);
+    if (!copy) return null;
+
+    const { children } = meta.mesh.parent;
+    children.splice(children.indexOf(copy.mesh), 1);
+    children.splice(children.indexOf(meta.mesh) + 1, 0, copy.mesh);
+    copy.mesh.name = `${meta.mesh.name} copy`;
+    this.selectObject(copy.mesh);
+    return copy;
+  }
+
+  // Make an object again from its type and params, with the same transform, inside a parent
+  copyObject(meta, parent) {
+    const copy = this.createObject(meta.type, { ...structuredClone(meta.params), name: meta.mesh.name });
+    if (!copy) return null;
+
+    copy.mesh.position.copy(meta.mesh.position);
+    copy.mesh.quaternion.copy(meta.mesh.quaternion);
+    copy.mesh.scale.copy(meta.mesh.scale);
+    copy.mesh.visible = meta.mesh.visible;
+    parent.add(copy.mesh);
+    meta.mesh.children
+      .map(child => this.getObjectMeta(child))
+      .filter(Boolean)
+      .forEach(member => this.copyObject(member, copy.mesh));
+    return copy;
+  }
+
+  // Delete an object; a group goes with everything in it
+  deleteObject(object = this.selectedObject) {
+    const meta = this.getObjectMeta(object);
+    if (!meta) {
+      console.error('Select an object to delete first');
+      return false;
+    }
+
+    const ids = [];
+    meta.mesh.traverse(child => {
+      if (this.objects.has(child.uuid)) ids.push(child.uuid);
+    });
+    ids.reverse().forEach(id => this.removeObject(id));
+    return true;
+  }
+
+  // Point the camera at an object from the current viewing direction, close enough to fill the view
+  focusObject(object = this.selectedObject) {
+    const bounds = object ? new THREE.Box3().setFromObject(object) : null;
+    if (!bounds || bounds.isEmpty()) return false;
+
+    const sphere = bounds.getBoundingSphere(new THREE.Sphere());
+    const target = this.controls?.target || new THREE.Vector3();
+    const direction = this.camera.position.clone().sub(target);
+    if (direction.lengthSq() === 0) direction.set(1, 1, 1);
+    const distance = Math.max(sphere.radius, 0.1) / Math.sin(THREE.MathUtils.degToRad((this.camera.fov ?? 50) / 2));
+
+    this.camera.position.copy(sphere.center).addScaledVector(direction.normalize(), distance);
+    this.camera.lookAt(sphere.center);
+    if (this.controls) {
+      this.controls.target.copy(sphere.center);
+      this.controls.update();
+    }
+    return true;
+  }
+
+  // Create an object of a given type from its saved params, as imports and the feature history do
+  createObject(type, { name, position = [0, 0, 0], ...params } = {}) {
+    if (getPrimitive(type)) {
+      return this.addPrimitive(type, { ...params, name, position });
+    }
+
+    switch (type) {
+      case 'Extruded':
+      case 'Revolved':
+      case 'Swept':
+      case 'Lofted':
+      case 'Boolean':
+      case 'Fillet':
+      case 'Chamfer':
+      case 'PushPull':
+      case 'Shell':
+        return this.addExtrude({ ...params, type, name, position });
+      case 'Pattern':
+        return this.addPatternMesh({ ...params, name, position });
+      case 'Mirror':
+        return this.addMirrorMesh({ ...params, name, position });
+      case 'Sketch':
+        return this.addSketch({ ...params, name });
+      case 'Group':
+        return this.addGroup({ name, position });
+      default:
+        console.warn(`Cannot create an object of type ${type}`);
+        return null;
+    }
+  }
+
+  // Remove an object from the scene and free its geometry and material
+  removeObject(id) {
+    const meta = this.objects.get(id);
+    if (!meta) return false;
+
+    if (this.selectedObjects.includes(meta.mesh)) this.deselectObject();
+    if (this.solo?.object === meta.mesh) this.setSolo(null);
+    if (this.solo) this.solo.hidden = this.solo.hidden.filter(mesh => mesh !== meta.mesh);
+    // The members of a removed group move up to its parent
+    meta.mesh.children
+      .filter(child => this.objects.has(child.uuid))
+      .forEach(child => meta.mesh.parent.attach(child));
+    meta.mesh.removeFromParent();
+    meta.mesh.geometry?.dispose();
+    if (Array.isArray(meta.mesh.material)) {
+      meta.mesh.material.forEach(material => material.dispose());
+    } else {
+      meta.mesh.material?.dispose();
+    }
+
+    this.objects.delete(id);
+    this.history.forget(id);
+    // What a deleted feature stood in for shows again, unless another feature still does
+    if (!this.history.replaying) this.history.showReleased(consumedObjectIds(meta.type, meta.params));
+    this.notify(SCENE_EVENTS.OBJECT_REMOVED, { object: meta.mesh });
+    return true;
+  }
+
+  // Swap an object's geometry and recompute its face/edge metadata
+  replaceGeometry(meta, geometry) {
+    meta.mesh.geometry.dispose();
+    meta.mesh.geometry = geometry;
+    meta.faces = triangleToFaceMapFromGeometry(geometry);
+    meta.edges = buildEdgesFromGeometry(geometry);
+  }
+
   buildFaceEdgeMetadata(mesh) {
     if (!mesh || !mesh.geometry) return null;
     
@@ -982,14 +1834,17 @@ findClosestEdge(object, point, objectMeta) {
 
     this.objects.forEach(meta => {
       const object = meta.mesh;
+      const primitive = getPrimitive(meta.type);
       const objectData = {
         type: meta.type,
         name: object.name,
         uuid: object.uuid,
+        parent: this.getParentId(object), // Transforms are relative to this group
         position: object.position.toArray(),
         rotation: object.rotation.toArray(),
         scale: object.scale.toArray(),
-        params: meta.params,
+        visible: object.visible || Boolean(this.solo?.hidden.includes(object)),
+        params: primitive ? primitive.serialize(meta.params) : meta.params,
         userData: object.userData
       };
       sceneData.objects.push(objectData);
@@ -997,6 +1852,34 @@ findClosestEdge(object, point, objectMeta) {
 
     return JSON.stringify(sceneData, null, 2);
   }
+
+  // Write the type and params of every object into its userData, which SceneExporter saves
+  // along with the scene tree (groups and their members included)
+  syncUserData() {
+    this.objects.forEach(meta => {
+      meta.mesh.userData.objectType = meta.type;
+      meta.mesh.userData.params = meta.params;
+    });
+  }
+
+  // Register the objects of a scene tree loaded with SceneImporter, found by the type and params
+  // syncUserData wrote. The history starts over from them, in tree order.
+  updateObjectMap() {
+    this.selected = { type: null, object: null };
+    this.objects.clear();
+    this.history.clear();
+
+    const found = [];
+    this.scene.traverse(object => {
+      const { objectType, params = {} } = object.userData;
+      // Objects the importer cannot make again (instanced patterns, sketch wires) come back as plain nodes
+      if (objectType && (objectType === 'Group' || object.isMesh || object.isLine)) {
+        found.push({ mesh: object, type: objectType, params });
+      }
+    });
+    found.forEach(item => this.addObject(item));
+    this.notifySelection();
+  }
 // In SceneManager.js, add these methods:
 
 handleSelection(intersect) {
@@ -1014,7 +1897,7 @@ handleSelection(intersect) {
     this.handleEdgeSelection(object, point, objectMeta);
   }
 }
-highlightFace(object, face, objectMeta) {
+highlightFace(object, face, objectMeta, triangles = null) {
   // Clear any existing highlights
   this.clearHighlight();
   
@@ -1033,20 +1916,20 @@ highlightFace(object, face, objectMeta) {
   const geometry = new THREE.BufferGeometry();
   const positionAttribute = object.geometry.getAttribute('position');
   
-  // Get the three vertices of the face
-  const vertices = [
-    new THREE.Vector3().fromBufferAttribute(positionAttribute, face.a),
-    new THREE.Vector3().fromBufferAttribute(positionAttribute, face.b),
-    new THREE.Vector3().fromBufferAttribute(positionAttribute, face.c)
-  ];
+  // Get the three vertices of the face, or of every triangle of its planar face
+  const index = object.geometry.index;
+  const vertexIndices = triangles?.length
+    ? triangles.flatMap(triangle => [0, 1, 2].map(j => index ? index.getX(triangle * 3 + j) : triangle * 3 + j))
+    : [face.a, face.b, face.c];
+  const vertices = vertexIndices.map(i => new THREE.Vector3().fromBufferAttribute(positionAttribute, i));
   
   // Apply object's transform to the vertices
+  object.updateMatrixWorld();
   const matrix = object.matrixWorld;
   vertices.forEach(v => v.applyMatrix4(matrix));
   
   // Create a new geometry for the highlighted face
   const faceGeometry = new THREE.BufferGeometry().setFromPoints(vertices);
-  faceGeometry.setIndex([0, 1, 2]);
   
   // Create and add the highlight mesh
   this.highlightedFace = new THREE.Mesh(faceGeometry, highlightMaterial);
@@ -1056,21 +1939,33 @@ highlightFace(object, face, objectMeta) {
 highlightEdge(object, edge, objectMeta) {
   // Clear any existing highlights
   this.clearHighlight();
+  if (!edge) return;
   
-  // Create a highlight material for edges
+  // Create a highlight material for edges, drawn over the faces they lie on
   const edgeMaterial = new THREE.LineBasicMaterial({
     color: 0xff0000,
-    linewidth: 4
+    linewidth: 4,
+    depthTest: false
   });
   
-  // Create geometry for the edge
-  const edgeGeometry = new THREE.BufferGeometry().setFromPoints([
-    edge.start,
-    edge.end
-  ]);
+  // Create geometry for the edge, or the set of edges, from their vertex indices
+  const mesh = objectMeta?.mesh || object;
+  const position = mesh.geometry.attributes.position;
+  const edges = Array.isArray(edge[0]) ? edge : [edge];
+  const edgeGeometry = new THREE.BufferGeometry().setFromPoints(edges.flatMap(([a, b]) => [
+    new THREE.Vector3().fromBufferAttribute(position, a),
+    new THREE.Vector3().fromBufferAttribute(position, b)
+  ]));
   
-  // Create and add the highlight line
-  this.highlightedEdge = new THREE.Line(edgeGeometry, edgeMaterial);
+  // Create and add the highlight lines where the mesh is
+  this.highlightedEdge = new THREE.LineSegments(edgeGeometry, edgeMaterial);
+  this.highlightedEdge.renderOrder = 999;
+  mesh.updateMatrixWorld();
+  mesh.matrixWorld.decompose(
+    this.highlightedEdge.position,
+    this.highlightedEdge.quaternion,
+    this.highlightedEdge.scale
+  );
   this.scene.add(this.highlightedEdge);
 }
 
@@ -1097,53 +1992,96 @@ clearHighlight() {
     this.defaultMaterial = null;
   }
 }
-handleFaceSelection(object, face, point, objectMeta) {
+handleFaceSelection(object, face, point, objectMeta, faceIndex = null, additive = false) {
+  // The clicked triangle selects the whole planar face it lies on
+  const region = faceIndex !== null ? findPlanarFace(object.geometry, faceIndex) : null;
+  
+  // With additive (shift+click), faces of the same object are added to the selection or taken out
+  let faceIndices = region ? [faceIndex] : [];
+  if (additive && region && this.selected.type === 'face' && this.selected.object === object) {
+    const others = this.selected.faceIndices.filter(index => !region.triangles.includes(index));
+    faceIndices = others.length < this.selected.faceIndices.length ? others : [...this.selected.faceIndices, faceIndex];
+  }
+  
   // Clear previous selection
-  this.clearSelection();
+  this.deselectObject();
+  this.clearHighlight();
+  if (faceIndices.length === 0) {
+    this.selected = { type: null, object: null };
+    this.notifySelection();
+    return;
+  }
   
   // Store selection
   this.selected = {
     type: 'face',
     object,
     face,
+    faceIndex: faceIndices[faceIndices.length - 1],
+    faceIndices,
+    triangles: faceIndices.flatMap(index => findPlanarFace(object.geometry, index)?.triangles || []),
     objectMeta,
     point
   };
   
   // Highlight the face
-  this.highlightFace(object, face, objectMeta);
+  this.highlightFace(object, face, objectMeta, this.selected.triangles);
+  this.notifySelection();
 }
 
-handleEdgeSelection(object, point, objectMeta) {
+handleEdgeSelection(object, point, objectMeta, additive = false) {
   // Find the closest edge
   const edge = this.findClosestEdge(object, point, objectMeta);
   if (!edge) return;
   
+  // With additive (shift+click), edges of the same object are added to the selection or taken out
+  let edges = [edge];
+  if (additive && this.selected.type === 'edge' && this.selected.object === object) {
+    const others = this.selected.edges.filter(item => item !== edge);
+    edges = others.length < this.selected.edges.length ? others : [...this.selected.edges, edge];
+  }
+  
   // Clear previous selection
-  this.clearSelection();
+  this.deselectObject();
+  this.clearHighlight();
+  if (edges.length === 0) {
+    this.selected = { type: null, object: null };
+    this.notifySelection();
+    return;
+  }
   
   // Store selection
   this.selected = {
     type: 'edge',
     object,
     edge,
+    edges,
     objectMeta,
     point
   };
   
-  // Highlight the edge
-  this.highlightEdge(object, edge, objectMeta);
+  // Highlight the edges
+  this.highlightEdge(object, edges, objectMeta);
+  this.notifySelection();
 }
 
 findClosestEdge(object, point, objectMeta) {
-  // Implementation for finding the closest edge to the click point
-  // This is a simplified version - you might need to adjust based on your edge data structure
-  const edges = objectMeta.edges || [];
+  // Find the feature edge nearest to the clicked point, within the edge threshold
+  const edges = objectMeta?.edges || [];
+  const position = object.geometry?.attributes.position;
+  if (!position) return null;
+  
   let closestEdge = null;
   let minDistance = this.edgeThreshold;
+  const line = new THREE.Line3();
+  const closestPoint = new THREE.Vector3();
+  object.updateMatrixWorld();
   
   for (const edge of edges) {
-    const distance = this.distanceToEdge(point, edge, object);
+    line.start.fromBufferAttribute(position, edge[0]);
+    line.end.fromBufferAttribute(position, edge[1]);
+    line.applyMatrix4(object.matrixWorld);
+    const distance = line.closestPointToPoint(point, true, closestPoint).distanceTo(point);
     if (distance < minDistance) {
       minDistance = distance;
       closestEdge = edge;
@@ -1162,36 +2100,17 @@ findClosestEdge(object, point, objectMeta) {
       }
 
       // Clear existing objects
-      this.objects.forEach(meta => {
-        this.scene.remove(meta.mesh);
-        if (meta.mesh.geometry) meta.mesh.geometry.dispose();
-        if (meta.mesh.material) {
-          if (Array.isArray(meta.mesh.material)) {
-            meta.mesh.material.forEach(m => m.dispose());
-          } else {
-            meta.mesh.material.dispose();
-          }
-        }
-      });
-      this.objects.clear();
+      [...this.objects.keys()].forEach(id => this.removeObject(id));
+      this.history.clear();
 
       // Import objects
+      const importedIds = new Map();
+      const grouped = [];
       sceneData.objects.forEach(objData => {
-        let meta;
         const position = objData.position || [0, 0, 0];
-        
-        switch (objData.type) {
-          case 'Box':
-            meta = this.addBox({ ...objData.params, name: objData.name, position });
-            break;
-          case 'Sphere':
-            meta = this.addSphere({ ...objData.params, name: objData.name, position });
-            break;
-          case 'Cylinder':
-            meta = this.addCylinder({ ...objData.params, name: objData.name, position });
-            break;
-          // Handle other types as needed
-        }
+        const primitive = getPrimitive(objData.type);
+        const params = primitive ? primitive.deserialize(objData.params) : objData.params;
+        const meta = this.createObject(objData.type, { ...params, name: objData.name, position });
         
         if (meta && objData.rotation) {
           meta.mesh.rotation.fromArray(objData.rotation);
@@ -1202,6 +2121,26 @@ findClosestEdge(object, point, objectMeta) {
         if (meta && objData.userData) {
           meta.mesh.userData = objData.userData;
         }
+        if (meta && objData.visible === false) {
+          meta.mesh.visible = false;
+        }
+        if (meta && objData.uuid) {
+          importedIds.set(objData.uuid, meta.id);
+        }
+        if (meta && objData.parent) {
+          grouped.push({ meta, parent: objData.parent });
+        }
+      });
+
+      // Groups can come after their members, so members go into them once every object exists
+      grouped.forEach(({ meta, parent }) => {
+        const group = this.objects.get(importedIds.get(parent));
+        if (group) group.mesh.add(meta.mesh);
+      });
+
+      // Features refer to their sketch objects and operands by id, which changed on import
+      this.objects.forEach(meta => {
+        meta.params = remapLinkedObjects(meta.params || {}, importedIds);
       });
 
       return true;
@@ -1257,15 +2196,25 @@ updateTransformControls() {
       }
     });
     
-    // Remove event listeners
+    // Remove event listeners, those of a push/pull drag still in progress included
     this.domElement.removeEventListener('pointerdown', this.onPointerDown);
     this.domElement.removeEventListener('pointermove', this.onPointerMove);
     this.domElement.removeEventListener('pointerup', this.onPointerUp);
+    this.domElement.removeEventListener('pointermove', this.onPushPullMove);
+    this.domElement.removeEventListener('pointerup', this.onPushPullEnd);
+    window.removeEventListener('keydown', this.onKeyDown);
+    
+    // Clean up transform controls
+    if (this.transformControls) {
+      this.scene.remove(this.transformControls);
+      this.transformControls.dispose();
+    }
     
     this.objects.clear();
-    this.transform.dispose();
+    this.snapEngine.dispose();
     this.highlightMaterial.dispose();
-    this.defaultMaterials.clear();
+    this.lineHighlightMaterial.dispose();
+    this.defaultMaterials = new WeakMap();
   }
 }
 
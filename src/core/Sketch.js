@@ -0,0 +1,427 @@
+import * as THREE from 'three';
+import { polygonContains } from '../utils/sketchGeometry';
+
+// Entity fields that hold a point id
+const POINT_REFS = ['p1', 'p2', 'center', 'c1', 'c2'];
+
+/**
+ * A 2D sketch made of points, the entities that connect them and the
+ * constraints between them (see sketchSolver.js).
+ * Coordinates are expressed in the sketch plane's local (x, y) frame.
+ */
+export class Sketch {
+  /**
+   * @param {Object} [data] - Serialized sketch data (see toJSON)
+   * @param {Array} [data.points] - Points as { id, x, y }
+   * @param {Array} [data.entities] - Entities referencing point ids
+   * @param {Array} [data.constraints] - Constraints as { id, type, refs }
+   */
+  constructor({ points = [], entities = [], constraints = [] } = {}) {
+    this.points = points.map(point => ({ ...point }));
+    this.entities = entities.map(entity => structuredClone(entity));
+    this.constraints = constraints.map(constraint => structuredClone(constraint));
+    this.nextId = [...this.points, ...this.entities, ...this.constraints].reduce((next, item) => {
+      const index = parseInt(String(item.id).slice(1), 10);
+      return Number.isFinite(index) ? Math.max(next, index + 1) : next;
+    }, 0);
+  }
+
+  /**
+   * Adds a point to the sketch
+   * @param {number} x
+   * @param {number} y
+   * @returns {Object} The new point
+   */
+  addPoint(x, y) {
+    const point = { id: `p${this.nextId++}`, x, y };
+    this.points.push(point);
+    return point;
+  }
+
+  /**
+   * Gets a point by id
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  getPoint(id) {
+    return this.points.find(point => point.id === id) || null;
+  }
+
+  /**
+   * Adds a line entity between two existing points
+   * @param {Object} p1 - Start point
+   * @param {Object} p2 - End point
+   * @returns {Object} The new line entity
+   */
+  addLine(p1, p2) {
+    const line = { id: `e${this.nextId++}`, type: 'line', p1: p1.id, p2: p2.id };
+    this.entities.push(line);
+    return line;
+  }
+
+  /**
+   * Adds a circular arc entity from p1 to p2 around a center point
+   * @param {Object} p1 - Start point
+   * @param {Object} p2 - End point
+   * @param {Object} center - Center point
+   * @param {boolean} [clockwise=false] - Direction of travel from p1 to p2
+   * @returns {Object} The new arc entity
+   */
+  addArc(p1, p2, center, clockwise = false) {
+    const arc = { id: `e${this.nextId++}`, type: 'arc', p1: p1.id, p2: p2.id, center: center.id, clockwise };
+    this.entities.push(arc);
+    return arc;
+  }
+
+  /**
+   * Adds a Catmull-Rom spline entity from p1 to p2 passing through intermediate points
+   * @param {Object} p1 - Start point
+   * @param {Object} p2 - End point
+   * @param {Array<Object>} through - Intermediate points, in order
+   * @returns {Object} The new spline entity
+   */
+  addSpline(p1, p2, through) {
+    const spline = { id: `e${this.nextId++}`, type: 'spline', p1: p1.id, p2: p2.id, through: through.map(point => point.id) };
+    this.entities.push(spline);
+    return spline;
+  }
+
+  /**
+   * Adds a cubic Bezier entity from p1 to p2
+   * @param {Object} p1 - Start point
+   * @param {Object} p2 - End point
+   * @param {Object} c1 - First control point
+   * @param {Object} c2 - Second control point
+   * @returns {Object} The new bezier entity
+   */
+  addBezier(p1, p2, c1, c2) {
+    const bezier = { id: `e${this.nextId++}`, type: 'bezier', p1: p1.id, p2: p2.id, c1: c1.id, c2: c2.id };
+    this.entities.push(bezier);
+    return bezier;
+  }
+
+  /**
+   * Adds a full circle entity around a center point
+   * @param {Object} center - Center point
+   * @param {number} radius
+   * @returns {Object} The new circle entity
+   */
+  addCircle(center, radius) {
+    const circle = { id: `e${this.nextId++}`, type: 'circle', center: center.id, radius };
+    this.entities.push(circle);
+    return circle;
+  }
+
+  /**
+   * Adds an axis-aligned rectangle as four lines between two opposite corners,
+   * constrained to keep its sides horizontal and vertical
+   * @param {number} x1
+   * @param {number} y1
+   * @param {number} x2
+   * @param {number} y2
+   * @returns {Array<Object>} The four line entities
+   */
+  addRectangle(x1, y1, x2, y2) {
+    const corners = [
+      this.addPoint(x1, y1),
+      this.addPoint(x2, y1),
+      this.addPoint(x2, y2),
+      this.addPoint(x1, y2)
+    ];
+    const lines = corners.map((corner, i) => this.addLine(corner, corners[(i + 1) % corners.length]));
+    lines.forEach((line, i) => this.addConstraint(i % 2 === 0 ? 'horizontal' : 'vertical', [line.id]));
+    return lines;
+  }
+
+  /**
+   * Adds a constraint between points or entities
+   * @param {string} type - Constraint type (see CONSTRAINT_TYPES in sketchSolver.js)
+   * @param {Array<string>} refs - Ids of the constrained points or entities
+   * @param {number} [value] - Driven size, for dimensions
+   * @returns {Object} The new constraint
+   */
+  addConstraint(type, refs, value) {
+    const constraint = { id: `c${this.nextId++}`, type, refs: [...refs] };
+    if (value !== undefined) constraint.value = value;
+    this.constraints.push(constraint);
+    return constraint;
+  }
+
+  /**
+   * Removes a constraint
+   * @param {string} id
+   * @returns {boolean} Whether the constraint existed
+   */
+  removeConstraint(id) {
+    const count = this.constraints.length;
+    this.constraints = this.constraints.filter(constraint => constraint.id !== id);
+    return this.constraints.length !== count;
+  }
+
+  /**
+   * Removes an entity with the constraints on it and the points nothing else uses
+   * @param {string} id
+   * @returns {boolean} Whether the entity existed
+   */
+  removeEntity(id) {
+    const count = this.entities.length;
+    this.entities = this.entities.filter(entity => entity.id !== id);
+    this.constraints = this.constraints.filter(constraint => !constraint.refs.includes(id));
+    this.removeUnusedPoints();
+    return this.entities.length !== count;
+  }
+
+  /**
+   * Removes the points no entity refers to, and the constraints on them
+   */
+  removeUnusedPoints() {
+    const used = new Set(this.entities.flatMap(entity => [
+      ...POINT_REFS.map(key => entity[key]),
+      ...(entity.through || [])
+    ]));
+    const unused = new Set(this.points.filter(point => !used.has(point.id)).map(point => point.id));
+    this.points = this.points.filter(point => !unused.has(point.id));
+    this.constraints = this.constraints.filter(constraint => !constraint.refs.some(ref => unused.has(ref)));
+  }
+
+  /**
+   * Copies the points, entities and constraints of another sketch into this one under new ids
+   * @param {Sketch} other
+   * @param {Function} [mapPoint] - Maps each copied point to its { x, y } in this sketch
+   * @returns {Map<string, string>} Ids in the other sketch mapped to the ids of their copies
+   */
+  addSketch(other, mapPoint = point => point) {
+    const ids = new Map();
+
+    other.points.forEach(point => {
+      const { x, y } = mapPoint(point);
+      ids.set(point.id, this.addPoint(x, y).id);
+    });
+
+    other.entities.forEach(entity => {
+      const copy = { ...structuredClone(entity), id: `e${this.nextId++}` };
+      POINT_REFS.forEach(key => {
+        if (copy[key] !== undefined) copy[key] = ids.get(copy[key]);
+      });
+      if (copy.through) copy.through = copy.through.map(id => ids.get(id));
+      ids.set(entity.id, copy.id);
+      this.entities.push(copy);
+    });
+
+    other.constraints.forEach(constraint => {
+      this.addConstraint(constraint.type, constraint.refs.map(id => ids.get(id)), constraint.value);
+    });
+
+    return ids;
+  }
+
+  /**
+   * Gets the ids of the two end points of an entity
+   * @param {Object} entity
+   * @returns {Array<string>} [startId, endId]
+   */
+  getEndpoints(entity) {
+    return [entity.p1, entity.p2];
+  }
+
+  /**
+   * Finds all closed loops formed by chaining entities through shared end points
+   * @returns {Array<Array<{entity: Object, reversed: boolean}>>} Loops in traversal order
+   */
+  getLoops() {
+    const used = new Set();
+    const loops = [];
+
+    for (const first of this.entities) {
+      if (used.has(first.id)) continue;
+
+      // A circle is a closed loop on its own
+      if (first.type === 'circle') {
+        used.add(first.id);
+        loops.push([{ entity: first, reversed: false }]);
+        continue;
+      }
+
+      const [startId, firstEnd] = this.getEndpoints(first);
+      const loop = [{ entity: first, reversed: false }];
+      const visited = new Set([first.id]);
+      let currentId = firstEnd;
+
+      while (currentId !== startId) {
+        const next = this.entities.find(entity =>
+          entity.type !== 'circle' &&
+          !visited.has(entity.id) &&
+          !used.has(entity.id) &&
+          this.getEndpoints(entity).includes(currentId)
+        );
+        if (!next) break;
+
+        const [a, b] = this.getEndpoints(next);
+        const reversed = b === currentId;
+        loop.push({ entity: next, reversed });
+        visited.add(next.id);
+        currentId = reversed ? a : b;
+      }
+
+      if (currentId === startId) {
+        loop.forEach(({ entity }) => used.add(entity.id));
+        loops.push(loop);
+      }
+    }
+
+    return loops;
+  }
+
+  /**
+   * Finds the open chains of entities, walked from one free end to the other
+   * @returns {Array<Array<{entity: Object, reversed: boolean}>>} Chains in traversal order
+   */
+  getChains() {
+    const open = this.entities.filter(entity => entity.type !== 'circle');
+    const degree = new Map();
+    open.flatMap(entity => this.getEndpoints(entity)).forEach(id => {
+      degree.set(id, (degree.get(id) || 0) + 1);
+    });
+
+    const used = new Set();
+    const chains = [];
+
+    for (const first of open) {
+      if (used.has(first.id)) continue;
+
+      const [a, b] = this.getEndpoints(first);
+      if (degree.get(a) !== 1 && degree.get(b) !== 1) continue;
+
+      const reversed = degree.get(a) !== 1;
+      const chain = [{ entity: first, reversed }];
+      used.add(first.id);
+      let currentId = reversed ? a : b;
+
+      for (;;) {
+        const next = open.find(entity => !used.has(entity.id) && this.getEndpoints(entity).includes(currentId));
+        if (!next) break;
+
+        const [start, end] = this.getEndpoints(next);
+        const nextReversed = end === currentId;
+        chain.push({ entity: next, reversed: nextReversed });
+        used.add(next.id);
+        currentId = nextReversed ? start : end;
+      }
+
+      chains.push(chain);
+    }
+
+    return chains;
+  }
+
+  /**
+   * Converts the closed loops into shapes, detecting nesting: a loop inside an
+   * odd number of others becomes a hole of the loop directly around it, and a
+   * loop inside a hole starts a new shape.
+   * @param {{x: number, y: number}} [origin] - Offset subtracted from every point
+   * @returns {Array<THREE.Shape>}
+   */
+  getShapes(origin = { x: 0, y: 0 }) {
+    const loops = this.getLoops();
+    const polygons = loops.map(loop => this.toPath(loop).getPoints(24));
+    const parents = polygons.map((polygon, i) => (
+      polygons.flatMap((other, j) => (j !== i && polygonContains(other, polygon) ? [j] : []))
+    ));
+
+    const shapes = new Map();
+    loops.forEach((loop, i) => {
+      if (parents[i].length % 2 === 0) {
+        shapes.set(i, this.loopToShape(loop, origin));
+      }
+    });
+    loops.forEach((loop, i) => {
+      const depth = parents[i].length;
+      if (depth % 2 === 0) return;
+
+      const parent = parents[i].find(j => parents[j].length === depth - 1);
+      shapes.get(parent)?.holes.push(this.toPath(loop, origin));
+    });
+
+    return [...shapes.values()];
+  }
+
+  /**
+   * Converts a closed loop into a THREE.Shape
+   * @param {Array} loop - A loop returned by getLoops
+   * @param {{x: number, y: number}} [origin] - Offset subtracted from every point
+   * @returns {THREE.Shape}
+   */
+  loopToShape(loop, origin = { x: 0, y: 0 }) {
+    return this.toPath(loop, origin, new THREE.Shape());
+  }
+
+  /**
+   * Appends a chain of entities to a path, starting with a moveTo to the first point
+   * @param {Array<{entity: Object, reversed: boolean}>} segments - Entities in traversal order
+   * @param {{x: number, y: number}} [origin] - Offset subtracted from every point
+   * @param {THREE.Path} [path] - Path to append to
+   * @returns {THREE.Path} The path
+   */
+  toPath(segments, origin = { x: 0, y: 0 }, path = new THREE.Path()) {
+    const local = id => {
+      const point = this.getPoint(id);
+      return new THREE.Vector2(point.x - origin.x, point.y - origin.y);
+    };
+
+    segments.forEach(({ entity, reversed }, index) => {
+      if (entity.type === 'circle') {
+        const center = local(entity.center);
+        path.moveTo(center.x + entity.radius, center.y);
+        path.absarc(center.x, center.y, entity.radius, 0, Math.PI * 2, reversed);
+        return;
+      }
+
+      const [startId, endId] = this.getEndpoints(entity);
+      const start = local(reversed ? endId : startId);
+      const end = local(reversed ? startId : endId);
+
+      if (index === 0) {
+        path.moveTo(start.x, start.y);
+      }
+
+      switch (entity.type) {
+        case 'arc': {
+          const center = local(entity.center);
+          const radius = center.distanceTo(start);
+          const startAngle = Math.atan2(start.y - center.y, start.x - center.x);
+          const endAngle = Math.atan2(end.y - center.y, end.x - center.x);
+          path.absarc(center.x, center.y, radius, startAngle, endAngle, reversed ? !entity.clockwise : entity.clockwise);
+          break;
+        }
+        case 'spline': {
+          const through = entity.through.map(local);
+          if (reversed) through.reverse();
+          path.splineThru([...through, end]);
+          break;
+        }
+        case 'bezier': {
+          const c1 = local(reversed ? entity.c2 : entity.c1);
+          const c2 = local(reversed ? entity.c1 : entity.c2);
+          path.bezierCurveTo(c1.x, c1.y, c2.x, c2.y, end.x, end.y);
+          break;
+        }
+        default:
+          path.lineTo(end.x, end.y);
+      }
+    });
+
+    return path;
+  }
+
+  /**
+   * Serializes the sketch to plain data
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      points: this.points.map(point => ({ ...point })),
+      entities: this.entities.map(entity => structuredClone(entity)),
+      constraints: this.constraints.map(constraint => structuredClone(constraint))
+    };
+  }
+}
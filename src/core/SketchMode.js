@@ -1,9 +1,77 @@
 import * as THREE from 'three';
+import { Sketch } from './Sketch';
+import { arcThroughPoints, endTangent, polygonContains, tangentArc } from '../utils/sketchGeometry';
+import {
+  createFaceFrame,
+  createWorkPlaneFrame,
+  deserializeFrame,
+  findTriangleIndex,
+  frameToMatrix,
+  frameToPlane,
+  serializeFrame
+} from './sketchPlane';
+import { EXTRUDE_DEFAULTS, LOFT_DEFAULTS, REVOLVE_DEFAULTS, SWEEP_DEFAULTS } from './features';
+import { DIMENSION_TYPES, canConstrain, measureDimension, solveSketch } from './sketchSolver';
+import { createDimensionAnnotations, disposeAnnotations } from './dimensionAnnotations';
+import { chamferCorner, extendLine, filletCorner, mirrorEntities, offsetProfile, trimEntity } from './sketchTools';
+import { isTextEntry } from '../utils/domUtils';
 
 export const SKETCH_MODES = {
   NONE: 'none',
   RECTANGLE: 'sketch-rect',
-  CIRCLE: 'sketch-circle'
+  CIRCLE: 'sketch-circle',
+  POLYLINE: 'sketch-polyline',
+  TANGENT_ARC: 'sketch-tangent-arc',
+  THREE_POINT_ARC: 'sketch-arc-3pt',
+  SPLINE: 'sketch-spline',
+  BEZIER: 'sketch-bezier',
+  EDIT: 'sketch-edit' // Drag points and add constraints in the sketch of the selected feature
+};
+
+// Modes that append segments to one chained profile. Switching between them keeps the profile.
+const CHAIN_MODES = [
+  SKETCH_MODES.POLYLINE,
+  SKETCH_MODES.TANGENT_ARC,
+  SKETCH_MODES.THREE_POINT_ARC,
+  SKETCH_MODES.SPLINE,
+  SKETCH_MODES.BEZIER
+];
+
+// Clicks needed to complete one segment (the spline is finished with Enter or by closing)
+const SEGMENT_CLICKS = {
+  [SKETCH_MODES.POLYLINE]: 1,
+  [SKETCH_MODES.TANGENT_ARC]: 1,
+  [SKETCH_MODES.THREE_POINT_ARC]: 2,
+  [SKETCH_MODES.SPLINE]: Infinity,
+  [SKETCH_MODES.BEZIER]: 3
+};
+
+// Features a finished sketch can be turned into
+export const SKETCH_OPERATIONS = {
+  EXTRUDE: 'extrude',
+  REVOLVE: 'revolve',
+  SWEEP: 'sweep', // First finished sketch is the profile, the second the path
+  LOFT: 'loft' // Finished sketches are collected as profiles until Enter
+};
+
+// Tools for changing the entities of the edited sketch.
+// Trim and extend act on the entity clicked next; the others on the selection.
+export const SKETCH_EDIT_TOOLS = {
+  TRIM: 'trim',
+  EXTEND: 'extend',
+  OFFSET: 'offset', // Selected entity's closed profile, by a distance
+  FILLET: 'fillet', // Selected corner point, by a radius
+  CHAMFER: 'chamfer', // Selected corner point, by a setback
+  MIRROR: 'mirror' // Everything, or the selected entity, across the line selected last
+};
+
+// Revolve axis option that uses the first line of the sketch
+export const SKETCH_LINE_AXIS = 'sketch';
+
+// Name given to the feature created by each sketch mode
+const SHAPE_TYPES = {
+  [SKETCH_MODES.RECTANGLE]: 'Rectangle',
+  [SKETCH_MODES.CIRCLE]: 'Circle'
 };
 
 export class SketchMode {
@@ -18,22 +86,57 @@ export class SketchMode {
     this.mode = SKETCH_MODES.NONE;
     this.startPoint = null;
     this.preview = null;
-    this.drawPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0); // XZ plane at y=0
     this.gridSize = 0.5; // Size of grid for snap-to-grid
+    this.workFrame = createWorkPlaneFrame(); // XZ plane at y=0 unless another plane is chosen
+    this.setSketchFrame(this.workFrame); // Until a face is picked
+    
+    // Chained profile properties
+    this.sketch = null; // Sketch holding the segments placed so far
+    this.chain = null; // { first, last } points of the open profile
+    this.pending = []; // Clicks collected for the segment being placed
+    this.closeTolerance = 0.25; // Distance to the first vertex that closes the profile
+    this.typedDimensions = {}; // Typed width/height (rectangle), radius (circle) and length (polyline line)
+    
+    // Feature created from finished sketches
+    this.operation = SKETCH_OPERATIONS.EXTRUDE;
+    this.revolveSettings = { ...REVOLVE_DEFAULTS }; // axis: world axis or SKETCH_LINE_AXIS
+    this.sections = []; // Sketches collected for a sweep or loft
+    this.sectionLines = []; // Outlines of the collected sketches
+    
+    // Sketch editing properties
+    this.editing = null; // { meta, sketch } of the feature whose sketch is open
+    this.editSelection = []; // Up to two picked { kind: 'point' | 'entity', id }
+    this.dragPointId = null; // Point following the pointer
+    this.editOverlay = null; // Lines and handles drawn for the open sketch
+    this.editTool = null; // SKETCH_EDIT_TOOLS.TRIM or EXTEND while waiting for a click
     
     // Bind methods
     this.onPointerDown = this.onPointerDown.bind(this);
     this.onPointerMove = this.onPointerMove.bind(this);
     this.onPointerUp = this.onPointerUp.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
   }
   
   // Enable sketch mode
   enable(mode) {
-    if (this.mode !== SKETCH_MODES.NONE) {
+    const keepProfile = CHAIN_MODES.includes(this.mode) && CHAIN_MODES.includes(mode);
+    if (this.mode !== SKETCH_MODES.NONE && !keepProfile) {
       this.disable();
     }
     
+    if (mode === SKETCH_MODES.EDIT) {
+      if (!this.beginSketchEdit()) {
+        console.warn('Select a sketch, or an extruded or revolved object, to edit its sketch');
+        return;
+      }
+    } else if (!keepProfile) {
+      const faceFrame = this.getSelectedFaceFrame();
+      this.setSketchFrame(faceFrame || this.workFrame, faceFrame ? this.sceneManager.selected.object : null);
+    }
+    
     this.mode = mode;
+    this.pending = [];
+    this.clearPreview();
     this.domElement.style.cursor = 'crosshair';
     this.attachEventListeners();
   }
@@ -41,8 +144,11 @@ export class SketchMode {
   // Disable sketch mode
   disable() {
     this.mode = SKETCH_MODES.NONE;
+    this.sceneManager.snapEngine?.clearMarker();
     this.clearPreview();
     this.startPoint = null;
+    this.cancelProfile();
+    this.endSketchEdit();
     this.domElement.style.cursor = '';
     this.removeEventListeners();
   }
@@ -52,6 +158,7 @@ export class SketchMode {
     this.domElement.addEventListener('pointerdown', this.onPointerDown);
     this.domElement.addEventListener('pointermove', this.onPointerMove);
     this.domElement.addEventListener('pointerup', this.onPointerUp);
+    window.addEventListener('keydown', this.onKeyDown);
   }
   
   // Remove event listeners
@@ -59,31 +166,142 @@ export class SketchMode {
     this.domElement.removeEventListener('pointerdown', this.onPointerDown);
     this.domElement.removeEventListener('pointermove', this.onPointerMove);
     this.domElement.removeEventListener('pointerup', this.onPointerUp);
+    window.removeEventListener('keydown', this.onKeyDown);
   }
   
-  // Convert screen coordinates to 3D point on the draw plane
-  getIntersectionPoint(x, y) {
-    const mouse = new THREE.Vector2();
-    const raycaster = new THREE.Raycaster();
+  // Choose the feature finished sketches become, and its revolve axis and angle
+  setOperation(operation, revolveSettings = {}) {
+    if (operation !== this.operation) {
+      this.clearSections();
+    }
+    this.operation = operation;
+    this.revolveSettings = { ...this.revolveSettings, ...revolveSettings };
+  }
+  
+  // Set the sizes typed for the next shapes; empty or non-positive values follow the pointer
+  setTypedDimensions(dimensions) {
+    this.typedDimensions = { ...dimensions };
+  }
+  
+  // Sketch on a world plane (see WORK_PLANES) moved along its normal by an offset
+  setWorkPlane(plane, offset = 0) {
+    this.workFrame = createWorkPlaneFrame(plane, offset);
+    if (!this.chain) {
+      this.startPoint = null;
+      this.clearPreview();
+      this.setSketchFrame(this.workFrame);
+    }
+  }
+  
+  // Set the plane and local 2D frame that sketches are drawn in, and the object whose face it is
+  setSketchFrame(frame, faceObject = null) {
+    this.frame = frame;
+    this.faceObject = faceObject; // Body an extrusion sketched on its face cuts into
+    this.frameMatrix = frameToMatrix(frame);
+    this.inverseFrameMatrix = this.frameMatrix.clone().invert();
+    this.drawPlane = frameToPlane(frame);
+  }
+  
+  // Get the frame of the planar face currently selected in the scene manager, if any
+  getSelectedFaceFrame() {
+    const selected = this.sceneManager.selected;
+    if (selected?.type !== 'face' || !selected.object?.geometry || !selected.face) return null;
     
-    // Convert to normalized device coordinates
-    mouse.x = (x / this.renderer.domElement.clientWidth) * 2 - 1;
-    mouse.y = -(y / this.renderer.domElement.clientHeight) * 2 + 1;
-
-    // Update the raycaster
+    const triangleIndex = findTriangleIndex(selected.object.geometry, selected.face);
+    if (triangleIndex < 0) return null;
+    return createFaceFrame(selected.object, triangleIndex, selected.objectMeta?.faces);
+  }
+  
+  // Create a raycaster through the given client coordinates
+  getRaycaster(x, y) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const mouse = new THREE.Vector2(
+      ((x - rect.left) / rect.width) * 2 - 1,
+      -((y - rect.top) / rect.height) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
     raycaster.setFromCamera(mouse, this.camera);
+    return raycaster;
+  }
+  
+  // Sketch on the planar face of the object under the cursor. Returns true if a face was picked.
+  pickFacePlane(x, y) {
+    const meshes = Array.from(this.sceneManager.objects?.values() || [])
+      .map(meta => meta.mesh)
+      .filter(mesh => mesh?.isMesh && mesh.visible);
+    const [hit] = this.getRaycaster(x, y).intersectObjects(meshes, false);
+    if (!hit || hit.faceIndex === undefined) return false;
     
-    // Find intersection with the draw plane
+    const meta = this.sceneManager.objects.get(hit.object.uuid);
+    const frame = createFaceFrame(hit.object, hit.faceIndex, meta?.faces);
+    if (!frame) return false;
+    
+    this.cancelProfile();
+    this.startPoint = null;
+    this.setSketchFrame(frame, hit.object);
+    return true;
+  }
+  
+  // Convert screen coordinates to the point under the cursor on the draw plane, without snapping
+  getPlanePoint(x, y) {
     const intersection = new THREE.Vector3();
-    if (raycaster.ray.intersectPlane(this.drawPlane, intersection)) {
-      // Snap to grid
-      intersection.x = Math.round(intersection.x / this.gridSize) * this.gridSize;
-      intersection.z = Math.round(intersection.z / this.gridSize) * this.gridSize;
-      return intersection;
+    return this.getRaycaster(x, y).ray.intersectPlane(this.drawPlane, intersection);
+  }
+  
+  // Convert screen coordinates to 3D point on the draw plane
+  getIntersectionPoint(x, y) {
+    // Find intersection with the draw plane
+    const intersection = this.getPlanePoint(x, y);
+    const { snapEngine } = this.sceneManager;
+    const target = intersection && snapEngine?.snapToPlane(intersection, this.drawPlane, this.getSketchSnapTargets());
+    snapEngine?.showTarget(target);
+    if (target) return target.point;
+    
+    if (intersection) {
+      // Snap to grid in sketch coordinates
+      const coords = this.toSketchCoords(intersection);
+      return this.toWorldPoint(
+        Math.round(coords.x / this.gridSize) * this.gridSize,
+        Math.round(coords.y / this.gridSize) * this.gridSize
+      );
     }
     return null;
   }
   
+  // Points and lines of the open sketch the cursor can snap to, in world space.
+  // The point being dragged, its lines and the mesh being edited are left out.
+  getSketchSnapTargets() {
+    const exclude = this.editing ? [this.editing.meta.mesh, this.editing.source.mesh] : [];
+    const sketch = this.editing?.sketch || this.sketch;
+    if (!sketch) return { exclude };
+    
+    const toWorld = id => {
+      const point = sketch.getPoint(id);
+      return this.toWorldPoint(point.x, point.y);
+    };
+    const centers = new Set(sketch.entities.map(entity => entity.center).filter(Boolean));
+    const points = sketch.points
+      .filter(point => point.id !== this.dragPointId)
+      .map(point => ({ kind: centers.has(point.id) ? 'center' : 'vertex', point: toWorld(point.id) }));
+    const lines = sketch.entities
+      .filter(entity => entity.type === 'line' && entity.p1 !== this.dragPointId && entity.p2 !== this.dragPointId)
+      .map(entity => [toWorld(entity.p1), toWorld(entity.p2)]);
+    lines.forEach(([start, end]) => points.push({ kind: 'midpoint', point: start.clone().lerp(end, 0.5) }));
+    
+    return { points, lines, exclude };
+  }
+  
+  // Convert a point on the draw plane to 2D sketch coordinates
+  toSketchCoords(point) {
+    const local = point.clone().applyMatrix4(this.inverseFrameMatrix);
+    return new THREE.Vector2(local.x, local.y);
+  }
+  
+  // Convert 2D sketch coordinates back to a point on the draw plane
+  toWorldPoint(x, y) {
+    return new THREE.Vector3(x, y, 0).applyMatrix4(this.frameMatrix);
+  }
+  
   // Clear the preview
   clearPreview() {
     if (this.preview) {
@@ -108,11 +326,13 @@ export class SketchMode {
   
   // Update rectangle preview
   updateRectanglePreview(currentPoint) {
+    const start = this.toSketchCoords(this.startPoint);
+    const end = this.applyTypedRectangle(start, this.toSketchCoords(currentPoint));
     const points = [];
-    points.push(new THREE.Vector3(this.startPoint.x, 0, this.startPoint.z));
-    points.push(new THREE.Vector3(currentPoint.x, 0, this.startPoint.z));
-    points.push(new THREE.Vector3(currentPoint.x, 0, currentPoint.z));
-    points.push(new THREE.Vector3(this.startPoint.x, 0, currentPoint.z));
+    points.push(this.toWorldPoint(start.x, start.y));
+    points.push(this.toWorldPoint(end.x, start.y));
+    points.push(this.toWorldPoint(end.x, end.y));
+    points.push(this.toWorldPoint(start.x, end.y));
     points.push(points[0]); // Close the loop
 
     const geometry = new THREE.BufferGeometry().setFromPoints(points);
@@ -123,7 +343,8 @@ export class SketchMode {
   
   // Update circle preview
   updateCirclePreview(currentPoint) {
-    const radius = this.startPoint.distanceTo(currentPoint);
+    const radius = this.getCircleRadius(currentPoint);
+    const center = this.toSketchCoords(this.startPoint);
     const segments = 32;
     const geometry = new THREE.BufferGeometry();
     const material = new THREE.LineBasicMaterial({ color: 0x00ff00 });
@@ -131,10 +352,9 @@ export class SketchMode {
 
     for (let i = 0; i <= segments; i++) {
       const theta = (i / segments) * Math.PI * 2;
-      points.push(new THREE.Vector3(
-        this.startPoint.x + Math.cos(theta) * radius,
-        0,
-        this.startPoint.z + Math.sin(theta) * radius
+      points.push(this.toWorldPoint(
+        center.x + Math.cos(theta) * radius,
+        center.y + Math.sin(theta) * radius
       ));
     }
     points.push(points[0]); // Close the loop
@@ -144,6 +364,214 @@ export class SketchMode {
     this.scene.add(this.preview);
   }
   
+  // Move the opposite rectangle corner to honour a typed width and height
+  applyTypedRectangle(start, end) {
+    const { width, height } = this.typedDimensions;
+    const corner = end.clone();
+    if (width > 0) corner.x = start.x + (Math.sign(end.x - start.x) || 1) * width;
+    if (height > 0) corner.y = start.y + (Math.sign(end.y - start.y) || 1) * height;
+    return corner;
+  }
+  
+  // Get the radius of the circle being drawn: the typed radius, or the distance to the pointer
+  getCircleRadius(currentPoint) {
+    const { radius } = this.typedDimensions;
+    return radius > 0 ? radius : this.startPoint.distanceTo(currentPoint);
+  }
+  
+  // Shorten or stretch the next polyline line to a typed length, keeping its direction.
+  // Clicks that close the profile are left alone.
+  applyTypedLength(coords) {
+    const { length } = this.typedDimensions;
+    if (this.mode !== SKETCH_MODES.POLYLINE || !(length > 0) || !this.chain || this.pending.length > 0) return coords;
+    if (this.isClosingCoords(coords)) return coords;
+    
+    const { last } = this.chain;
+    const direction = coords.clone().sub(new THREE.Vector2(last.x, last.y));
+    if (direction.lengthSq() < 1e-12) return coords;
+    return new THREE.Vector2(last.x, last.y).addScaledVector(direction.normalize(), length);
+  }
+  
+  // Update the profile preview: placed segments plus the segment the active tool would add
+  updateProfilePreview(currentPoint) {
+    this.clearPreview();
+    if (!this.chain) return;
+
+    const coords = this.applyTypedLength(this.toSketchCoords(currentPoint));
+    const scratch = new Sketch(this.sketch.toJSON());
+    this.buildSegment(scratch, scratch.getPoint(this.chain.last.id), [...this.pending, coords]);
+
+    const segments = scratch.entities.map(entity => ({ entity, reversed: false }));
+    const points = scratch.toPath(segments).getPoints(24).map(point => this.toWorldPoint(point.x, point.y));
+    if (points.length < 2) return;
+
+    const closing = this.isClosingCoords(coords);
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.LineBasicMaterial({ color: closing ? 0xffaa00 : 0x00ff00 });
+    this.preview = new THREE.Line(geometry, material);
+    this.scene.add(this.preview);
+  }
+  
+  // Whether sketch coordinates would close the profile onto its first vertex
+  isClosingCoords(coords) {
+    if (!this.chain) return false;
+    // A straight segment needs two others to enclose an area, a curve needs one
+    const minSegments = this.mode === SKETCH_MODES.POLYLINE ? 2 : 1;
+    if (this.sketch.entities.length < minSegments) return false;
+    const { first } = this.chain;
+    return coords.distanceTo(new THREE.Vector2(first.x, first.y)) < this.closeTolerance;
+  }
+  
+  // Add the active tool's segment to a sketch, from a start point through the given clicks.
+  // Returns the end point of the new segment.
+  buildSegment(sketch, start, clicks) {
+    // The three-point arc takes its end point first, then a point on the arc
+    const endCoords = this.mode === SKETCH_MODES.THREE_POINT_ARC ? clicks[0] : clicks[clicks.length - 1];
+    const end = this.isClosingCoords(endCoords)
+      ? sketch.getPoint(this.chain.first.id)
+      : sketch.addPoint(endCoords.x, endCoords.y);
+    const startVector = new THREE.Vector2(start.x, start.y);
+    const endVector = new THREE.Vector2(end.x, end.y);
+    let arc = null;
+
+    switch (this.mode) {
+      case SKETCH_MODES.TANGENT_ARC: {
+        const previous = sketch.entities.find(entity => entity.p2 === start.id);
+        const tangent = previous ? endTangent(sketch, previous) : new THREE.Vector2(1, 0);
+        arc = tangentArc(startVector, tangent, endVector);
+        break;
+      }
+      case SKETCH_MODES.THREE_POINT_ARC:
+        if (clicks.length > 1) {
+          arc = arcThroughPoints(startVector, clicks[1], endVector);
+        }
+        break;
+      case SKETCH_MODES.SPLINE: {
+        const through = clicks.slice(0, -1).map(click => sketch.addPoint(click.x, click.y));
+        sketch.addSpline(start, end, through);
+        return end;
+      }
+      case SKETCH_MODES.BEZIER:
+        if (clicks.length > 1) {
+          const c1 = sketch.addPoint(clicks[0].x, clicks[0].y);
+          const c2 = sketch.addPoint(clicks[1].x, clicks[1].y);
+          sketch.addBezier(start, end, c1, c2);
+          return end;
+        }
+        break;
+      default:
+        break;
+    }
+
+    if (arc) {
+      const center = sketch.addPoint(arc.center.x, arc.center.y);
+      sketch.addArc(start, end, center, arc.clockwise);
+    } else {
+      // Collinear arcs and incomplete curves fall back to a straight segment
+      sketch.addLine(start, end);
+    }
+    return end;
+  }
+  
+  // Handle a click of one of the chained profile tools
+  addProfileClick(point) {
+    const coords = this.applyTypedLength(this.toSketchCoords(point));
+
+    if (!this.chain) {
+      this.sketch = new Sketch();
+      const first = this.sketch.addPoint(coords.x, coords.y);
+      this.chain = { first, last: first };
+      return;
+    }
+
+    const { last } = this.chain;
+    const previous = this.pending[this.pending.length - 1] || new THREE.Vector2(last.x, last.y);
+    if (coords.distanceTo(previous) < 1e-6) return;
+
+    this.pending.push(coords);
+    const closesSpline = this.mode === SKETCH_MODES.SPLINE && this.isClosingCoords(coords);
+    if (this.pending.length >= SEGMENT_CLICKS[this.mode] || closesSpline) {
+      this.commitSegment();
+    }
+  }
+  
+  // Add the segment described by the pending clicks to the profile
+  commitSegment() {
+    if (!this.chain || this.pending.length === 0) return;
+
+    const typedLength = this.mode === SKETCH_MODES.POLYLINE ? this.typedDimensions.length : 0;
+    const end = this.buildSegment(this.sketch, this.chain.last, this.pending);
+    this.pending = [];
+
+    // A typed line length stays on the sketch as a driving dimension
+    const segment = this.sketch.entities[this.sketch.entities.length - 1];
+    if (typedLength > 0 && segment.type === 'line' && end.id !== this.chain.first.id) {
+      this.sketch.addConstraint('distance', [segment.id], typedLength);
+    }
+
+    if (end.id === this.chain.first.id) {
+      this.closeProfile();
+    } else {
+      this.chain.last = end;
+    }
+  }
+  
+  // Remove the last pending click, or the last placed segment
+  undoProfileStep() {
+    if (!this.chain) return;
+
+    if (this.pending.length > 0) {
+      this.pending.pop();
+      return;
+    }
+
+    const entity = this.sketch.entities.pop();
+    if (!entity) {
+      this.cancelProfile();
+      return;
+    }
+
+    const owned = [entity.p2, entity.center, entity.c1, entity.c2, ...(entity.through || [])];
+    this.sketch.points = this.sketch.points.filter(point => !owned.includes(point.id));
+    this.sketch.constraints = this.sketch.constraints.filter(constraint => !constraint.refs.includes(entity.id));
+    this.chain.last = this.sketch.getPoint(entity.p1);
+  }
+  
+  // Turn the closed profile into a shape and build the active feature from it
+  closeProfile() {
+    const [loop] = this.sketch.getLoops();
+    if (loop) {
+      const { first } = this.chain;
+      this.createFeature(this.sketch, [first.x, first.y], 'Profile');
+    }
+    this.cancelProfile();
+  }
+  
+  // Use the open profile drawn so far as a revolve profile or a sweep path.
+  // Extrusions and lofts need a closed profile, so for them it is kept as a plain sketch.
+  finishOpenProfile() {
+    if (this.sketch.entities.length === 0) return;
+
+    const { first } = this.chain;
+    if (this.operation === SKETCH_OPERATIONS.REVOLVE) {
+      this.revolveSketch(this.sketch, [first.x, first.y], 'Profile');
+    } else if (this.operation === SKETCH_OPERATIONS.SWEEP && this.sections.length === 1) {
+      this.addSection(this.sketch, [first.x, first.y]);
+    } else {
+      // Nothing to build yet: keep the drawing as a sketch object
+      this.keepSketch(this.sketch, 'Sketch', this.frame, true);
+    }
+    this.cancelProfile();
+  }
+  
+  // Discard the profile in progress
+  cancelProfile() {
+    this.clearPreview();
+    this.sketch = null;
+    this.chain = null;
+    this.pending = [];
+  }
+  
   // Create the final shape
   createShape(endPoint) {
     if (!this.startPoint) return;
@@ -160,93 +588,589 @@ export class SketchMode {
   
   // Create a rectangle shape
   createRectangle(endPoint) {
-    const width = Math.abs(endPoint.x - this.startPoint.x);
-    const depth = Math.abs(endPoint.z - this.startPoint.z);
+    const start = this.toSketchCoords(this.startPoint);
+    const end = this.applyTypedRectangle(start, this.toSketchCoords(endPoint));
+    const width = Math.abs(end.x - start.x);
+    const depth = Math.abs(end.y - start.y);
     
     // Skip if the shape is too small
     if (width < 0.1 || depth < 0.1) return;
 
-    const shape = new THREE.Shape();
-    const x = Math.min(this.startPoint.x, endPoint.x);
-    const z = Math.min(this.startPoint.z, endPoint.z);
-    
-    shape.moveTo(0, 0);
-    shape.lineTo(width, 0);
-    shape.lineTo(width, depth);
-    shape.lineTo(0, depth);
-    shape.lineTo(0, 0);
+    // The width and height become driving dimensions of the sketch
+    const sketch = new Sketch();
+    const [bottom, side] = sketch.addRectangle(start.x, start.y, end.x, end.y);
+    sketch.addConstraint('distance', [bottom.id], width);
+    sketch.addConstraint('distance', [side.id], depth);
 
-    this.extrudeShape(shape, new THREE.Vector3(x, 0, z));
+    this.createFeature(sketch, [Math.min(start.x, end.x), Math.min(start.y, end.y)]);
   }
   
   // Create a circle shape
   createCircle(endPoint) {
-    const radius = this.startPoint.distanceTo(endPoint);
+    const radius = this.getCircleRadius(endPoint);
     if (radius < 0.1) return; // Skip if too small
 
-    const shape = new THREE.Shape();
-    shape.absarc(0, 0, radius, 0, Math.PI * 2, false);
+    const center = this.toSketchCoords(this.startPoint);
+    const sketch = new Sketch();
+    const circle = sketch.addCircle(sketch.addPoint(center.x, center.y), radius);
+    sketch.addConstraint('radius', [circle.id], radius);
     
-    this.extrudeShape(shape, new THREE.Vector3(
-      this.startPoint.x, 
-      0, 
-      this.startPoint.z
-    ));
+    this.createFeature(sketch, [center.x, center.y]);
   }
   
-  // Extrude a shape to create a 3D object
-  extrudeShape(shape, position) {
-    const extrudeSettings = {
-      depth: 1,
-      bevelEnabled: false
-    };
-
-    const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-    geometry.rotateX(-Math.PI / 2); // Rotate to align with XZ plane
+  // Build the active feature from a finished sketch
+  createFeature(sketch, origin, name = SHAPE_TYPES[this.mode]) {
+    switch (this.operation) {
+      case SKETCH_OPERATIONS.REVOLVE:
+        return this.revolveSketch(sketch, origin, name);
+      case SKETCH_OPERATIONS.SWEEP:
+      case SKETCH_OPERATIONS.LOFT:
+        return this.addSection(sketch, origin);
+      default: {
+        // A contour drawn inside an existing profile becomes a hole (or island) of it
+        const host = this.findEnclosingExtrusion(sketch);
+        if (host) return this.addContoursToExtrusion(host, sketch);
+        return this.extrudeSketch(sketch, origin, name);
+      }
+    }
+  }
+  
+  // Get the matrix taking world points to the sketch coordinates of a feature,
+  // following the mesh if it was moved or rotated since it was created
+  getFeatureSketchMatrix(meta) {
+    const { mesh, params } = meta;
+    mesh.updateMatrixWorld();
+    const scale = mesh.getWorldScale(new THREE.Vector3());
+    if (Math.abs(scale.x - 1) > 1e-6 || Math.abs(scale.y - 1) > 1e-6 || Math.abs(scale.z - 1) > 1e-6) return null;
+    
+    const frameMatrix = frameToMatrix(deserializeFrame(params.frame));
+    const origin = params.origin || [0, 0];
+    const createdAt = new THREE.Vector3(origin[0], origin[1], 0).applyMatrix4(frameMatrix);
+    return frameMatrix.clone().invert()
+      .multiply(new THREE.Matrix4().makeTranslation(createdAt))
+      .multiply(mesh.matrixWorld.clone().invert());
+  }
+  
+  // Find the extrusion with a closed loop, on the current plane, that encloses every loop of a sketch.
+  // Returns { meta, toSketch } (a world to host sketch matrix) or null.
+  findEnclosingExtrusion(sketch) {
+    const worldPoints = sketch.getLoops()
+      .flatMap(loop => sketch.toPath(loop).getPoints(24))
+      .map(point => this.toWorldPoint(point.x, point.y));
+    if (worldPoints.length === 0) return null;
     
-    const material = new THREE.MeshStandardMaterial({
-      color: 0x8888ff,
-      metalness: 0.3,
-      roughness: 0.8
+    for (const meta of this.sceneManager.objects?.values() || []) {
+      if (meta.type !== 'Extruded' || !meta.params?.sketch) continue;
+      
+      const toSketch = this.getFeatureSketchMatrix(meta);
+      if (!toSketch) continue;
+      
+      // Same plane, facing the same way (so arc directions carry over)
+      const mapped = worldPoints.map(point => point.clone().applyMatrix4(toSketch));
+      const facing = this.frame.normal.clone().transformDirection(toSketch);
+      if (facing.z < 0.999 || mapped.some(point => Math.abs(point.z) > 1e-3)) continue;
+      
+      const hostSketch = new Sketch(meta.params.sketch);
+      const polygon = mapped.map(point => new THREE.Vector2(point.x, point.y));
+      const encloses = hostSketch.getLoops().some(loop => (
+        polygonContains(hostSketch.toPath(loop).getPoints(24), polygon)
+      ));
+      if (encloses) return { meta, toSketch };
+    }
+    return null;
+  }
+  
+  // Merge the contours of a sketch into the sketch of an enclosing extrusion and rebuild it
+  addContoursToExtrusion({ meta, toSketch }, sketch) {
+    const merged = new Sketch(this.sceneManager.getSketchSource(meta).params.sketch);
+    merged.addSketch(sketch, point => this.toWorldPoint(point.x, point.y).applyMatrix4(toSketch));
+    
+    this.sceneManager.updateSketch(meta.id, merged.toJSON());
+    return meta.mesh;
+  }
+  
+  // Keep a finished sketch as a scene object. Sketches a feature is built from are hidden.
+  keepSketch(sketch, name, frame = this.frame, visible = false) {
+    return this.sceneManager.addSketch({
+      sketch: sketch.toJSON(),
+      frame: serializeFrame(frame),
+      name: `${name} Sketch`,
+      visible
+    });
+  }
+  
+  // Show the sketch object of a feature that could not be built, so the drawing is not lost
+  revealSketch(sketchMeta) {
+    if (sketchMeta) {
+      sketchMeta.mesh.visible = true;
+    }
+  }
+  
+  // Extrude the closed profiles of a sketch to create a 3D object.
+  // The origin (sketch coordinates) becomes the position of the new mesh.
+  extrudeSketch(sketch, origin, name = SHAPE_TYPES[this.mode]) {
+    const sketchMeta = this.keepSketch(sketch, name);
+    const meta = this.sceneManager.addExtrude({
+      ...EXTRUDE_DEFAULTS,
+      sketch: sketch.toJSON(),
+      sketchId: sketchMeta?.id,
+      frame: serializeFrame(this.frame),
+      origin,
+      target: this.getFaceTarget(this.toWorldPoint(origin[0], origin[1])),
+      name,
+      position: this.toWorldPoint(origin[0], origin[1]).toArray()
     });
     
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.copy(position);
-    this.scene.add(mesh);
+    if (!meta) this.revealSketch(sketchMeta);
+    return meta?.mesh || null;
+  }
+  
+  // Get the body sketched on, placed relative to a feature made at a world position, so the
+  // feature can be turned into a cut of it
+  getFaceTarget(position) {
+    const meta = this.sceneManager.getObjectMeta?.(this.faceObject);
+    if (!meta) return null;
+    
+    meta.mesh.updateMatrixWorld();
+    const matrix = new THREE.Matrix4().makeTranslation(position).invert().multiply(meta.mesh.matrixWorld);
+    return { id: meta.id, type: meta.type, params: meta.params, matrix: matrix.toArray() };
+  }
+  
+  // Revolve a sketch profile around a world axis or one of its lines.
+  // Like extrusions, the origin (sketch coordinates) becomes the position of the new mesh.
+  revolveSketch(sketch, origin, name = SHAPE_TYPES[this.mode]) {
+    const { axis, angle } = this.revolveSettings;
+    const axisId = axis === SKETCH_LINE_AXIS
+      ? sketch.entities.find(entity => entity.type === 'line')?.id
+      : axis;
+    if (!axisId) {
+      console.error('Revolving around a sketch line needs a line in the profile');
+      return null;
+    }
+
+    const sketchMeta = this.keepSketch(sketch, name);
+    const meta = this.sceneManager.addExtrude({
+      ...REVOLVE_DEFAULTS,
+      type: 'Revolved',
+      sketch: sketch.toJSON(),
+      sketchId: sketchMeta?.id,
+      frame: serializeFrame(this.frame),
+      origin,
+      axis: axisId,
+      angle,
+      name,
+      position: this.toWorldPoint(origin[0], origin[1]).toArray()
+    });
+
+    if (!meta) this.revealSketch(sketchMeta);
+    return meta?.mesh || null;
+  }
+  
+  // Keep a finished sketch as a sweep or loft section, drawn as an outline until it is used.
+  // A sweep is created as soon as its path is added.
+  addSection(sketch, origin) {
+    this.sections.push({
+      sketch: sketch.toJSON(),
+      frame: serializeFrame(this.frame),
+      origin,
+      position: this.toWorldPoint(origin[0], origin[1]).toArray()
+    });
+    this.showSectionOutline(sketch);
+
+    if (this.operation === SKETCH_OPERATIONS.SWEEP && this.sections.length === 2) {
+      return this.createSweep();
+    }
+    return null;
+  }
+  
+  // Draw the outline of a collected section on the current sketch plane
+  showSectionOutline(sketch) {
+    const material = new THREE.LineBasicMaterial({ color: 0xffff00 });
+    [...sketch.getLoops(), ...sketch.getChains()].forEach(segments => {
+      const points = sketch.toPath(segments).getPoints(24).map(point => this.toWorldPoint(point.x, point.y));
+      const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material);
+      this.scene.add(line);
+      this.sectionLines.push(line);
+    });
+  }
+  
+  // Forget the collected sections and remove their outlines
+  clearSections() {
+    this.sectionLines.forEach(line => {
+      this.scene.remove(line);
+      line.geometry.dispose();
+      line.material.dispose();
+    });
+    this.sectionLines = [];
+    this.sections = [];
+  }
+  
+  // Keep a collected section as a (hidden) sketch object and link it to the feature using it
+  linkSection({ sketch, frame }, name) {
+    const sketchMeta = this.sceneManager.addSketch({ sketch, frame, name: `${name} Sketch`, visible: false });
+    return { sketch, frame, sketchId: sketchMeta?.id };
+  }
+  
+  // Sweep the first collected section (profile) along the second (path)
+  createSweep() {
+    const [profile, path] = this.sections;
+    const profileSlot = this.linkSection(profile, 'Sweep Profile');
+    const pathSlot = this.linkSection(path, 'Sweep Path');
+    const meta = this.sceneManager.addExtrude({
+      ...SWEEP_DEFAULTS,
+      type: 'Swept',
+      profile: profileSlot,
+      path: pathSlot,
+      origin: profile.origin,
+      name: 'Sweep',
+      position: profile.position
+    });
+
+    if (!meta) {
+      [profileSlot, pathSlot].forEach(slot => this.revealSketch(this.sceneManager.objects.get(slot.sketchId)));
+    }
+    this.clearSections();
+    return meta?.mesh || null;
+  }
+  
+  // Loft through the collected sections, in the order they were drawn
+  createLoft() {
+    if (this.sections.length < 2) {
+      console.error('A loft needs at least two profiles');
+      return null;
+    }
+
+    const [first] = this.sections;
+    const profiles = this.sections.map((section, i) => this.linkSection(section, `Loft Profile ${i + 1}`));
+    const meta = this.sceneManager.addExtrude({
+      ...LOFT_DEFAULTS,
+      type: 'Lofted',
+      profiles,
+      origin: first.origin,
+      name: 'Loft',
+      position: first.position
+    });
 
-    // Add to scene manager's objects
-    if (this.sceneManager.addObject) {
-      this.sceneManager.addObject({
-        mesh,
-        type: this.mode === SKETCH_MODES.RECTANGLE ? 'Rectangle' : 'Circle',
-        params: {}
+    if (!meta) {
+      profiles.forEach(slot => this.revealSketch(this.sceneManager.objects.get(slot.sketchId)));
+    }
+    this.clearSections();
+    return meta?.mesh || null;
+  }
+  
+  // Open the selected sketch, or the sketch of the selected feature, for editing on its plane.
+  // A feature built from a sketch object edits that sketch, which rebuilds every feature using it.
+  beginSketchEdit() {
+    const meta = this.sceneManager.getObjectMeta?.(this.sceneManager.selectedObject);
+    if (!meta?.params?.sketch) return false;
+    
+    meta.mesh.updateMatrixWorld();
+    const toSketch = meta.type === 'Sketch'
+      ? meta.mesh.matrixWorld.clone().invert()
+      : this.getFeatureSketchMatrix(meta);
+    if (!toSketch) return false;
+    
+    const toWorld = toSketch.clone().invert();
+    const xAxis = new THREE.Vector3();
+    const yAxis = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    toWorld.extractBasis(xAxis, yAxis, normal);
+    this.setSketchFrame({ origin: new THREE.Vector3().setFromMatrixPosition(toWorld), xAxis, yAxis, normal });
+    
+    const source = this.sceneManager.getSketchSource(meta);
+    this.editing = { meta, source, sketch: new Sketch(source.params.sketch) };
+    this.editSelection = [];
+    this.updateEditOverlay();
+    return true;
+  }
+  
+  // Close the sketch being edited
+  endSketchEdit() {
+    this.clearEditOverlay();
+    this.editing = null;
+    this.editTool = null;
+    this.editSelection = [];
+    this.dragPointId = null;
+  }
+  
+  // Re-read the edited sketch after it was changed elsewhere (e.g. a dimension value)
+  reloadSketchEdit(meta) {
+    if (!this.editing || ![this.editing.meta, this.editing.source].includes(meta)) return;
+    this.editing.sketch = new Sketch(this.editing.source.params.sketch);
+    this.updateEditOverlay();
+  }
+  
+  // Rebuild the features from the edited sketch. Returns false when the sketch has no usable
+  // profile, in which case a feature keeps its last shape until the sketch is fixed.
+  commitSketchEdit() {
+    if (!this.editing) return false;
+    return this.sceneManager.updateSketch(this.editing.meta.id, this.editing.sketch.toJSON());
+  }
+  
+  // Remove the lines and handles of the edited sketch
+  clearEditOverlay() {
+    if (!this.editOverlay) return;
+    this.scene.remove(this.editOverlay);
+    disposeAnnotations(this.editOverlay);
+    this.editOverlay = null;
+  }
+  
+  // Draw the edited sketch: entities as lines, points as handles (selection in orange) and dimensions
+  updateEditOverlay() {
+    this.clearEditOverlay();
+    if (!this.editing) return;
+    
+    const { sketch } = this.editing;
+    const isSelected = (kind, id) => this.editSelection.some(item => item.kind === kind && item.id === id);
+    this.editOverlay = new THREE.Group();
+    
+    sketch.entities.forEach(entity => {
+      const points = sketch.toPath([{ entity, reversed: false }]).getPoints(24)
+        .map(point => this.toWorldPoint(point.x, point.y));
+      const material = new THREE.LineBasicMaterial({ color: isSelected('entity', entity.id) ? 0xff8800 : 0x00ffff });
+      this.editOverlay.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material));
+    });
+    
+    const handles = new THREE.BufferGeometry().setFromPoints(
+      sketch.points.map(point => this.toWorldPoint(point.x, point.y))
+    );
+    const colors = sketch.points.flatMap(point => (isSelected('point', point.id) ? [1, 0.53, 0] : [1, 1, 1]));
+    handles.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    this.editOverlay.add(new THREE.Points(handles, new THREE.PointsMaterial({
+      size: 8,
+      sizeAttenuation: false,
+      vertexColors: true,
+      depthTest: false
+    })));
+    this.editOverlay.add(createDimensionAnnotations(sketch, (x, y) => this.toWorldPoint(x, y)));
+    
+    this.scene.add(this.editOverlay);
+  }
+  
+  // Find the point, or failing that the entity, of the edited sketch near sketch coordinates
+  pickSketchItem(coords, includePoints = true) {
+    const { sketch } = this.editing;
+    const tolerance = this.closeTolerance;
+    
+    let best = null;
+    (includePoints ? sketch.points : []).forEach(point => {
+      const distance = coords.distanceTo(new THREE.Vector2(point.x, point.y));
+      if (distance < tolerance && (!best || distance < best.distance)) {
+        best = { kind: 'point', id: point.id, distance };
+      }
+    });
+    if (best) return best;
+    
+    const target = new THREE.Vector3(coords.x, coords.y, 0);
+    const closest = new THREE.Vector3();
+    sketch.entities.forEach(entity => {
+      const points = sketch.toPath([{ entity, reversed: false }]).getPoints(24);
+      points.slice(1).forEach((point, i) => {
+        const segment = new THREE.Line3(
+          new THREE.Vector3(points[i].x, points[i].y, 0),
+          new THREE.Vector3(point.x, point.y, 0)
+        );
+        const distance = segment.closestPointToPoint(target, true, closest).distanceTo(target);
+        if (distance < tolerance && (!best || distance < best.distance)) {
+          best = { kind: 'entity', id: entity.id, distance };
+        }
       });
+    });
+    return best;
+  }
+  
+  // Toggle an item in the edit selection, keeping the two most recent picks
+  toggleEditSelection(item) {
+    const index = this.editSelection.findIndex(selected => selected.kind === item.kind && selected.id === item.id);
+    if (index >= 0) {
+      this.editSelection.splice(index, 1);
+    } else {
+      this.editSelection = [...this.editSelection, { kind: item.kind, id: item.id }].slice(-2);
+    }
+  }
+  
+  // Constrain the selected points or entities (see CONSTRAINT_TYPES) and re-solve the sketch
+  applyConstraint(type) {
+    if (!this.editing) return false;
+    
+    const { sketch } = this.editing;
+    const refs = this.editSelection.map(item => item.id);
+    if (!canConstrain(sketch, type, refs)) {
+      console.warn(`Cannot apply a ${type} constraint to the selection`);
+      return false;
+    }
+    
+    // Dimensions start out at the current size; their value is edited afterwards
+    const value = DIMENSION_TYPES.includes(type) ? measureDimension(sketch, type, refs) : undefined;
+    sketch.addConstraint(type, refs, value);
+    const { solved } = solveSketch(sketch);
+    if (!solved) {
+      console.warn(`The ${type} constraint conflicts with the existing constraints`);
+    }
+    
+    this.editSelection = [];
+    this.commitSketchEdit();
+    this.updateEditOverlay();
+    return solved;
+  }
+  
+  // Wait for a click on the entity to trim or extend, or stop waiting with null
+  setEditTool(tool) {
+    this.editTool = [SKETCH_EDIT_TOOLS.TRIM, SKETCH_EDIT_TOOLS.EXTEND].includes(tool) ? tool : null;
+  }
+  
+  // Apply an offset, fillet or chamfer of a size, or a mirror, to the selection
+  applyEditTool(tool, size) {
+    if (!this.editing) return false;
+    
+    const { sketch } = this.editing;
+    const [item] = this.editSelection;
+    let result = null;
+    switch (tool) {
+      case SKETCH_EDIT_TOOLS.OFFSET:
+        result = item?.kind === 'entity' && offsetProfile(sketch, item.id, size);
+        break;
+      case SKETCH_EDIT_TOOLS.FILLET:
+        result = item?.kind === 'point' && filletCorner(sketch, item.id, size);
+        break;
+      case SKETCH_EDIT_TOOLS.CHAMFER:
+        result = item?.kind === 'point' && chamferCorner(sketch, item.id, size);
+        break;
+      case SKETCH_EDIT_TOOLS.MIRROR: {
+        // The last pick is the mirror line; an entity picked before it is the only one mirrored
+        const [mirrored, line] = this.editSelection.length > 1 ? this.editSelection : [null, item];
+        result = line?.kind === 'entity' && mirrorEntities(
+          sketch,
+          line.id,
+          mirrored?.kind === 'entity' ? [mirrored.id] : null
+        );
+        break;
+      }
+      default:
+        console.warn(`Unknown sketch tool: ${tool}`);
+        return false;
+    }
+    
+    if (!result) {
+      const hints = {
+        [SKETCH_EDIT_TOOLS.OFFSET]: 'an entity of a closed profile',
+        [SKETCH_EDIT_TOOLS.MIRROR]: 'a line to mirror across'
+      };
+      if (!item) console.warn(`Select ${hints[tool] || 'a corner point'} first`);
+      return false;
     }
+    this.finishEditChange();
+    return true;
+  }
+  
+  // Trim or extend the entity at sketch coordinates with the active edit tool
+  applyPickTool(coords) {
+    const item = this.pickSketchItem(coords, false);
+    if (!item) return false;
     
-    return mesh;
+    const { sketch } = this.editing;
+    const changed = this.editTool === SKETCH_EDIT_TOOLS.TRIM
+      ? trimEntity(sketch, item.id, coords)
+      : extendLine(sketch, item.id, coords);
+    if (changed) {
+      this.finishEditChange();
+    }
+    return changed;
+  }
+  
+  // Rebuild the feature and the overlay after a tool changed the edited sketch
+  finishEditChange() {
+    this.editSelection = [];
+    if (!this.commitSketchEdit()) {
+      console.warn('The sketch has no closed profile yet; the feature keeps its last shape');
+    }
+    this.updateEditOverlay();
+  }
+  
+  // Drag a point of the edited sketch, letting the solver move the rest
+  dragSketchPoint(point) {
+    const coords = this.toSketchCoords(point);
+    solveSketch(this.editing.sketch, { drag: { id: this.dragPointId, x: coords.x, y: coords.y } });
+    this.commitSketchEdit();
+    this.updateEditOverlay();
+  }
+  
+  // Pointer handling while a sketch is open for editing
+  onEditPointerDown(event) {
+    const point = this.getPlanePoint(event.clientX, event.clientY);
+    if (!point) return;
+    
+    // Trim and extend act on the clicked entity and stay active for the next click
+    if (this.editTool) {
+      this.applyPickTool(this.toSketchCoords(point));
+      return;
+    }
+    
+    const item = this.pickSketchItem(this.toSketchCoords(point));
+    if (!item) {
+      this.editSelection = [];
+    } else {
+      this.toggleEditSelection(item);
+      this.dragPointId = item.kind === 'point' ? item.id : null;
+    }
+    this.updateEditOverlay();
   }
   
   // Event handlers
   onPointerDown(event) {
     if (this.mode === SKETCH_MODES.NONE) return;
     
+    if (this.mode === SKETCH_MODES.EDIT) {
+      this.onEditPointerDown(event);
+      return;
+    }
+    
+    // Ctrl/Cmd + click picks the planar face to sketch on
+    if ((event.ctrlKey || event.metaKey) && this.pickFacePlane(event.clientX, event.clientY)) return;
+    
     const point = this.getIntersectionPoint(event.clientX, event.clientY);
-    if (point) {
+    if (!point) return;
+    
+    if (CHAIN_MODES.includes(this.mode)) {
+      this.addProfileClick(point);
+      this.updateProfilePreview(point);
+    } else {
       this.startPoint = point;
     }
   }
   
   onPointerMove(event) {
-    if (this.mode === SKETCH_MODES.NONE || !this.startPoint) return;
+    if (this.mode === SKETCH_MODES.EDIT) {
+      const point = this.dragPointId && this.getIntersectionPoint(event.clientX, event.clientY);
+      if (point) {
+        this.dragSketchPoint(point);
+      }
+      return;
+    }
+    
+    if (this.mode === SKETCH_MODES.NONE) return;
     
+    // Snapping runs before the first click too, so the snap marker follows the cursor
     const point = this.getIntersectionPoint(event.clientX, event.clientY);
-    if (point) {
+    if (!point) return;
+    
+    if (CHAIN_MODES.includes(this.mode)) {
+      if (this.chain) {
+        this.updateProfilePreview(point);
+      }
+    } else if (this.startPoint) {
       this.updatePreview(point);
     }
   }
   
   onPointerUp(event) {
-    if (this.mode === SKETCH_MODES.NONE || !this.startPoint) return;
+    if (this.mode === SKETCH_MODES.EDIT) {
+      this.dragPointId = null;
+      this.sceneManager.snapEngine?.clearMarker();
+      return;
+    }
+    
+    if (this.mode === SKETCH_MODES.NONE || CHAIN_MODES.includes(this.mode) || !this.startPoint) return;
     
     const point = this.getIntersectionPoint(event.clientX, event.clientY);
     if (point) {
@@ -257,9 +1181,61 @@ export class SketchMode {
     }
   }
   
+  onKeyDown(event) {
+    // Keys typed into a field (a dimension, a tool size) belong to that field
+    if (isTextEntry(event.target)) return;
+    
+    // While editing a sketch, Backspace/Delete removes the newest constraint and Escape
+    // clears the selection and stops trimming or extending
+    if (this.mode === SKETCH_MODES.EDIT && this.editing) {
+      if (event.key === 'Backspace' || event.key === 'Delete') {
+        event.preventDefault();
+        const { constraints } = this.editing.sketch;
+        if (constraints.length > 0) {
+          this.editing.sketch.removeConstraint(constraints[constraints.length - 1].id);
+          this.commitSketchEdit();
+        }
+      } else if (event.key === 'Escape') {
+        this.editSelection = [];
+        this.editTool = null;
+        this.updateEditOverlay();
+      }
+      return;
+    }
+    
+    // Without a profile in progress, Enter lofts the collected sections and Escape drops them
+    if (!this.chain && this.sections.length > 0) {
+      if (event.key === 'Enter' && this.operation === SKETCH_OPERATIONS.LOFT) {
+        this.createLoft();
+      } else if (event.key === 'Escape') {
+        this.clearSections();
+      }
+      return;
+    }
+    
+    if (!CHAIN_MODES.includes(this.mode) || !this.chain) return;
+    
+    if (event.key === 'Escape') {
+      this.cancelProfile();
+    } else if (event.key === 'Backspace') {
+      event.preventDefault();
+      this.undoProfileStep();
+      this.clearPreview();
+    } else if (event.key === 'Enter') {
+      // Enter with no segment in progress finishes an open profile
+      if (this.pending.length === 0) {
+        this.finishOpenProfile();
+      } else {
+        this.commitSegment();
+      }
+      this.clearPreview();
+    }
+  }
+  
   // Cleanup
   dispose() {
     this.disable();
     this.clearPreview();
+    this.clearSections();
   }
 }
@@ -0,0 +1,290 @@
+import * as THREE from 'three';
+import { deserializeFrame, frameToMatrix } from './sketchPlane';
+
+// Marker colour per snap target kind
+export const SNAP_KINDS = {
+  vertex: 0xff3333,
+  intersection: 0xff00ff,
+  center: 0x33ccff,
+  midpoint: 0x33ff66,
+  faceCenter: 0xffaa00
+};
+
+// Tie-break order when two targets are equally close
+const KIND_PRIORITY = Object.keys(SNAP_KINDS);
+
+// Rounded key of a vector, used to merge coincident points and coplanar triangles
+const keyOf = (vector, precision = 1e3) =>
+  vector.toArray().map(value => Math.round(value * precision)).join('_');
+
+/**
+ * Snaps points to the geometry already in the scene: mesh vertices, edge
+ * midpoints, planar face centers, sketch circle centers and the intersections
+ * of edges and sketch lines. The target under the cursor is shown as a marker.
+ */
+export class SnapEngine {
+  /**
+   * @param {import('./SceneManager').default} sceneManager - Owner of the objects to snap to
+   */
+  constructor(sceneManager) {
+    this.sceneManager = sceneManager;
+    this.enabled = true;
+    this.snapDistance = 0.3; // World distance within which a target captures the cursor
+    this.marker = null;
+    this.localTargets = new WeakMap(); // geometry -> targets in mesh space
+  }
+
+  // Build the snap targets of an object in mesh space from its face/edge metadata, cached per geometry
+  getLocalTargets(meta) {
+    const { geometry } = meta.mesh;
+    const cached = this.localTargets.get(geometry);
+    if (cached) return cached;
+
+    if (meta.type === 'Sketch') {
+      const targets = getSketchTargets(meta.params.sketch);
+      this.localTargets.set(geometry, targets);
+      return targets;
+    }
+
+    const position = geometry.attributes.position;
+    const vertexOf = index => new THREE.Vector3().fromBufferAttribute(position, index);
+    const targets = { points: [], edges: [] };
+
+    // Feature edges give the vertices, the midpoints and the lines to intersect
+    const vertices = new Map();
+    (meta.edges || []).forEach(([a, b]) => {
+      const start = vertexOf(a);
+      const end = vertexOf(b);
+      vertices.set(keyOf(start), start);
+      vertices.set(keyOf(end), end);
+      targets.edges.push([start, end]);
+      targets.points.push({ kind: 'midpoint', point: start.clone().lerp(end, 0.5) });
+    });
+    vertices.forEach(point => targets.points.push({ kind: 'vertex', point }));
+
+    // Planar faces made of several triangles give their area-weighted centroid;
+    // lone triangles belong to curved surfaces and are skipped
+    const planes = new Map();
+    Object.values(meta.faces || {}).forEach(face => {
+      if (face.normal.lengthSq() === 0) return;
+      const [a, b, c] = face.vertices;
+      const key = `${keyOf(face.normal)}|${Math.round(face.normal.dot(a) * 1e3)}`;
+      const plane = planes.get(key) || { centroid: new THREE.Vector3(), area: 0, count: 0 };
+      const area = new THREE.Triangle(a, b, c).getArea();
+      plane.centroid.addScaledVector(a.clone().add(b).add(c).divideScalar(3), area);
+      plane.area += area;
+      plane.count++;
+      planes.set(key, plane);
+    });
+    planes.forEach(plane => {
+      if (plane.count < 2 || plane.area === 0) return;
+      targets.points.push({ kind: 'faceCenter', point: plane.centroid.divideScalar(plane.area) });
+    });
+
+    // Circles and arcs of the feature sketch give their centers
+    const { sketch, frame, origin = [0, 0] } = meta.params || {};
+    if (sketch && frame) {
+      const frameMatrix = frameToMatrix(deserializeFrame(frame));
+      const createdAt = new THREE.Vector3(origin[0], origin[1], 0).applyMatrix4(frameMatrix);
+      sketch.entities
+        .filter(entity => entity.center)
+        .forEach(entity => {
+          const center = sketch.points.find(point => point.id === entity.center);
+          if (!center) return;
+          targets.points.push({
+            kind: 'center',
+            point: new THREE.Vector3(center.x, center.y, 0).applyMatrix4(frameMatrix).sub(createdAt)
+          });
+        });
+    }
+
+    this.localTargets.set(geometry, targets);
+    return targets;
+  }
+
+  // Collect the world-space targets of every visible object, skipping the excluded meshes
+  collectTargets(exclude = []) {
+    const points = [];
+    const edges = [];
+
+    this.sceneManager.objects.forEach(meta => {
+      const { mesh } = meta;
+      if (!mesh?.geometry?.attributes.position || !mesh.visible || exclude.includes(mesh)) return;
+
+      mesh.updateMatrixWorld();
+      const local = this.getLocalTargets(meta);
+      local.points.forEach(({ kind, point }) => {
+        points.push({ kind, point: point.clone().applyMatrix4(mesh.matrixWorld), object: mesh });
+      });
+      local.edges.forEach(([start, end]) => {
+        edges.push([start.clone().applyMatrix4(mesh.matrixWorld), end.clone().applyMatrix4(mesh.matrixWorld)]);
+      });
+    });
+
+    return { points, edges };
+  }
+
+  /**
+   * Finds the snap target nearest to a point on a plane. Targets off the plane
+   * are projected onto it, so geometry above or below a sketch still guides it.
+   * @param {THREE.Vector3} point - Cursor position on the plane
+   * @param {THREE.Plane} plane - Plane the snapped point must stay on
+   * @param {Object} [options]
+   * @param {Array<{kind: string, point: THREE.Vector3}>} [options.points] - Extra targets (e.g. the sketch being drawn)
+   * @param {Array<Array<THREE.Vector3>>} [options.lines] - Extra line segments to intersect
+   * @param {Array<THREE.Object3D>} [options.exclude] - Meshes to ignore
+   * @returns {{kind: string, point: THREE.Vector3}|null} Null when nothing is close enough
+   */
+  snapToPlane(point, plane, { points = [], lines = [], exclude = [] } = {}) {
+    if (!this.enabled) return null;
+
+    const scene = this.collectTargets(exclude);
+    const candidates = [...scene.points, ...points].map(target => ({
+      kind: target.kind,
+      point: plane.projectPoint(target.point, new THREE.Vector3())
+    }));
+
+    // Only segments passing near the cursor can intersect near it
+    const segments = [...scene.edges, ...lines]
+      .map(([start, end]) => new THREE.Line3(
+        plane.projectPoint(start, new THREE.Vector3()),
+        plane.projectPoint(end, new THREE.Vector3())
+      ))
+      .filter(segment => segment.distance() > 1e-6 &&
+        segment.closestPointToPoint(point, true, new THREE.Vector3()).distanceTo(point) <= this.snapDistance);
+    for (let i = 0; i < segments.length; i++) {
+      for (let j = i + 1; j < segments.length; j++) {
+        const crossing = intersectSegments(segments[i], segments[j]);
+        if (crossing) candidates.push({ kind: 'intersection', point: crossing });
+      }
+    }
+
+    return this.findNearest(point, candidates);
+  }
+
+  /**
+   * Finds the offset that moves one of an object's vertices, edge midpoints or
+   * face centers onto the nearest target of another object
+   * @param {THREE.Object3D} object - Object being moved
+   * @returns {{kind: string, offset: THREE.Vector3, point: THREE.Vector3}|null}
+   */
+  snapObject(object) {
+    const meta = this.sceneManager.getObjectMeta?.(object);
+    if (!this.enabled || !meta?.mesh.geometry) return null;
+
+    object.updateMatrixWorld();
+    const targets = this.collectTargets([object]).points;
+    let best = null;
+
+    this.getLocalTargets(meta).points.forEach(({ point }) => {
+      const moving = point.clone().applyMatrix4(object.matrixWorld);
+      const target = this.findNearest(moving, targets);
+      if (target && (!best || target.distance < best.distance)) {
+        best = { ...target, offset: target.point.clone().sub(moving) };
+      }
+    });
+
+    return best;
+  }
+
+  // Pick the closest candidate within the snap distance
+  findNearest(point, candidates) {
+    let best = null;
+    candidates.forEach(candidate => {
+      const distance = candidate.point.distanceTo(point);
+      if (distance > this.snapDistance) return;
+      if (!best || distance < best.distance - 1e-9 ||
+        (Math.abs(distance - best.distance) <= 1e-9 &&
+          KIND_PRIORITY.indexOf(candidate.kind) < KIND_PRIORITY.indexOf(best.kind))) {
+        best = { kind: candidate.kind, point: candidate.point, distance };
+      }
+    });
+    return best;
+  }
+
+  // Show the marker on a snap target, or hide it when there is none
+  showTarget(target) {
+    if (!target) {
+      this.clearMarker();
+      return;
+    }
+
+    if (!this.marker) {
+      const geometry = new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute([0, 0, 0], 3));
+      this.marker = new THREE.Points(geometry, new THREE.PointsMaterial({
+        size: 12,
+        sizeAttenuation: false,
+        depthTest: false
+      }));
+      this.marker.renderOrder = 1000;
+    }
+    this.marker.material.color.setHex(SNAP_KINDS[target.kind]);
+    this.marker.position.copy(target.point);
+    if (this.marker.parent !== this.sceneManager.scene) {
+      this.sceneManager.scene.add(this.marker);
+    }
+  }
+
+  // Hide the marker
+  clearMarker() {
+    if (this.marker?.parent) {
+      this.marker.parent.remove(this.marker);
+    }
+  }
+
+  // Clean up
+  dispose() {
+    this.clearMarker();
+    if (this.marker) {
+      this.marker.geometry.dispose();
+      this.marker.material.dispose();
+      this.marker = null;
+    }
+  }
+}
+
+/**
+ * Gets the snap targets of a sketch object in its own space, which is the sketch plane:
+ * its points (circle and arc centers apart), line midpoints and lines
+ * @param {Object} sketch - Serialized sketch
+ * @returns {{points: Array, edges: Array}}
+ */
+function getSketchTargets(sketch) {
+  const toVector = id => {
+    const point = sketch.points.find(item => item.id === id);
+    return new THREE.Vector3(point.x, point.y, 0);
+  };
+  const centers = new Set(sketch.entities.map(entity => entity.center).filter(Boolean));
+  const points = sketch.points.map(point => ({
+    kind: centers.has(point.id) ? 'center' : 'vertex',
+    point: new THREE.Vector3(point.x, point.y, 0)
+  }));
+  const edges = sketch.entities
+    .filter(entity => entity.type === 'line')
+    .map(entity => [toVector(entity.p1), toVector(entity.p2)]);
+  edges.forEach(([start, end]) => points.push({ kind: 'midpoint', point: start.clone().lerp(end, 0.5) }));
+
+  return { points, edges };
+}
+
+/**
+ * Intersects two coplanar segments
+ * @param {THREE.Line3} a
+ * @param {THREE.Line3} b
+ * @returns {THREE.Vector3|null} Null for parallel or non-crossing segments
+ */
+function intersectSegments(a, b) {
+  const d1 = a.delta(new THREE.Vector3());
+  const d2 = b.delta(new THREE.Vector3());
+  const cross = new THREE.Vector3().crossVectors(d1, d2);
+  const denominator = cross.lengthSq();
+  if (denominator < 1e-12) return null;
+
+  const between = b.start.clone().sub(a.start);
+  const t = new THREE.Vector3().crossVectors(between, d2).dot(cross) / denominator;
+  const s = new THREE.Vector3().crossVectors(between, d1).dot(cross) / denominator;
+  const epsilon = 1e-6;
+  if (t < -epsilon || t > 1 + epsilon || s < -epsilon || s > 1 + epsilon) return null;
+
+  return a.start.clone().addScaledVector(d1, t);
+}
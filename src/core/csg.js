@@ -0,0 +1,299 @@
+// src/core/csg.js
+import * as THREE from 'three';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+// Distance under which a point counts as lying on a splitting plane
+const EPSILON = 1e-5;
+
+// Side of a plane a point or polygon lies on
+const COPLANAR = 0;
+const FRONT = 1;
+const BACK = 2;
+const SPANNING = 3;
+
+/**
+ * Boolean operations between closed meshes, computed with BSP trees
+ * (after Evan Wallace's csg.js). Each operand is clipped against the
+ * other's tree, and the kept polygons of both are merged.
+ */
+export const BOOLEAN_OPERATIONS = {
+  union: (a, b) => {
+    a.clipTo(b);
+    b.clipTo(a);
+    b.invert();
+    b.clipTo(a);
+    b.invert();
+    a.build(b.allPolygons());
+    return a;
+  },
+  subtract: (a, b) => {
+    a.invert();
+    a.clipTo(b);
+    b.clipTo(a);
+    b.invert();
+    b.clipTo(a);
+    b.invert();
+    a.build(b.allPolygons());
+    a.invert();
+    return a;
+  },
+  intersect: (a, b) => {
+    a.invert();
+    b.clipTo(a);
+    b.invert();
+    a.clipTo(b);
+    b.clipTo(a);
+    a.build(b.allPolygons());
+    a.invert();
+    return a;
+  }
+};
+
+// Corner of a polygon: a position and the surface normal there
+class Vertex {
+  constructor(position, normal) {
+    this.position = position;
+    this.normal = normal;
+  }
+
+  clone() {
+    return new Vertex(this.position.clone(), this.normal.clone());
+  }
+
+  // Turn the normal around when the polygon is flipped
+  flip() {
+    this.normal.negate();
+  }
+
+  // Vertex part way towards another one
+  interpolate(other, t) {
+    return new Vertex(
+      this.position.clone().lerp(other.position, t),
+      this.normal.clone().lerp(other.normal, t)
+    );
+  }
+}
+
+// Plane of a polygon, as a unit normal and its distance from the origin
+class Plane {
+  constructor(normal, w) {
+    this.normal = normal;
+    this.w = w;
+  }
+
+  static fromPoints(a, b, c) {
+    const normal = new THREE.Vector3().crossVectors(b.clone().sub(a), c.clone().sub(a)).normalize();
+    return new Plane(normal, normal.dot(a));
+  }
+
+  clone() {
+    return new Plane(this.normal.clone(), this.w);
+  }
+
+  flip() {
+    this.normal.negate();
+    this.w = -this.w;
+  }
+
+  // Sort a polygon into the lists of the side it lies on, cutting it in two when it spans the plane
+  splitPolygon(polygon, coplanarFront, coplanarBack, front, back) {
+    let polygonType = 0;
+    const types = polygon.vertices.map(vertex => {
+      const distance = this.normal.dot(vertex.position) - this.w;
+      const type = distance < -EPSILON ? BACK : distance > EPSILON ? FRONT : COPLANAR;
+      polygonType |= type;
+      return type;
+    });
+
+    switch (polygonType) {
+      case COPLANAR:
+        (this.normal.dot(polygon.plane.normal) > 0 ? coplanarFront : coplanarBack).push(polygon);
+        break;
+      case FRONT:
+        front.push(polygon);
+        break;
+      case BACK:
+        back.push(polygon);
+        break;
+      case SPANNING: {
+        const frontVertices = [];
+        const backVertices = [];
+        polygon.vertices.forEach((vertex, i) => {
+          const j = (i + 1) % polygon.vertices.length;
+          const next = polygon.vertices[j];
+          const type = types[i];
+          if (type !== BACK) frontVertices.push(vertex);
+          if (type !== FRONT) backVertices.push(type !== BACK ? vertex.clone() : vertex);
+          if ((type | types[j]) === SPANNING) {
+            const t = (this.w - this.normal.dot(vertex.position)) /
+              this.normal.dot(next.position.clone().sub(vertex.position));
+            const crossing = vertex.interpolate(next, t);
+            frontVertices.push(crossing);
+            backVertices.push(crossing.clone());
+          }
+        });
+        if (frontVertices.length >= 3) front.push(new Polygon(frontVertices, polygon.plane.clone()));
+        if (backVertices.length >= 3) back.push(new Polygon(backVertices, polygon.plane.clone()));
+        break;
+      }
+    }
+  }
+}
+
+// Convex planar polygon
+class Polygon {
+  constructor(vertices, plane) {
+    this.vertices = vertices;
+    this.plane = plane || Plane.fromPoints(vertices[0].position, vertices[1].position, vertices[2].position);
+  }
+
+  clone() {
+    return new Polygon(this.vertices.map(vertex => vertex.clone()), this.plane.clone());
+  }
+
+  flip() {
+    this.vertices.reverse().forEach(vertex => vertex.flip());
+    this.plane.flip();
+  }
+}
+
+// Node of a BSP tree: polygons on its plane, and subtrees for each side
+class Node {
+  constructor(polygons) {
+    this.plane = null;
+    this.front = null;
+    this.back = null;
+    this.polygons = [];
+    if (polygons) this.build(polygons);
+  }
+
+  // Swap solid and empty space
+  invert() {
+    this.polygons.forEach(polygon => polygon.flip());
+    this.plane?.flip();
+    this.front?.invert();
+    this.back?.invert();
+    [this.front, this.back] = [this.back, this.front];
+  }
+
+  // Remove the parts of polygons that lie inside this tree's solid
+  clipPolygons(polygons) {
+    if (!this.plane) return [...polygons];
+
+    let front = [];
+    let back = [];
+    polygons.forEach(polygon => this.plane.splitPolygon(polygon, front, back, front, back));
+    front = this.front ? this.front.clipPolygons(front) : front;
+    back = this.back ? this.back.clipPolygons(back) : [];
+    return front.concat(back);
+  }
+
+  // Remove the parts of this tree's polygons that lie inside another tree's solid
+  clipTo(bsp) {
+    this.polygons = bsp.clipPolygons(this.polygons);
+    this.front?.clipTo(bsp);
+    this.back?.clipTo(bsp);
+  }
+
+  allPolygons() {
+    return [
+      ...this.polygons,
+      ...(this.front ? this.front.allPolygons() : []),
+      ...(this.back ? this.back.allPolygons() : [])
+    ];
+  }
+
+  // Add polygons to the tree, splitting them by the planes they cross
+  build(polygons) {
+    if (polygons.length === 0) return;
+    if (!this.plane) this.plane = polygons[0].plane.clone();
+
+    const front = [];
+    const back = [];
+    polygons.forEach(polygon => this.plane.splitPolygon(polygon, this.polygons, this.polygons, front, back));
+    if (front.length > 0) {
+      this.front = this.front || new Node();
+      this.front.build(front);
+    }
+    if (back.length > 0) {
+      this.back = this.back || new Node();
+      this.back.build(back);
+    }
+  }
+}
+
+/**
+ * Converts the triangles of a geometry to CSG polygons
+ * @param {THREE.BufferGeometry} geometry
+ * @param {THREE.Matrix4} [matrix] - Transform applied to the triangles first
+ * @returns {Array<Polygon>}
+ */
+function geometryToPolygons(geometry, matrix = new THREE.Matrix4()) {
+  const source = geometry.index ? geometry.toNonIndexed() : geometry;
+  if (!source.attributes.normal) source.computeVertexNormals();
+  const position = source.attributes.position;
+  const normal = source.attributes.normal;
+  const normalMatrix = new THREE.Matrix3().getNormalMatrix(matrix);
+  // A mirroring matrix (negative scale) turns the triangles inside out unless their order is reversed
+  const corners = matrix.determinant() < 0 ? [0, 2, 1] : [0, 1, 2];
+  const polygons = [];
+
+  for (let i = 0; i + 2 < position.count; i += 3) {
+    const vertices = corners.map(corner => new Vertex(
+      new THREE.Vector3().fromBufferAttribute(position, i + corner).applyMatrix4(matrix),
+      new THREE.Vector3().fromBufferAttribute(normal, i + corner).applyMatrix3(normalMatrix).normalize()
+    ));
+    const plane = Plane.fromPoints(vertices[0].position, vertices[1].position, vertices[2].position);
+    // Degenerate triangles have no plane to split by
+    if (Number.isFinite(plane.w) && plane.normal.lengthSq() > 0.5) {
+      polygons.push(new Polygon(vertices, plane));
+    }
+  }
+
+  if (source !== geometry) source.dispose();
+  return polygons;
+}
+
+/**
+ * Converts CSG polygons to an indexed geometry. Corners sharing a position and
+ * a normal are merged, so sharp edges stay unshared and smooth surfaces stay smooth.
+ * @param {Array<Polygon>} polygons
+ * @returns {THREE.BufferGeometry}
+ */
+function polygonsToGeometry(polygons) {
+  const positions = [];
+  const normals = [];
+  polygons.forEach(polygon => {
+    const [first, ...rest] = polygon.vertices;
+    for (let i = 1; i < rest.length; i++) {
+      [first, rest[i - 1], rest[i]].forEach(vertex => {
+        positions.push(vertex.position.x, vertex.position.y, vertex.position.z);
+        normals.push(vertex.normal.x, vertex.normal.y, vertex.normal.z);
+      });
+    }
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+  const merged = mergeVertices(geometry, 1e-4);
+  geometry.dispose();
+  return merged;
+}
+
+/**
+ * Combines closed geometries with a boolean operation, left to right:
+ * the union of all, the first minus the others, or the part common to all
+ * @param {'union'|'subtract'|'intersect'} operation
+ * @param {Array<{geometry: THREE.BufferGeometry, matrix?: THREE.Matrix4}>} operands - Geometries, each placed by its matrix
+ * @returns {THREE.BufferGeometry|null} Null for an unknown operation or an empty result
+ */
+export function booleanGeometry(operation, operands) {
+  const combine = BOOLEAN_OPERATIONS[operation];
+  if (!combine || operands.length === 0) return null;
+
+  const [first, ...rest] = operands.map(({ geometry, matrix }) => new Node(geometryToPolygons(geometry, matrix)));
+  const result = rest.reduce((solid, operand) => combine(solid, operand), first);
+  const polygons = result.allPolygons();
+  return polygons.length > 0 ? polygonsToGeometry(polygons) : null;
+}
@@ -0,0 +1,102 @@
+// src/core/dimensionAnnotations.js
+import * as THREE from 'three';
+import { DIMENSION_TYPES, measureDimension } from './sketchSolver';
+
+const ANNOTATION_COLOR = 0xffcc00;
+const LABEL_HEIGHT = 0.25; // World height of a dimension label
+const OFFSET = 0.3; // Distance of a length dimension from its line
+
+/**
+ * Creates a text sprite facing the camera
+ * @param {string} text
+ * @returns {THREE.Sprite|null} Null where no canvas is available
+ */
+function createLabel(text) {
+  if (typeof document === 'undefined') return null;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = 256;
+  canvas.height = 64;
+  const context = canvas.getContext('2d');
+  context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = '#ffcc00';
+  context.font = 'bold 36px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+  const material = new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false });
+  const sprite = new THREE.Sprite(material);
+  sprite.scale.set(LABEL_HEIGHT * 4, LABEL_HEIGHT, 1);
+  sprite.renderOrder = 999;
+  return sprite;
+}
+
+/**
+ * Builds the viewport annotations of the driving dimensions in a sketch:
+ * offset leader lines for lengths, a radial leader for radii, each with its value.
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {Function} toWorld - Maps sketch (x, y) to a world THREE.Vector3
+ * @returns {THREE.Group}
+ */
+export function createDimensionAnnotations(sketch, toWorld) {
+  const group = new THREE.Group();
+  const material = new THREE.LineBasicMaterial({ color: ANNOTATION_COLOR, depthTest: false });
+
+  sketch.constraints
+    .filter(constraint => DIMENSION_TYPES.includes(constraint.type))
+    .forEach(constraint => {
+      if (measureDimension(sketch, constraint.type, constraint.refs) === null) return;
+
+      const entity = sketch.entities.find(item => item.id === constraint.refs[0]);
+      let leader;
+      let text;
+
+      if (constraint.type === 'radius') {
+        const center = sketch.getPoint(entity.center);
+        const radius = measureDimension(sketch, 'radius', constraint.refs);
+        const rim = entity.type === 'circle'
+          ? { x: center.x + radius * Math.SQRT1_2, y: center.y + radius * Math.SQRT1_2 }
+          : sketch.getPoint(entity.p1);
+        leader = [center, rim];
+        text = `R ${constraint.value.toFixed(2)}`;
+      } else {
+        const a = sketch.getPoint(entity.p1);
+        const b = sketch.getPoint(entity.p2);
+        const length = Math.max(Math.hypot(b.x - a.x, b.y - a.y), 1e-9);
+        const nx = -(b.y - a.y) / length * OFFSET;
+        const ny = (b.x - a.x) / length * OFFSET;
+        const a2 = { x: a.x + nx, y: a.y + ny };
+        const b2 = { x: b.x + nx, y: b.y + ny };
+        leader = [a, a2, b2, b];
+        text = constraint.value.toFixed(2);
+      }
+
+      const points = leader.map(point => toWorld(point.x, point.y));
+      const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material);
+      line.renderOrder = 998;
+      group.add(line);
+
+      const label = createLabel(text);
+      if (label) {
+        const middle = Math.floor((points.length - 1) / 2);
+        label.position.copy(points[middle]).lerp(points[middle + 1], 0.5);
+        group.add(label);
+      }
+    });
+
+  return group;
+}
+
+/**
+ * Disposes the geometries, materials and textures of annotations
+ * @param {THREE.Object3D} annotations
+ */
+export function disposeAnnotations(annotations) {
+  annotations.traverse(child => {
+    child.geometry?.dispose();
+    child.material?.map?.dispose();
+    child.material?.dispose();
+  });
+}
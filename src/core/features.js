@@ -0,0 +1,1279 @@
+// src/core/features.js
+import * as THREE from 'three';
+import { Sketch } from './Sketch';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { deserializeFrame, frameToMatrix, frameToRotation } from './sketchPlane';
+import { booleanGeometry } from './csg';
+import { findPlanarFace } from './primitives';
+import { buildPrimitiveGeometry } from './primitiveRegistry';
+
+/**
+ * Default settings for sketch extrusions
+ */
+export const EXTRUDE_DEFAULTS = {
+  depth: 1,
+  bevelEnabled: false,
+  bevelThickness: 0.1,
+  bevelSize: 0.1,
+  bevelSegments: 1,
+  symmetric: false,
+  operation: 'add', // 'add' grows along the sketch normal, 'cut' grows into the face and is subtracted from the target
+  target: null // Id, type, params and placement of the body the sketch face belongs to, as boolean operands keep them
+};
+
+/**
+ * Default settings for sketch revolves
+ */
+export const REVOLVE_DEFAULTS = {
+  axis: 'y', // 'x', 'y' or 'z' for a world axis through the origin, or the id of a sketch line
+  angle: 360 // Sweep angle in degrees
+};
+
+/**
+ * Default settings for sweeps of a profile sketch along a path sketch
+ */
+export const SWEEP_DEFAULTS = {
+  twist: 0, // Rotation of the profile about the path from start to end, in degrees
+  scale: 1 // Size of the profile at the end of the path relative to the start
+};
+
+/**
+ * Default settings for lofts between profile sketches
+ */
+export const LOFT_DEFAULTS = {
+  smooth: true // Blend through three or more profiles with a curve instead of straight spans
+};
+
+/**
+ * World axes a profile can be revolved around
+ */
+export const WORLD_AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1)
+};
+
+/**
+ * Converts the closed loops of a serialized sketch into shapes, with nested loops as holes
+ * @param {Object} sketchData - Sketch data from Sketch.toJSON
+ * @param {number[]} [origin=[0, 0]] - Sketch coordinates that map to the mesh origin
+ * @returns {Array<THREE.Shape>}
+ */
+export function sketchToShapes(sketchData, origin = [0, 0]) {
+  const sketch = new Sketch(sketchData);
+  return sketch.getShapes({ x: origin[0], y: origin[1] });
+}
+
+/**
+ * Builds the geometry of a sketch extrusion from its stored params.
+ * The geometry is oriented by the sketch frame and positioned relative to the
+ * sketch origin, so the mesh transform stays untouched when it is rebuilt.
+ * @param {Object} params - Extrusion params
+ * @param {Object} params.sketch - Sketch data from Sketch.toJSON
+ * @param {Object} [params.frame] - Serialized sketch frame (ground plane when missing)
+ * @param {number[]} [params.origin] - Sketch coordinates of the mesh origin
+ * @param {Object} [params.target] - Body a cut is subtracted from; the geometry is then what is left of it
+ * @returns {THREE.BufferGeometry|null} Null when the sketch has no closed profile, or a cut has no
+ *   body to cut or leaves nothing of it
+ */
+export function buildExtrudeGeometry(params) {
+  const settings = { ...EXTRUDE_DEFAULTS, ...params };
+  const shapes = sketchToShapes(settings.sketch, settings.origin);
+  if (shapes.length === 0) return null;
+
+  const depth = Math.max(settings.depth, 0.001);
+  const geometry = new THREE.ExtrudeGeometry(shapes, {
+    depth,
+    steps: 1,
+    curveSegments: 24,
+    bevelEnabled: settings.bevelEnabled,
+    bevelThickness: settings.bevelThickness,
+    bevelSize: settings.bevelSize,
+    bevelSegments: Math.max(1, Math.round(settings.bevelSegments))
+  });
+
+  if (settings.symmetric) {
+    geometry.translate(0, 0, -depth / 2);
+  } else if (settings.operation === 'cut') {
+    geometry.translate(0, 0, -depth);
+  }
+
+  geometry.applyMatrix4(frameToRotation(deserializeFrame(settings.frame)));
+  if (settings.operation !== 'cut') return geometry;
+
+  const target = settings.target && buildOperandGeometry(settings.target);
+  const result = target
+    ? booleanGeometry('subtract', [
+      { geometry: target, matrix: new THREE.Matrix4().fromArray(settings.target.matrix) },
+      { geometry, matrix: new THREE.Matrix4() }
+    ])
+    : null;
+  target?.dispose();
+  geometry.dispose();
+  return result;
+}
+
+/**
+ * Gets the world-space axis a revolve turns around
+ * @param {Sketch} sketch - Sketch holding the profile
+ * @param {Object} frame - Sketch frame
+ * @param {string} axis - World axis name or sketch line id
+ * @returns {{point: THREE.Vector3, direction: THREE.Vector3}|null} Null for an unknown or degenerate axis
+ */
+export function resolveRevolveAxis(sketch, frame, axis) {
+  if (WORLD_AXES[axis]) {
+    return { point: new THREE.Vector3(), direction: WORLD_AXES[axis].clone() };
+  }
+
+  const line = sketch.entities.find(entity => entity.id === axis && entity.type === 'line');
+  if (!line) return null;
+
+  const matrix = frameToMatrix(frame);
+  const [start, end] = sketch.getEndpoints(line).map(id => {
+    const point = sketch.getPoint(id);
+    return new THREE.Vector3(point.x, point.y, 0).applyMatrix4(matrix);
+  });
+  const direction = end.sub(start);
+  if (direction.lengthSq() < 1e-12) return null;
+
+  return { point: start, direction: direction.normalize() };
+}
+
+/**
+ * Builds a flat cap closing one end of a partial revolve
+ * @param {Array<THREE.Vector2>} contour - Closed profile as (radius, height) points
+ * @param {number} phi - Angle of the cap around the axis
+ * @param {number} side - -1 for the start cap, 1 for the end cap
+ * @returns {THREE.BufferGeometry}
+ */
+function buildRevolveCap(contour, phi, side) {
+  const toLocal = point => new THREE.Vector3(Math.sin(phi) * point.x, point.y, Math.cos(phi) * point.x);
+  const outward = new THREE.Vector3(Math.cos(phi), 0, -Math.sin(phi)).multiplyScalar(side);
+  const positions = [];
+
+  THREE.ShapeUtils.triangulateShape(contour, []).forEach(triangle => {
+    const [a, b, c] = triangle.map(index => toLocal(contour[index]));
+    const normal = new THREE.Triangle(a, b, c).getNormal(new THREE.Vector3());
+    const ordered = normal.dot(outward) < 0 ? [a, c, b] : [a, b, c];
+    ordered.forEach(vertex => positions.push(vertex.x, vertex.y, vertex.z));
+  });
+
+  const normals = [];
+  for (let i = 0; i < positions.length; i += 3) {
+    normals.push(outward.x, outward.y, outward.z);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+  return geometry;
+}
+
+/**
+ * Builds the geometry of a sketch revolve from its stored params.
+ * The profile is the first closed loop of the sketch, or its first open chain
+ * when there is none. A sketch line used as the axis is not part of the profile.
+ * Like extrusions, the geometry is positioned relative to the sketch origin.
+ * @param {Object} params - Revolve params
+ * @param {Object} params.sketch - Sketch data from Sketch.toJSON
+ * @param {Object} [params.frame] - Serialized sketch frame (ground plane when missing)
+ * @param {number[]} [params.origin] - Sketch coordinates of the mesh origin
+ * @param {string} [params.axis] - World axis name or sketch line id
+ * @param {number} [params.angle] - Sweep angle in degrees
+ * @returns {THREE.BufferGeometry|null} Null when there is no profile or axis
+ */
+export function buildRevolveGeometry(params) {
+  const settings = { ...REVOLVE_DEFAULTS, ...params };
+  const frame = deserializeFrame(settings.frame);
+  const sketchData = settings.sketch || {};
+  const sketch = new Sketch({
+    points: sketchData.points,
+    entities: (sketchData.entities || []).filter(entity => entity.id !== settings.axis)
+  });
+
+  const axis = resolveRevolveAxis(new Sketch(sketchData), frame, settings.axis);
+  if (!axis) return null;
+
+  const loop = sketch.getLoops()[0];
+  const segments = loop || sketch.getChains()[0];
+  if (!segments) return null;
+
+  // Express the profile as (distance from axis, height along axis)
+  const matrix = frameToMatrix(frame);
+  const radial = new THREE.Vector3();
+  const reference = new THREE.Vector3();
+  const profile = sketch.toPath(segments).getPoints(24).map(point => {
+    const offset = new THREE.Vector3(point.x, point.y, 0).applyMatrix4(matrix).sub(axis.point);
+    const height = offset.dot(axis.direction);
+    radial.copy(offset).addScaledVector(axis.direction, -height);
+    reference.add(radial);
+    return new THREE.Vector2(radial.length(), height);
+  });
+
+  if (profile.length < 2 || reference.lengthSq() < 1e-12) return null;
+
+  // Counter-clockwise in (radius, height) keeps the lathe faces pointing outward
+  if (THREE.ShapeUtils.isClockWise(profile)) profile.reverse();
+
+  // The lathe sweeps from local +Z around local +Y; line +Z up with the profile
+  const zAxis = reference.normalize();
+  const xAxis = new THREE.Vector3().crossVectors(axis.direction, zAxis).normalize();
+  const angle = THREE.MathUtils.degToRad(THREE.MathUtils.clamp(settings.angle, 1, 360));
+  const lathe = new THREE.LatheGeometry(profile, 48, 0, angle);
+  lathe.deleteAttribute('uv');
+
+  // An open profile with both ends on the axis still encloses a solid
+  const onAxis = point => point.x < 1e-6;
+  const closed = Boolean(loop) || (onAxis(profile[0]) && onAxis(profile[profile.length - 1]));
+
+  let geometry = lathe;
+  if (closed && angle < Math.PI * 2) {
+    const contour = loop ? profile.slice(0, -1) : profile;
+    geometry = mergeGeometries([
+      lathe.toNonIndexed(),
+      buildRevolveCap(contour, 0, -1),
+      buildRevolveCap(contour, angle, 1)
+    ]);
+    lathe.dispose();
+  }
+
+  const origin = settings.origin || [0, 0];
+  const position = new THREE.Vector3(origin[0], origin[1], 0).applyMatrix4(matrix);
+  geometry.applyMatrix4(new THREE.Matrix4().makeBasis(xAxis, axis.direction, zAxis).setPosition(axis.point.sub(position)));
+  return geometry;
+}
+
+/**
+ * Gets the centroid of a ring of points
+ * @param {Array<THREE.Vector3>} ring
+ * @returns {THREE.Vector3}
+ */
+function ringCentroid(ring) {
+  return ring.reduce((sum, point) => sum.add(point), new THREE.Vector3()).divideScalar(ring.length);
+}
+
+/**
+ * Gets the area vector of a ring of points; it points along the ring's normal
+ * when the ring runs counter-clockwise around it
+ * @param {Array<THREE.Vector3>} ring
+ * @returns {THREE.Vector3}
+ */
+function ringAreaVector(ring) {
+  const area = new THREE.Vector3();
+  ring.forEach((point, i) => {
+    area.add(new THREE.Vector3().crossVectors(point, ring[(i + 1) % ring.length]));
+  });
+  return area.multiplyScalar(0.5);
+}
+
+/**
+ * Reverses a loop in place, in both its sketch and world coordinates
+ * @param {{points2D: Array<THREE.Vector2>, points: Array<THREE.Vector3>}} loop
+ */
+function reverseLoop(loop) {
+  loop.points2D.reverse();
+  loop.points.reverse();
+}
+
+/**
+ * Samples the outer contour and holes of a shape without repeated points
+ * @param {THREE.Shape} shape
+ * @param {THREE.Matrix4} matrix - Sketch frame matrix taking the points to world space
+ * @param {number} divisions - Curve divisions
+ * @returns {Array<{points2D: Array<THREE.Vector2>, points: Array<THREE.Vector3>}>} Outer contour first, then holes
+ */
+function sampleShapeLoops(shape, matrix, divisions) {
+  const { shape: contour, holes } = shape.extractPoints(divisions);
+
+  return [contour, ...holes].map(points2D => {
+    const open = points2D.filter((point, i) => (
+      point.distanceTo(points2D[(i + 1) % points2D.length]) > 1e-9
+    ));
+    return {
+      points2D: open,
+      points: open.map(point => new THREE.Vector3(point.x, point.y, 0).applyMatrix4(matrix))
+    };
+  });
+}
+
+/**
+ * Orients loops so the outer contour runs counter-clockwise around the direction
+ * of travel and holes run clockwise, which makes the skin walls face outward
+ * @param {Array} loops - Loops from sampleShapeLoops
+ * @param {THREE.Vector3} travel - Direction the loops are skinned in
+ */
+function orientLoops(loops, travel) {
+  loops.forEach((loop, index) => {
+    const forward = ringAreaVector(loop.points).dot(travel) > 0;
+    if (forward !== (index === 0)) reverseLoop(loop);
+  });
+}
+
+/**
+ * Skins a series of stations into a closed solid. Each station holds one ring
+ * per loop (outer contour, then holes) with matching point counts, and the
+ * first and last stations are closed with caps.
+ * @param {Array<Array<Array<THREE.Vector3>>>} stations
+ * @param {Array<Array<number>>} startTriangles - Cap triangles indexing the flattened first station
+ * @param {Array<Array<number>>} endTriangles - Cap triangles indexing the flattened last station
+ * @returns {THREE.BufferGeometry}
+ */
+function skinStations(stations, startTriangles, endTriangles) {
+  const positions = [];
+  const push = vertices => vertices.forEach(vertex => positions.push(vertex.x, vertex.y, vertex.z));
+
+  stations.slice(0, -1).forEach((rings, k) => {
+    rings.forEach((ring, loopIndex) => {
+      const next = stations[k + 1][loopIndex];
+      ring.forEach((point, i) => {
+        const j = (i + 1) % ring.length;
+        push([point, ring[j], next[j]]);
+        push([point, next[j], next[i]]);
+      });
+    });
+  });
+
+  const addCap = (rings, triangles, outward) => {
+    const points = rings.flat();
+    const normal = new THREE.Vector3();
+    triangles.forEach(([a, b, c]) => {
+      new THREE.Triangle(points[a], points[b], points[c]).getNormal(normal);
+      push(normal.dot(outward) < 0 ? [points[a], points[c], points[b]] : [points[a], points[b], points[c]]);
+    });
+  };
+
+  const first = stations[0];
+  const last = stations[stations.length - 1];
+  addCap(first, startTriangles, ringCentroid(first[0]).sub(ringCentroid(stations[1][0])));
+  addCap(last, endTriangles, ringCentroid(last[0]).sub(ringCentroid(stations[stations.length - 2][0])));
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+/**
+ * Triangulates the cap of a set of loops in sketch coordinates
+ * @param {Array} loops - Loops from sampleShapeLoops, outer contour first
+ * @returns {Array<Array<number>>} Triangles indexing the flattened loops
+ */
+function triangulateLoops(loops) {
+  const [contour, ...holes] = loops.map(loop => loop.points2D);
+  return THREE.ShapeUtils.triangulateShape(contour, holes);
+}
+
+/**
+ * Samples a path sketch into world-space points, subdivided so no step is longer
+ * than a fraction of the path length
+ * @param {{sketch: Object, frame: Object}} section - Path sketch and its frame
+ * @param {number} [steps=64] - Minimum number of steps along the whole path
+ * @returns {Array<THREE.Vector3>} Empty when the sketch has no path
+ */
+function samplePath(section, steps = 64) {
+  const sketch = new Sketch(section?.sketch);
+  const segments = sketch.getChains()[0] || sketch.getLoops()[0];
+  if (!segments) return [];
+
+  const matrix = frameToMatrix(deserializeFrame(section.frame));
+  const corners = sketch.toPath(segments).getPoints(24)
+    .map(point => new THREE.Vector3(point.x, point.y, 0).applyMatrix4(matrix))
+    .filter((point, i, points) => i === 0 || point.distanceTo(points[i - 1]) > 1e-6);
+
+  const length = corners.reduce((sum, point, i) => (i ? sum + point.distanceTo(corners[i - 1]) : 0), 0);
+  const maxStep = length / steps;
+  const points = corners.slice(0, 1);
+
+  corners.slice(1).forEach((point, i) => {
+    const previous = corners[i];
+    const count = Math.max(1, Math.ceil(previous.distanceTo(point) / maxStep));
+    for (let k = 1; k <= count; k++) {
+      points.push(previous.clone().lerp(point, k / count));
+    }
+  });
+
+  return points;
+}
+
+/**
+ * Gets the world position of a sketch origin
+ * @param {Object} [frame] - Serialized sketch frame
+ * @param {number[]} [origin=[0, 0]] - Sketch coordinates
+ * @returns {THREE.Vector3}
+ */
+function sketchOriginToWorld(frame, origin = [0, 0]) {
+  return new THREE.Vector3(origin[0], origin[1], 0).applyMatrix4(frameToMatrix(deserializeFrame(frame)));
+}
+
+/**
+ * Builds the geometry of a sweep from its stored params. The profile keeps its
+ * drawn offset from the start of the path and is carried along the path with a
+ * rotation-minimizing frame, optionally twisting and scaling on the way.
+ * @param {Object} params - Sweep params
+ * @param {{sketch: Object, frame: Object}} params.profile - Closed profile sketch and its frame
+ * @param {{sketch: Object, frame: Object}} params.path - Open or closed path sketch and its frame
+ * @param {number[]} [params.origin] - Profile sketch coordinates of the mesh origin
+ * @param {number} [params.twist] - Twist from start to end, in degrees
+ * @param {number} [params.scale] - Profile scale at the end of the path
+ * @returns {THREE.BufferGeometry|null} Null without a closed profile or a path
+ */
+export function buildSweepGeometry(params) {
+  const settings = { ...SWEEP_DEFAULTS, ...params };
+  const shapes = settings.profile ? sketchToShapes(settings.profile.sketch) : [];
+  const path = samplePath(settings.path);
+  if (shapes.length === 0 || path.length < 2) return null;
+
+  const last = path.length - 1;
+  const tangents = path.map((point, i) => (
+    new THREE.Vector3().subVectors(path[Math.min(i + 1, last)], path[Math.max(i - 1, 0)]).normalize()
+  ));
+
+  // Parallel-transport the start orientation along the path
+  const rotations = [new THREE.Quaternion()];
+  for (let i = 1; i <= last; i++) {
+    const turn = new THREE.Quaternion().setFromUnitVectors(tangents[i - 1], tangents[i]);
+    rotations.push(turn.multiply(rotations[i - 1]));
+  }
+
+  const distances = path.map((point, i) => (i ? point.distanceTo(path[i - 1]) : 0));
+  distances.forEach((distance, i) => { if (i) distances[i] += distances[i - 1]; });
+
+  const twist = THREE.MathUtils.degToRad(settings.twist);
+  const transforms = path.map((point, i) => {
+    const t = distances[i] / distances[last];
+    const scale = 1 + (settings.scale - 1) * t;
+    const rotation = rotations[i].clone().multiply(new THREE.Quaternion().setFromAxisAngle(tangents[0], twist * t));
+    return offset => offset.clone().multiplyScalar(scale).applyQuaternion(rotation).add(point);
+  });
+
+  const matrix = frameToMatrix(deserializeFrame(settings.profile.frame));
+  const position = sketchOriginToWorld(settings.profile.frame, settings.origin);
+  const geometries = shapes.map(shape => {
+    const loops = sampleShapeLoops(shape, matrix, 24);
+    orientLoops(loops, tangents[0]);
+    const triangles = triangulateLoops(loops);
+    const offsets = loops.map(loop => loop.points.map(point => point.clone().sub(path[0])));
+    const stations = transforms.map(transform => offsets.map(ring => ring.map(transform)));
+    return skinStations(stations, triangles, triangles);
+  });
+
+  const geometry = geometries.length > 1 ? mergeGeometries(geometries) : geometries[0];
+  if (geometries.length > 1) geometries.forEach(part => part.dispose());
+  geometry.translate(-position.x, -position.y, -position.z);
+  return geometry;
+}
+
+/**
+ * Builds the geometry of a loft from its stored params. The outer contour of the
+ * first closed loop of each profile is resampled to a common point count and
+ * consecutive profiles are joined, straight or through a smooth curve.
+ * @param {Object} params - Loft params
+ * @param {Array<{sketch: Object, frame: Object}>} params.profiles - Profile sketches in loft order
+ * @param {number[]} [params.origin] - Sketch coordinates of the mesh origin on the first profile
+ * @param {boolean} [params.smooth] - Blend three or more profiles through a curve
+ * @returns {THREE.BufferGeometry|null} Null with fewer than two closed profiles
+ */
+export function buildLoftGeometry(params) {
+  const settings = { ...LOFT_DEFAULTS, ...params };
+  const profiles = settings.profiles || [];
+  const count = 64;
+
+  const sections = profiles.map(profile => {
+    const [shape] = sketchToShapes(profile.sketch);
+    if (!shape) return null;
+
+    const matrix = frameToMatrix(deserializeFrame(profile.frame));
+    const points2D = shape.getSpacedPoints(count).slice(0, -1);
+    return {
+      points2D,
+      points: points2D.map(point => new THREE.Vector3(point.x, point.y, 0).applyMatrix4(matrix))
+    };
+  });
+  if (sections.length < 2 || sections.includes(null)) return null;
+
+  // Run every contour the same way around the loft, starting near the previous one
+  sections.forEach((section, i) => {
+    const neighbour = sections[i === 0 ? 1 : i - 1];
+    const travel = ringCentroid(neighbour.points).sub(ringCentroid(section.points));
+    if (i > 0) travel.negate();
+    orientLoops([section], travel);
+    if (i === 0) return;
+
+    let bestShift = 0;
+    let bestCost = Infinity;
+    for (let shift = 0; shift < count; shift++) {
+      const cost = section.points.reduce((sum, point, j) => (
+        sum + section.points[(j + shift) % count].distanceToSquared(neighbour.points[j])
+      ), 0);
+      if (cost < bestCost) {
+        bestCost = cost;
+        bestShift = shift;
+      }
+    }
+    section.points = [...section.points.slice(bestShift), ...section.points.slice(0, bestShift)];
+    section.points2D = [...section.points2D.slice(bestShift), ...section.points2D.slice(0, bestShift)];
+  });
+
+  let rings = sections.map(section => section.points);
+  if (settings.smooth && sections.length > 2) {
+    const spanSteps = 8;
+    const samples = (sections.length - 1) * spanSteps + 1;
+    const curves = rings[0].map((point, j) => new THREE.CatmullRomCurve3(rings.map(ring => ring[j])));
+    rings = Array.from({ length: samples }, (_, k) => curves.map(curve => curve.getPoint(k / (samples - 1))));
+  }
+
+  const geometry = skinStations(
+    rings.map(ring => [ring]),
+    triangulateLoops([sections[0]]),
+    triangulateLoops([sections[sections.length - 1]])
+  );
+
+  const position = sketchOriginToWorld(profiles[0].frame, settings.origin);
+  geometry.translate(-position.x, -position.y, -position.z);
+  return geometry;
+}
+
+/**
+ * Default settings for boolean features
+ */
+export const BOOLEAN_DEFAULTS = {
+  operation: 'union' // 'union', 'subtract' or 'intersect'
+};
+
+/**
+ * Builds the geometry of a boolean feature by combining its operands, which are
+ * kept in the params so the boolean can be evaluated again when they change
+ * @param {Object} params
+ * @param {string} params.operation - 'union', 'subtract' or 'intersect'
+ * @param {Array<{id: string, type: string, params: Object, matrix: Array<number>}>} params.operands -
+ *   Object type and params of each operand, and the matrix placing it in the result's space
+ * @returns {THREE.BufferGeometry|null} Null when an operand cannot be built or nothing is left
+ */
+export function buildBooleanGeometry({ operation, operands = [] }) {
+  if (operands.length < 2) return null;
+
+  const geometries = operands.map(buildOperandGeometry);
+  const result = geometries.every(Boolean)
+    ? booleanGeometry(operation, geometries.map((geometry, i) => ({
+      geometry,
+      matrix: new THREE.Matrix4().fromArray(operands[i].matrix)
+    })))
+    : null;
+
+  geometries.forEach(geometry => geometry?.dispose());
+  return result;
+}
+
+// Builds the geometry of an object a feature is made from, from its type and params
+function buildOperandGeometry({ type, params }) {
+  const build = FEATURE_BUILDERS[type];
+  return build ? build({ ...FEATURE_DEFAULTS[type], ...params }) : buildPrimitiveGeometry(type, params);
+}
+
+/**
+ * Default settings for edge fillets and chamfers
+ */
+export const EDGE_FEATURE_DEFAULTS = {
+  size: 0.1 // Fillet radius, or chamfer distance along each face
+};
+
+/**
+ * Finds the faces meeting at an edge of a geometry
+ * @param {THREE.BufferGeometry} geometry
+ * @param {THREE.Vector3} start - Edge start
+ * @param {THREE.Vector3} end - Edge end
+ * @returns {Array<{normal: THREE.Vector3, inward: THREE.Vector3}>} One item per face plane: its
+ *   normal, and the direction across the edge into the face
+ */
+function facesAtEdge(geometry, start, end) {
+  const direction = end.clone().sub(start);
+  const length = direction.length();
+  direction.normalize();
+
+  // Distance along the edge of a point on the edge's line, null for points off it
+  const alongEdge = point => {
+    const offset = point.clone().sub(start);
+    const t = offset.dot(direction);
+    return offset.addScaledVector(direction, -t).lengthSq() < 1e-8 ? t : null;
+  };
+
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const vertexOf = i => new THREE.Vector3().fromBufferAttribute(position, index ? index.getX(i) : i);
+  const triangleCount = (index ? index.count : position.count) / 3;
+  const faces = [];
+
+  for (let i = 0; i < triangleCount; i++) {
+    const corners = [0, 1, 2].map(j => vertexOf(i * 3 + j));
+    const along = corners.map(alongEdge);
+    const onEdge = along.filter(t => t !== null);
+    // Triangles touching the edge have one side on its line, overlapping it
+    if (onEdge.length !== 2 || Math.min(...onEdge) > length - 1e-6 || Math.max(...onEdge) < 1e-6) continue;
+
+    const normal = new THREE.Triangle(...corners).getNormal(new THREE.Vector3());
+    if (faces.some(face => face.normal.dot(normal) > 0.9999)) continue;
+
+    const inward = corners[along.indexOf(null)].clone().sub(start);
+    inward.addScaledVector(direction, -inward.dot(direction)).normalize();
+    faces.push({ normal, inward });
+  }
+
+  return faces;
+}
+
+/**
+ * Builds the solid a fillet or chamfer removes along a convex edge: the corner
+ * between the two faces, up to a round (fillet) or a flat (chamfer)
+ * @param {THREE.BufferGeometry} geometry - Body the edge belongs to
+ * @param {THREE.Vector3} start - Edge start
+ * @param {THREE.Vector3} end - Edge end
+ * @param {number} size - Fillet radius, or chamfer distance along each face
+ * @param {boolean} round - Fillet rather than chamfer
+ * @returns {THREE.BufferGeometry|null} Null unless two faces meet at the edge at a convex angle
+ */
+function buildEdgeCutter(geometry, start, end, size, round) {
+  const faces = facesAtEdge(geometry, start, end);
+  if (faces.length !== 2) return null;
+
+  const [first, second] = faces;
+  const angle = first.inward.angleTo(second.inward);
+  if (second.inward.dot(first.normal) > -1e-6 || angle > Math.PI - 1e-3) return null;
+
+  // Across the edge, x points into the body halfway between the faces,
+  // which run along (cos, ±sin) of half their angle
+  const half = angle / 2;
+  const xAxis = first.inward.clone().add(second.inward).normalize();
+  const yAxis = first.inward.clone().sub(second.inward).normalize();
+  const zAxis = new THREE.Vector3().crossVectors(xAxis, yAxis);
+  const along = sign => new THREE.Vector2(Math.cos(half), sign * Math.sin(half));
+  const outward = sign => new THREE.Vector2(-Math.sin(half), sign * Math.cos(half));
+
+  // The cutter reaches a little outside the body so no cut face lies on a face of the body
+  const margin = size * 0.1;
+  const shape = new THREE.Shape();
+  shape.moveTo(-margin, 0);
+  if (round) {
+    const tangent = size / Math.tan(half);
+    const first2d = along(1).multiplyScalar(tangent);
+    const second2d = along(-1).multiplyScalar(tangent);
+    const center = new THREE.Vector2(size / Math.sin(half), 0);
+    shape.lineTo(first2d.x + outward(1).x * margin, first2d.y + outward(1).y * margin);
+    shape.lineTo(first2d.x, first2d.y);
+    shape.absarc(
+      center.x, center.y, size,
+      Math.atan2(first2d.y - center.y, first2d.x - center.x),
+      Math.atan2(second2d.y - center.y, second2d.x - center.x),
+      false
+    );
+    shape.lineTo(second2d.x + outward(-1).x * margin, second2d.y + outward(-1).y * margin);
+  } else {
+    const first2d = along(1).multiplyScalar(size);
+    const second2d = along(-1).multiplyScalar(size);
+    const across = first2d.clone().sub(second2d).multiplyScalar(0.1);
+    shape.lineTo(first2d.x + across.x, first2d.y + across.y);
+    shape.lineTo(second2d.x - across.x, second2d.y - across.y);
+  }
+  shape.closePath();
+
+  const length = start.distanceTo(end);
+  const cutter = new THREE.ExtrudeGeometry(shape, {
+    depth: length + 2 * margin,
+    bevelEnabled: false,
+    curveSegments: 16
+  });
+  const origin = (zAxis.dot(end.clone().sub(start)) > 0 ? start : end).clone().addScaledVector(zAxis, -margin);
+  cutter.applyMatrix4(new THREE.Matrix4().makeBasis(xAxis, yAxis, zAxis).setPosition(origin));
+  return cutter;
+}
+
+/**
+ * Builds the geometry of an edge fillet or chamfer: the body it was made from
+ * with each of its edges rounded or cut flat
+ * @param {Object} params
+ * @param {number} params.size - Fillet radius, or chamfer distance along each face
+ * @param {Array<Array<number>>} params.edges - Edges, as pairs of vertex indices of the body's geometry
+ * @param {{id: string, type: string, params: Object}} params.base - Object type and params of the body
+ * @param {boolean} round - Fillet rather than chamfer
+ * @returns {THREE.BufferGeometry|null} Null when the body cannot be built or an edge cannot be cut
+ */
+function buildEdgeFeatureGeometry({ size, edges = [], base }, round) {
+  if (!(size > 0) || edges.length === 0 || !base) return null;
+
+  const geometry = buildOperandGeometry(base);
+  if (!geometry) return null;
+
+  const position = geometry.attributes.position;
+  const vertexOf = index => (index < position.count ? new THREE.Vector3().fromBufferAttribute(position, index) : null);
+  const cutters = edges.map(([a, b]) => {
+    const start = vertexOf(a);
+    const end = vertexOf(b);
+    return start && end ? buildEdgeCutter(geometry, start, end, size, round) : null;
+  });
+  const result = cutters.every(Boolean)
+    ? booleanGeometry('subtract', [geometry, ...cutters].map(item => ({ geometry: item })))
+    : null;
+
+  [geometry, ...cutters].forEach(item => item?.dispose());
+  return result;
+}
+
+/**
+ * Builds the geometry of an edge fillet: the body with its edges rounded
+ * @param {Object} params - See buildEdgeFeatureGeometry
+ * @returns {THREE.BufferGeometry|null}
+ */
+export function buildFilletGeometry(params) {
+  return buildEdgeFeatureGeometry(params, true);
+}
+
+/**
+ * Builds the geometry of an edge chamfer: the body with its edges cut flat
+ * @param {Object} params - See buildEdgeFeatureGeometry
+ * @returns {THREE.BufferGeometry|null}
+ */
+export function buildChamferGeometry(params) {
+  return buildEdgeFeatureGeometry(params, false);
+}
+
+/**
+ * Default settings for push/pull of a face
+ */
+export const PUSH_PULL_DEFAULTS = {
+  distance: 0 // Along the face normal: out when positive, in when negative
+};
+
+/**
+ * Moves a planar face of a geometry along its normal. Every corner at the same
+ * place as a corner of the face moves with it, so the side faces stretch to follow.
+ * @param {THREE.BufferGeometry} geometry - Changed in place
+ * @param {number} triangleIndex - Index of a triangle of the face
+ * @param {number} distance - Distance along the face normal
+ * @returns {THREE.BufferGeometry|null} The geometry, or null if it has no such triangle
+ */
+export function movePlanarFace(geometry, triangleIndex, distance) {
+  const face = findPlanarFace(geometry, triangleIndex);
+  if (!face) return null;
+
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const keyOf = i => [position.getX(i), position.getY(i), position.getZ(i)].map(value => Math.round(value * 1e4)).join('_');
+  const corners = new Set(face.triangles.flatMap(triangle =>
+    [0, 1, 2].map(j => keyOf(index ? index.getX(triangle * 3 + j) : triangle * 3 + j))));
+
+  const offset = face.normal.clone().multiplyScalar(distance);
+  const moved = [];
+  for (let i = 0; i < position.count; i++) {
+    if (corners.has(keyOf(i))) moved.push(i);
+  }
+  moved.forEach(i => {
+    position.setXYZ(i, position.getX(i) + offset.x, position.getY(i) + offset.y, position.getZ(i) + offset.z);
+  });
+
+  position.needsUpdate = true;
+  geometry.computeVertexNormals();
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+/**
+ * Builds the geometry of a push/pull: the body it was made from with one of its
+ * planar faces moved along its normal
+ * @param {Object} params
+ * @param {{id: string, type: string, params: Object}} params.base - Object type and params of the body
+ * @param {number} params.faceIndex - Index of a triangle of the face in the body's geometry
+ * @param {number} params.distance - Distance along the face normal
+ * @returns {THREE.BufferGeometry|null} Null when the body cannot be built or has no such face
+ */
+export function buildPushPullGeometry({ base, faceIndex, distance = 0 }) {
+  const geometry = base && buildOperandGeometry(base);
+  if (!geometry) return null;
+
+  const moved = movePlanarFace(geometry, faceIndex, distance);
+  if (!moved) geometry.dispose();
+  return moved;
+}
+
+/**
+ * Default settings for shells
+ */
+export const SHELL_DEFAULTS = {
+  thickness: 0.1, // Wall thickness, measured inwards
+  removedFaces: [] // Triangle indices of the faces left open, one per planar face
+};
+
+/**
+ * Offsets every face of a closed geometry along its normal: inwards by the thickness,
+ * or outwards by it for the faces in `opened`. Each corner moves to where the offset
+ * planes of its faces meet; faces less than about 20° apart count as one.
+ * @param {THREE.BufferGeometry} geometry
+ * @param {number} thickness
+ * @param {Set<number>} opened - Triangle indices of the faces offset outwards
+ * @returns {THREE.BufferGeometry} A moved copy of the geometry
+ */
+function offsetSolidGeometry(geometry, thickness, opened) {
+  const result = geometry.clone();
+  const position = result.attributes.position;
+  const index = result.index;
+  const triangleCount = (index ? index.count : position.count) / 3;
+  const vertexAt = (triangle, j) => index ? index.getX(triangle * 3 + j) : triangle * 3 + j;
+  const keyOf = i => [position.getX(i), position.getY(i), position.getZ(i)].map(value => Math.round(value * 1e4)).join('_');
+
+  // Planes meeting at each corner: normal and the offset along it
+  const planesAt = new Map();
+  const triangle = new THREE.Triangle();
+  for (let t = 0; t < triangleCount; t++) {
+    const corners = [0, 1, 2].map(j => vertexAt(t, j));
+    triangle.setFromAttributeAndIndices(position, ...corners);
+    if (triangle.getArea() < 1e-12) continue;
+
+    const normal = triangle.getNormal(new THREE.Vector3());
+    const offset = opened.has(t) ? thickness : -thickness;
+    corners.forEach(i => {
+      const key = keyOf(i);
+      if (!planesAt.has(key)) planesAt.set(key, []);
+      const planes = planesAt.get(key);
+      const same = planes.find(plane => plane.normal.dot(normal) > 0.94);
+      if (!same) {
+        planes.push({ normal, offset });
+      } else if (offset > 0) {
+        same.offset = offset;
+      }
+    });
+  }
+
+  const displacements = new Map();
+  planesAt.forEach((planes, key) => {
+    const move = new THREE.Vector3();
+    if (planes.length === 1) {
+      move.copy(planes[0].normal).multiplyScalar(planes[0].offset);
+    } else if (planes.length === 2) {
+      // Both offsets hold for a move in the span of the two normals
+      const [a, b] = planes;
+      const cos = a.normal.dot(b.normal);
+      const scale = 1 / (1 - cos * cos);
+      move.addScaledVector(a.normal, (a.offset - cos * b.offset) * scale)
+        .addScaledVector(b.normal, (b.offset - cos * a.offset) * scale);
+    } else {
+      // Least squares over the planes: (Σ n nᵀ) d = Σ offset n
+      const sum = new THREE.Matrix3().set(0, 0, 0, 0, 0, 0, 0, 0, 0);
+      const target = new THREE.Vector3();
+      planes.forEach(({ normal, offset }) => {
+        const { x, y, z } = normal;
+        const elements = [x * x, y * x, z * x, x * y, y * y, z * y, x * z, y * z, z * z];
+        elements.forEach((value, i) => {
+          sum.elements[i] += value;
+        });
+        target.addScaledVector(normal, offset);
+      });
+      if (Math.abs(sum.determinant()) > 1e-9) {
+        move.copy(target).applyMatrix3(sum.invert());
+      } else {
+        move.copy(target).divideScalar(planes.length);
+      }
+    }
+    displacements.set(key, move);
+  });
+
+  const keys = Array.from({ length: position.count }, (_, i) => keyOf(i));
+  keys.forEach((key, i) => {
+    const move = displacements.get(key);
+    if (move) position.setXYZ(i, position.getX(i) + move.x, position.getY(i) + move.y, position.getZ(i) + move.z);
+  });
+  position.needsUpdate = true;
+  result.computeVertexNormals();
+  return result;
+}
+
+// Signed volume enclosed by a closed geometry; negative when it is turned inside out
+function signedVolume(geometry) {
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const count = index ? index.count : position.count;
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  let volume = 0;
+  for (let i = 0; i < count; i += 3) {
+    a.fromBufferAttribute(position, index ? index.getX(i) : i);
+    b.fromBufferAttribute(position, index ? index.getX(i + 1) : i + 1);
+    c.fromBufferAttribute(position, index ? index.getX(i + 2) : i + 2);
+    volume += a.dot(b.cross(c)) / 6;
+  }
+  return volume;
+}
+
+/**
+ * Builds the geometry of a shell: the body it was made from hollowed out to walls of
+ * the given thickness, left open at the removed faces
+ * @param {Object} params
+ * @param {{id: string, type: string, params: Object}} params.base - Object type and params of the body
+ * @param {number} params.thickness - Wall thickness
+ * @param {Array<number>} [params.removedFaces] - Triangle indices of the faces to leave open
+ * @returns {THREE.BufferGeometry|null} Null when the body cannot be built or the walls do not fit inside it
+ */
+export function buildShellGeometry({ base, thickness, removedFaces = [] }) {
+  const outer = base && buildOperandGeometry(base);
+  if (!outer || !(thickness > 0)) {
+    outer?.dispose();
+    return null;
+  }
+
+  const opened = new Set(removedFaces.flatMap(faceIndex => findPlanarFace(outer, faceIndex)?.triangles || []));
+  const inner = offsetSolidGeometry(outer, thickness, opened);
+
+  // Walls thicker than the body turn the inner solid inside out
+  const result = signedVolume(inner) > 0
+    ? booleanGeometry('subtract', [{ geometry: outer }, { geometry: inner }])
+    : null;
+
+  outer.dispose();
+  inner.dispose();
+  return result;
+}
+
+/**
+ * Default settings for linear and circular patterns
+ */
+export const PATTERN_DEFAULTS = {
+  kind: 'linear', // 'linear' repeats along the direction, 'circular' around the axis
+  count: 3, // Number of copies, besides the object itself
+  spacing: 1.5, // Distance between neighbouring copies of a linear pattern
+  direction: [1, 0, 0], // World direction of a linear pattern
+  axis: [0, 1, 0], // World direction of the axis of a circular pattern
+  center: [0, 0, 0], // World point the axis of a circular pattern passes through
+  angle: 60 // Degrees between neighbouring copies of a circular pattern
+};
+
+/**
+ * Gets the placements of the copies of a pattern, relative to the object patterned
+ * @param {Object} params - Pattern params
+ * @param {Array<number>} params.matrix - World matrix of the object when the pattern was made
+ * @returns {Array<THREE.Matrix4>|null} One matrix per copy, null for a direction or axis of zero length
+ */
+export function patternMatrices({ kind, count, spacing, direction, axis, center, angle, matrix }) {
+  const vector = new THREE.Vector3().fromArray(kind === 'circular' ? axis : direction);
+  if (vector.lengthSq() === 0) return null;
+  vector.normalize();
+
+  const placement = new THREE.Matrix4().fromArray(matrix);
+  const toPlacement = placement.clone().invert();
+  const pivot = new THREE.Vector3().fromArray(center);
+
+  return Array.from({ length: Math.max(0, Math.floor(count)) }, (_, i) => {
+    const step = i + 1;
+    // Move or turn in world space, expressed in the object's own frame
+    const world = kind === 'circular'
+      ? new THREE.Matrix4().makeTranslation(pivot.x, pivot.y, pivot.z)
+        .multiply(new THREE.Matrix4().makeRotationAxis(vector, THREE.MathUtils.degToRad(angle * step)))
+        .multiply(new THREE.Matrix4().makeTranslation(-pivot.x, -pivot.y, -pivot.z))
+      : new THREE.Matrix4().makeTranslation(vector.clone().multiplyScalar(spacing * step));
+    return toPlacement.clone().multiply(world).multiply(placement);
+  });
+}
+
+/**
+ * Builds what a pattern shows: the geometry of the object patterned, to be drawn
+ * once per copy, and the placements of the copies
+ * @param {Object} params - Pattern params, with the object patterned as `base`
+ * @returns {{geometry: THREE.BufferGeometry, matrices: Array<THREE.Matrix4>}|null} Null when either cannot be built
+ */
+export function buildPatternInstances(params) {
+  const matrices = patternMatrices(params);
+  const geometry = matrices && params.base && buildOperandGeometry(params.base);
+  return geometry ? { geometry, matrices } : null;
+}
+
+/**
+ * Builds the copies of a pattern as one geometry, for features made from it
+ * @param {Object} params - Pattern params
+ * @returns {THREE.BufferGeometry|null}
+ */
+export function buildPatternGeometry(params) {
+  const instances = buildPatternInstances(params);
+  if (!instances || instances.matrices.length === 0) {
+    instances?.geometry.dispose();
+    return null;
+  }
+
+  const copies = instances.matrices.map(matrix => instances.geometry.clone().applyMatrix4(matrix));
+  const geometry = mergeGeometries(copies);
+  copies.forEach(copy => copy.dispose());
+  instances.geometry.dispose();
+  return geometry;
+}
+
+/**
+ * Default settings for mirrors
+ */
+export const MIRROR_DEFAULTS = {
+  plane: { normal: [1, 0, 0], constant: 0 }, // World plane reflected across: normal · point + constant = 0
+  merge: false // Join the mirrored copy and the object into one body
+};
+
+/**
+ * World planes through the origin a mirror can reflect across, by name
+ */
+export const MIRROR_PLANES = {
+  YZ: { normal: [1, 0, 0], constant: 0 },
+  XZ: { normal: [0, 1, 0], constant: 0 },
+  XY: { normal: [0, 0, 1], constant: 0 }
+};
+
+/**
+ * Gets the matrix that reflects points across a plane
+ * @param {{normal: Array<number>, constant: number}} plane - Plane as in THREE.Plane
+ * @returns {THREE.Matrix4|null} Null for a normal of zero length
+ */
+export function reflectionMatrix({ normal, constant }) {
+  const n = new THREE.Vector3().fromArray(normal);
+  const length = n.length();
+  if (length < 1e-12) return null;
+  n.divideScalar(length);
+  const d = constant / length;
+
+  // p' = p - 2 (n · p + d) n
+  const { x, y, z } = n;
+  return new THREE.Matrix4().set(
+    1 - 2 * x * x, -2 * x * y, -2 * x * z, -2 * x * d,
+    -2 * x * y, 1 - 2 * y * y, -2 * y * z, -2 * y * d,
+    -2 * x * z, -2 * y * z, 1 - 2 * z * z, -2 * z * d,
+    0, 0, 0, 1
+  );
+}
+
+/**
+ * Gets the world plane through a line of a sketch, standing at right angles to the sketch
+ * @param {Object} sketchData - Sketch data from Sketch.toJSON
+ * @param {Object} [frameData] - Serialized sketch frame (ground plane when missing)
+ * @param {string} [lineId] - Id of the line; the first line of the sketch when missing
+ * @returns {{normal: Array<number>, constant: number}|null} Null when there is no such line or it has no length
+ */
+export function sketchLinePlane(sketchData, frameData, lineId) {
+  const sketch = new Sketch(sketchData);
+  const frame = deserializeFrame(frameData);
+  const line = sketch.entities.find(entity => entity.type === 'line' && (!lineId || entity.id === lineId));
+  const axis = line && resolveRevolveAxis(sketch, frame, line.id);
+  if (!axis) return null;
+
+  const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(
+    new THREE.Vector3().crossVectors(axis.direction, frame.normal).normalize(),
+    axis.point
+  );
+  return { normal: plane.normal.toArray(), constant: plane.constant };
+}
+
+/**
+ * Reverses the corner order of every triangle of a geometry in place
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {THREE.BufferGeometry} The same geometry
+ */
+function flipWinding(geometry) {
+  const { index } = geometry;
+  if (index) {
+    for (let i = 0; i + 2 < index.count; i += 3) {
+      const second = index.getX(i + 1);
+      index.setX(i + 1, index.getX(i + 2));
+      index.setX(i + 2, second);
+    }
+    index.needsUpdate = true;
+    return geometry;
+  }
+
+  Object.values(geometry.attributes).forEach(attribute => {
+    const size = attribute.itemSize;
+    for (let i = 0; i + 2 < attribute.count; i += 3) {
+      for (let k = 0; k < size; k++) {
+        const second = attribute.getComponent(i + 1, k);
+        attribute.setComponent(i + 1, k, attribute.getComponent(i + 2, k));
+        attribute.setComponent(i + 2, k, second);
+      }
+    }
+    attribute.needsUpdate = true;
+  });
+  return geometry;
+}
+
+/**
+ * Transforms a geometry in place and, when the matrix turns space inside out (a reflection
+ * or negative scale), reverses its triangles so their front faces point outwards again.
+ * Normals follow the matrix, so the result shades like the original.
+ * @param {THREE.BufferGeometry} geometry
+ * @param {THREE.Matrix4} matrix
+ * @returns {THREE.BufferGeometry} The same geometry
+ */
+export function mirrorGeometry(geometry, matrix) {
+  geometry.applyMatrix4(matrix);
+  return matrix.determinant() < 0 ? flipWinding(geometry) : geometry;
+}
+
+/**
+ * Builds the geometry of a mirror feature: the object reflected across a world plane,
+ * or the object and its reflection joined into one body
+ * @param {Object} params
+ * @param {{id: string, type: string, params: Object}} params.base - Object type and params of the object mirrored
+ * @param {Array<number>} params.matrix - World matrix of the object when the mirror was made; the feature sits there too
+ * @param {{normal: Array<number>, constant: number}} params.plane - World plane
+ * @param {boolean} [params.merge] - Join the reflection and the object
+ * @returns {THREE.BufferGeometry|null} Null when the object cannot be built or the plane has no normal
+ */
+export function buildMirrorGeometry({ base, matrix, plane, merge = false }) {
+  const reflection = reflectionMatrix(plane);
+  const geometry = reflection && base && buildOperandGeometry(base);
+  if (!geometry) return null;
+
+  // Reflect in world space, expressed in the object's own frame
+  const placement = new THREE.Matrix4().fromArray(matrix);
+  const local = placement.clone().invert().multiply(reflection).multiply(placement);
+  const mirrored = mirrorGeometry(geometry.clone(), local);
+  if (!merge) {
+    geometry.dispose();
+    return mirrored;
+  }
+
+  const result = booleanGeometry('union', [{ geometry }, { geometry: mirrored }]);
+  geometry.dispose();
+  mirrored.dispose();
+  return result;
+}
+
+/**
+ * Default params of the sketch, boolean, edge, face, pattern and mirror features, keyed by object type
+ */
+export const FEATURE_DEFAULTS = {
+  Extruded: EXTRUDE_DEFAULTS,
+  Revolved: REVOLVE_DEFAULTS,
+  Swept: SWEEP_DEFAULTS,
+  Lofted: LOFT_DEFAULTS,
+  Boolean: BOOLEAN_DEFAULTS,
+  Fillet: EDGE_FEATURE_DEFAULTS,
+  Chamfer: EDGE_FEATURE_DEFAULTS,
+  PushPull: PUSH_PULL_DEFAULTS,
+  Shell: SHELL_DEFAULTS,
+  Pattern: PATTERN_DEFAULTS,
+  Mirror: MIRROR_DEFAULTS
+};
+
+/**
+ * Geometry builders of the sketch, boolean, edge, face, pattern and mirror features, keyed by object type
+ */
+export const FEATURE_BUILDERS = {
+  Extruded: buildExtrudeGeometry,
+  Revolved: buildRevolveGeometry,
+  Swept: buildSweepGeometry,
+  Lofted: buildLoftGeometry,
+  Boolean: buildBooleanGeometry,
+  Fillet: buildFilletGeometry,
+  Chamfer: buildChamferGeometry,
+  PushPull: buildPushPullGeometry,
+  Shell: buildShellGeometry,
+  Pattern: buildPatternGeometry,
+  Mirror: buildMirrorGeometry
+};
+
+/**
+ * Creates the material for a feature
+ * @returns {THREE.MeshStandardMaterial}
+ */
+export function createFeatureMaterial() {
+  return new THREE.MeshStandardMaterial({
+    color: 0x8888ff,
+    metalness: 0.3,
+    roughness: 0.8
+  });
+}
+
+/**
+ * Builds the wire drawn for a sketch object: every entity as line segments
+ * in sketch coordinates (the object itself sits on the sketch plane)
+ * @param {Object} sketchData - Serialized sketch
+ * @returns {THREE.BufferGeometry}
+ */
+export function buildSketchWireGeometry(sketchData) {
+  const sketch = new Sketch(sketchData);
+  const positions = sketch.entities.flatMap(entity => {
+    const points = sketch.toPath([{ entity, reversed: false }]).getPoints(24);
+    return points.slice(1).flatMap((point, i) => [points[i].x, points[i].y, 0, point.x, point.y, 0]);
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  return geometry;
+}
+
+/**
+ * Gets the changes that give a feature the new data of a sketch object it was built from.
+ * The sketch of an extrusion or revolve sits on the params themselves; sweeps and lofts
+ * keep theirs on the profile, path and profiles.
+ * @param {Object} params - Feature params
+ * @param {string} sketchId - Id of the changed sketch object
+ * @param {Object} sketchData - Its new serialized sketch
+ * @returns {Object|null} Param changes, or null if the feature does not use the sketch
+ */
+export function replaceLinkedSketch(params, sketchId, sketchData) {
+  const replace = slot => (slot?.sketchId === sketchId ? { ...slot, sketch: sketchData } : slot);
+  const changes = {};
+
+  if (params.sketchId === sketchId) changes.sketch = sketchData;
+  if (params.profile?.sketchId === sketchId) changes.profile = replace(params.profile);
+  if (params.path?.sketchId === sketchId) changes.path = replace(params.path);
+  if (params.profiles?.some(profile => profile.sketchId === sketchId)) {
+    changes.profiles = params.profiles.map(replace);
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Renames the ids of the sketch objects, boolean operands and bodies of cuts, edge
+ * and face features a feature refers to, e.g. after an import gave them new ids
+ * @param {Object} params - Feature params
+ * @param {Map<string, string>} ids - Old ids mapped to new ones
+ * @returns {Object} The params with the ids replaced
+ */
+export function remapLinkedObjects(params, ids) {
+  const remap = slot => (slot?.sketchId && ids.has(slot.sketchId) ? { ...slot, sketchId: ids.get(slot.sketchId) } : slot);
+  const remapped = { ...remap(params) };
+
+  if (params.profile) remapped.profile = remap(params.profile);
+  if (params.path) remapped.path = remap(params.path);
+  if (params.profiles) remapped.profiles = params.profiles.map(remap);
+  if (params.operands) {
+    remapped.operands = params.operands.map(operand =>
+      (ids.has(operand.id) ? { ...operand, id: ids.get(operand.id) } : operand));
+  }
+  if (params.base && ids.has(params.base.id)) remapped.base = { ...params.base, id: ids.get(params.base.id) };
+  if (params.target && ids.has(params.target.id)) remapped.target = { ...params.target, id: ids.get(params.target.id) };
+  return remapped;
+}
+
+/**
+ * Lists the ids of the sketch objects a feature was built from
+ * @param {Object} params - Feature params
+ * @returns {Array<string>}
+ */
+export function linkedSketchIds(params) {
+  return [params, params.profile, params.path, ...(params.profiles || [])]
+    .map(slot => slot?.sketchId)
+    .filter(Boolean);
+}
+
+// Features that take the place of the body they were made from
+const BASE_CONSUMERS = ['Fillet', 'Chamfer', 'PushPull', 'Shell'];
+
+/**
+ * Lists the ids of the objects a feature stands in for, which stay hidden while it is built:
+ * the operands of a boolean, the body of a cut, edge feature, push/pull or shell, and the
+ * object of a merged mirror
+ * @param {string} type - Feature type
+ * @param {Object} params - Feature params
+ * @returns {Array<string>}
+ */
+export function consumedObjectIds(type, params = {}) {
+  if (type === 'Extruded' && params.operation === 'cut') return params.target ? [params.target.id] : [];
+  if (type === 'Boolean') return (params.operands || []).map(operand => operand.id);
+  if (BASE_CONSUMERS.includes(type) || (type === 'Mirror' && params.merge)) {
+    return params.base ? [params.base.id] : [];
+  }
+  return [];
+}
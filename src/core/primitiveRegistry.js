@@ -0,0 +1,264 @@
+// src/core/primitiveRegistry.js
+import * as THREE from 'three';
+import { createHelixGeometry, createTubeGeometry, createWedgeGeometry } from './primitives';
+
+/**
+ * @typedef {Object} PrimitiveParam
+ * @property {string} name - Key in the object's params
+ * @property {string} [label] - Name shown in the UI, defaults to the key
+ * @property {number} default
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {number} [step] - Input step, 1 for integers
+ * @property {boolean} [integer] - Rounded to a whole number
+ */
+
+/**
+ * @typedef {Object} PrimitiveDefinition
+ * @property {string} type - Object type stored in the scene, e.g. 'Box'
+ * @property {string} [label] - Name shown in the UI, defaults to the type
+ * @property {string} [icon] - Toolbar icon
+ * @property {Array<PrimitiveParam>} params - Parameter schema
+ * @property {function(Object): THREE.BufferGeometry|null} build - Geometry from resolved params
+ * @property {{color?: number, metalness?: number, roughness?: number, doubleSided?: boolean}} [material]
+ * @property {Array<string>} [aliases] - Other type names importers accept, e.g. 'box'
+ * @property {function(Object): Object} [serialize] - Params to the JSON saved in scene files
+ * @property {function(Object): Object} [deserialize] - JSON from scene files back to params
+ */
+
+// Registered primitives by type, and their aliases
+const primitives = new Map();
+const aliases = new Map();
+
+/**
+ * Registers a primitive shape. The toolbar, the properties panel, scene
+ * creation and the importers all find shapes here, so a new parametric part
+ * only needs a definition. A type registered again replaces the old one.
+ * @param {PrimitiveDefinition} definition
+ * @returns {PrimitiveDefinition|null} The definition with defaults filled in, or null if it is invalid
+ */
+export function registerPrimitive(definition) {
+  const { type, params, build } = definition || {};
+  if (!type || !Array.isArray(params) || typeof build !== 'function') {
+    console.error('A primitive needs a type, a params schema and a build function');
+    return null;
+  }
+
+  const primitive = {
+    label: type,
+    icon: type[0],
+    material: {},
+    aliases: [`${type[0].toLowerCase()}${type.slice(1)}`],
+    serialize: values => resolvePrimitiveParams(type, values),
+    deserialize: data => resolvePrimitiveParams(type, data),
+    ...definition,
+    params: params.map(param => ({ step: param.integer ? 1 : 0.1, ...param, label: param.label || param.name }))
+  };
+
+  primitives.set(type, primitive);
+  primitive.aliases.forEach(alias => aliases.set(alias, type));
+  return primitive;
+}
+
+/**
+ * Finds a registered primitive by its type or one of its aliases
+ * @param {string} type
+ * @returns {PrimitiveDefinition|null}
+ */
+export function getPrimitive(type) {
+  return primitives.get(type) || primitives.get(aliases.get(type)) || null;
+}
+
+/**
+ * Lists the registered primitives in registration order
+ * @returns {Array<PrimitiveDefinition>}
+ */
+export function listPrimitives() {
+  return [...primitives.values()];
+}
+
+/**
+ * Gets the full params of a primitive: the schema defaults for missing or
+ * invalid values, numbers kept within their range and whole where required.
+ * Keys outside the schema are dropped.
+ * @param {string} type
+ * @param {Object} [values]
+ * @returns {Object|null} Null for an unknown type
+ */
+export function resolvePrimitiveParams(type, values = {}) {
+  const primitive = getPrimitive(type);
+  if (!primitive) return null;
+
+  return Object.fromEntries(primitive.params.map(param => {
+    let value = Number(values?.[param.name]);
+    if (!Number.isFinite(value)) value = param.default;
+    if (param.integer) value = Math.round(value);
+    if (param.min !== undefined) value = Math.max(param.min, value);
+    if (param.max !== undefined) value = Math.min(param.max, value);
+    return [param.name, value];
+  }));
+}
+
+/**
+ * Builds the geometry of a primitive from its params
+ * @param {string} type
+ * @param {Object} [values] - Params, resolved against the schema first
+ * @returns {THREE.BufferGeometry|null} Null for an unknown type or params it cannot be built from
+ */
+export function buildPrimitiveGeometry(type, values) {
+  const primitive = getPrimitive(type);
+  return primitive ? primitive.build(resolvePrimitiveParams(type, values)) : null;
+}
+
+// Schema entries shared by several shapes
+const size = (name, value, label) => ({ name, label, default: value, min: 0.01, max: 1000 });
+const segments = (name, value, min, max, label) => ({ name, label, default: value, min, max, integer: true });
+
+registerPrimitive({
+  type: 'Box',
+  icon: '📦',
+  params: [size('width', 1, 'Width'), size('height', 1, 'Height'), size('depth', 1, 'Depth')],
+  build: ({ width, height, depth }) => new THREE.BoxGeometry(width, height, depth),
+  material: { color: 0x8888ff, metalness: 0.3, roughness: 0.8 }
+});
+
+registerPrimitive({
+  type: 'Sphere',
+  icon: '⚪',
+  params: [
+    size('radius', 1, 'Radius'),
+    segments('widthSegments', 32, 3, 128, 'Width segments'),
+    segments('heightSegments', 16, 2, 64, 'Height segments')
+  ],
+  build: ({ radius, widthSegments, heightSegments }) => new THREE.SphereGeometry(radius, widthSegments, heightSegments),
+  material: { color: 0xff8888, metalness: 0.3, roughness: 0.4 }
+});
+
+registerPrimitive({
+  type: 'Cylinder',
+  icon: '🪣',
+  params: [
+    { ...size('radiusTop', 1, 'Top radius'), min: 0 },
+    { ...size('radiusBottom', 1, 'Bottom radius'), min: 0 },
+    size('height', 2, 'Height'),
+    segments('radialSegments', 16, 3, 128, 'Segments')
+  ],
+  build: ({ radiusTop, radiusBottom, height, radialSegments }) =>
+    radiusTop > 0 || radiusBottom > 0 ? new THREE.CylinderGeometry(radiusTop, radiusBottom, height, radialSegments) : null,
+  material: { color: 0x88ff88, metalness: 0.2, roughness: 0.7 }
+});
+
+registerPrimitive({
+  type: 'Torus',
+  icon: '🍩',
+  params: [
+    size('radius', 1, 'Radius'),
+    size('tube', 0.3, 'Tube radius'),
+    segments('radialSegments', 16, 3, 64, 'Tube segments'),
+    segments('tubularSegments', 48, 3, 256, 'Ring segments')
+  ],
+  build: ({ radius, tube, radialSegments, tubularSegments }) =>
+    new THREE.TorusGeometry(radius, tube, radialSegments, tubularSegments),
+  material: { color: 0xffcc66 }
+});
+
+registerPrimitive({
+  type: 'TorusKnot',
+  label: 'Torus Knot',
+  icon: '➰',
+  params: [
+    size('radius', 1, 'Radius'),
+    size('tube', 0.3, 'Tube radius'),
+    segments('tubularSegments', 128, 3, 512, 'Length segments'),
+    segments('radialSegments', 16, 3, 64, 'Tube segments'),
+    segments('p', 2, 1, 20, 'Winds (p)'),
+    segments('q', 3, 1, 20, 'Loops (q)')
+  ],
+  build: ({ radius, tube, tubularSegments, radialSegments, p, q }) =>
+    new THREE.TorusKnotGeometry(radius, tube, tubularSegments, radialSegments, p, q),
+  material: { color: 0xcc88ff }
+});
+
+registerPrimitive({
+  type: 'Cone',
+  icon: '🔺',
+  params: [size('radius', 1, 'Radius'), size('height', 2, 'Height'), segments('radialSegments', 32, 3, 128, 'Segments')],
+  build: ({ radius, height, radialSegments }) => new THREE.ConeGeometry(radius, height, radialSegments),
+  material: { color: 0xff9966 }
+});
+
+// A flat rectangle lying on the ground plane, seen from both sides
+registerPrimitive({
+  type: 'Plane',
+  icon: '▭',
+  params: [size('width', 2, 'Width'), size('height', 2, 'Length')],
+  build: ({ width, height }) => new THREE.PlaneGeometry(width, height).rotateX(-Math.PI / 2),
+  material: { color: 0xaaaaaa, doubleSided: true }
+});
+
+registerPrimitive({
+  type: 'Wedge',
+  icon: '◺',
+  params: [size('width', 1, 'Width'), size('height', 1, 'Height'), size('depth', 1, 'Depth')],
+  build: createWedgeGeometry,
+  material: { color: 0x66ccff }
+});
+
+// A pyramid with a regular polygon of `sides` corners as its base
+registerPrimitive({
+  type: 'Pyramid',
+  icon: '△',
+  params: [size('radius', 1, 'Radius'), size('height', 2, 'Height'), segments('sides', 4, 3, 64, 'Sides')],
+  build: ({ radius, height, sides }) => new THREE.CylinderGeometry(0, radius, height, sides),
+  material: { color: 0xffee88 }
+});
+
+// A prism with a regular polygon of `sides` corners as its cross section
+registerPrimitive({
+  type: 'Prism',
+  icon: '⬡',
+  params: [size('radius', 1, 'Radius'), size('height', 2, 'Height'), segments('sides', 6, 3, 64, 'Sides')],
+  build: ({ radius, height, sides }) => new THREE.CylinderGeometry(radius, radius, height, sides),
+  material: { color: 0x88ffcc }
+});
+
+registerPrimitive({
+  type: 'Capsule',
+  icon: '💊',
+  params: [
+    size('radius', 0.5, 'Radius'),
+    { ...size('length', 1, 'Length'), min: 0 },
+    segments('capSegments', 8, 1, 32, 'Cap segments'),
+    segments('radialSegments', 16, 3, 128, 'Segments')
+  ],
+  build: ({ radius, length, capSegments, radialSegments }) =>
+    new THREE.CapsuleGeometry(radius, length, capSegments, radialSegments),
+  material: { color: 0xff88cc }
+});
+
+registerPrimitive({
+  type: 'Tube',
+  icon: '⭕',
+  params: [
+    size('outerRadius', 1, 'Outer radius'),
+    size('innerRadius', 0.7, 'Inner radius'),
+    size('height', 2, 'Height'),
+    segments('radialSegments', 32, 3, 128, 'Segments')
+  ],
+  build: createTubeGeometry,
+  material: { color: 0x88ccff }
+});
+
+registerPrimitive({
+  type: 'Helix',
+  icon: '🌀',
+  params: [
+    size('radius', 1, 'Radius'),
+    size('tube', 0.1, 'Wire radius'),
+    size('pitch', 0.5, 'Pitch'),
+    { name: 'turns', label: 'Turns', default: 4, min: 0.25, max: 100, step: 0.25 },
+    segments('radialSegments', 8, 3, 32, 'Wire segments')
+  ],
+  build: createHelixGeometry,
+  material: { color: 0xcccccc }
+});
@@ -53,6 +53,48 @@ export function triangleToFaceMapFromGeometry(geometry) {
   return faceMap;
 }
 
+/**
+ * Finds the planar face a triangle belongs to: the triangles on its plane, facing
+ * the same way, connected to it through shared corners
+ * @param {THREE.BufferGeometry} geometry - The geometry to search
+ * @param {number} triangleIndex - Index of a triangle of the face
+ * @returns {{triangles: Array<number>, normal: THREE.Vector3}|null} Null if there is no such triangle
+ */
+export function findPlanarFace(geometry, triangleIndex) {
+  const faceMap = triangleToFaceMapFromGeometry(geometry);
+  const start = faceMap[triangleIndex];
+  if (!start) return null;
+
+  const normal = start.normal.clone();
+  const offset = normal.dot(start.vertices[0]);
+  const keyOf = vertex => vertex.toArray().map(value => Math.round(value * 1e4)).join('_');
+
+  // Triangles of the plane, grouped by the corners they touch
+  const byCorner = new Map();
+  Object.entries(faceMap).forEach(([index, face]) => {
+    if (face.normal.dot(normal) < 0.9999 || Math.abs(normal.dot(face.vertices[0]) - offset) > 1e-4) return;
+    face.vertices.forEach(vertex => {
+      const key = keyOf(vertex);
+      if (!byCorner.has(key)) byCorner.set(key, []);
+      byCorner.get(key).push(Number(index));
+    });
+  });
+
+  const triangles = new Set([triangleIndex]);
+  const queue = [triangleIndex];
+  while (queue.length > 0) {
+    faceMap[queue.pop()].vertices.forEach(vertex => {
+      (byCorner.get(keyOf(vertex)) || []).forEach(index => {
+        if (triangles.has(index)) return;
+        triangles.add(index);
+        queue.push(index);
+      });
+    });
+  }
+
+  return { triangles: [...triangles], normal };
+}
+
 /**
  * Builds a list of unique edges from a geometry
  * @param {THREE.BufferGeometry} geo - The geometry to process
@@ -91,6 +133,7 @@ export function buildEdgesFromGeometry(geometry, thresholdAngle = 1) {
 
   // Only include edges that are shared by fewer than 2 triangles (boundary edges)
   // or edges between faces with normals that differ by more than the threshold
+  const faceMap = triangleToFaceMapFromGeometry(geometry);
   for (const [key, data] of edgeMap.entries()) {
     if (data.count === 1) {
       // Boundary edge
@@ -99,7 +142,6 @@ export function buildEdgesFromGeometry(geometry, thresholdAngle = 1) {
     } else if (data.count === 2) {
       // Shared edge, check angle between normals
       const [t1, t2] = data.triangles;
-      const faceMap = triangleToFaceMapFromGeometry(geometry);
       const normal1 = faceMap[t1].normal;
       const normal2 = faceMap[t2].normal;
       const angle = normal1.angleTo(normal2);
@@ -175,7 +217,7 @@ export function createBox({ sceneManager, width = 1, height = 1, depth = 1, posi
   if (sceneManager.addObject) {
     return sceneManager.addObject({
       mesh,
-      type: 'box',
+      type: 'Box',
       params: { width, height, depth }
     });
   }
@@ -201,8 +243,8 @@ export function createSphere({ sceneManager, radius = 1, position = [0, 0, 0] }
   
   return sceneManager.addObject({
     mesh,
-    type: 'sphere',
-    params: { radius }
+    type: 'Sphere',
+    params: { radius, widthSegments: 32, heightSegments: 16 }
   });
 }
 
@@ -224,7 +266,75 @@ export function createCylinder({ sceneManager, radiusTop = 0.5, radiusBottom = 0
   
   return sceneManager.addObject({
     mesh,
-    type: 'cylinder',
-    params: { radiusTop, radiusBottom, height }
+    type: 'Cylinder',
+    params: { radiusTop, radiusBottom, height, radialSegments: 32 }
+  });
+}
+/**
+ * Creates a wedge: a box cut in half along a diagonal, sloping down from the back
+ * top edge to the front bottom edge
+ * @param {Object} params
+ * @param {number} [params.width=1] - Size along x
+ * @param {number} [params.height=1] - Size along y
+ * @param {number} [params.depth=1] - Size along z
+ * @returns {THREE.BufferGeometry} Geometry centered on its bounding box
+ */
+export function createWedgeGeometry({ width = 1, height = 1, depth = 1 } = {}) {
+  // Right triangle in the y/z plane, extruded along x
+  const shape = new THREE.Shape([
+    new THREE.Vector2(-depth / 2, -height / 2),
+    new THREE.Vector2(depth / 2, -height / 2),
+    new THREE.Vector2(-depth / 2, height / 2)
+  ]);
+  const geometry = new THREE.ExtrudeGeometry(shape, { depth: width, bevelEnabled: false });
+  geometry.rotateY(-Math.PI / 2);
+  geometry.translate(width / 2, 0, 0);
+  return geometry;
+}
+
+/**
+ * Creates a hollow tube: a cylinder with a round hole along its axis
+ * @param {Object} params
+ * @param {number} [params.outerRadius=1]
+ * @param {number} [params.innerRadius=0.7] - Must be smaller than the outer radius
+ * @param {number} [params.height=2] - Length along y
+ * @param {number} [params.radialSegments=32] - Segments around each circle
+ * @returns {THREE.BufferGeometry|null} Null when the hole is not inside the tube
+ */
+export function createTubeGeometry({ outerRadius = 1, innerRadius = 0.7, height = 2, radialSegments = 32 } = {}) {
+  if (!(innerRadius > 0) || innerRadius >= outerRadius) {
+    console.error('A tube needs an inner radius between 0 and its outer radius');
+    return null;
+  }
+
+  const shape = new THREE.Shape().absarc(0, 0, outerRadius, 0, Math.PI * 2, false);
+  shape.holes.push(new THREE.Path().absarc(0, 0, innerRadius, 0, Math.PI * 2, true));
+  const geometry = new THREE.ExtrudeGeometry(shape, {
+    depth: height,
+    bevelEnabled: false,
+    curveSegments: radialSegments
   });
-}
\ No newline at end of file
+  geometry.rotateX(-Math.PI / 2);
+  geometry.translate(0, -height / 2, 0);
+  return geometry;
+}
+
+/**
+ * Creates a helix, like a spring: a round wire wound around the y axis
+ * @param {Object} params
+ * @param {number} [params.radius=1] - Radius of the coil, to the wire's center
+ * @param {number} [params.tube=0.1] - Radius of the wire
+ * @param {number} [params.pitch=0.5] - Rise per turn
+ * @param {number} [params.turns=4]
+ * @param {number} [params.radialSegments=8] - Segments around the wire
+ * @returns {THREE.BufferGeometry} Geometry centered on its height
+ */
+export function createHelixGeometry({ radius = 1, tube = 0.1, pitch = 0.5, turns = 4, radialSegments = 8 } = {}) {
+  const height = pitch * turns;
+  const path = new THREE.Curve();
+  path.getPoint = (t, target = new THREE.Vector3()) => {
+    const angle = t * turns * Math.PI * 2;
+    return target.set(Math.cos(angle) * radius, t * height - height / 2, Math.sin(angle) * radius);
+  };
+  return new THREE.TubeGeometry(path, Math.max(8, Math.ceil(turns * 32)), tube, radialSegments, false);
+}
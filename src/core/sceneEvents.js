@@ -0,0 +1,17 @@
+// src/core/sceneEvents.js
+
+/**
+ * Types of the events a scene manager dispatches through THREE.EventDispatcher when
+ * its scene changes. Every event carries the object it is about, except
+ * selectionChanged, which carries the selected objects, and historyChanged, which
+ * carries the feature history.
+ */
+export const SCENE_EVENTS = {
+  OBJECT_ADDED: 'objectAdded', // An object was registered
+  OBJECT_REMOVED: 'objectRemoved', // An object was deleted
+  SELECTION_CHANGED: 'selectionChanged', // Objects, faces or edges were selected or deselected
+  TRANSFORM_CHANGED: 'transformChanged', // An object moved, turned, scaled or changed parent
+  PARAMS_CHANGED: 'paramsChanged', // The params an object is built from changed
+  OBJECT_CHANGED: 'objectChanged', // Name, visibility, color, lock or solo state changed
+  HISTORY_CHANGED: 'historyChanged' // The history was rebuilt after a rollback, suppression or reordering
+};
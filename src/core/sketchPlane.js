@@ -0,0 +1,176 @@
+// src/core/sketchPlane.js
+import * as THREE from 'three';
+import { triangleToFaceMapFromGeometry } from './primitives';
+
+/*
+ * A sketch frame maps 2D sketch coordinates to world space:
+ *   world = origin + x * xAxis + y * yAxis
+ * The normal (xAxis x yAxis) is the direction extrusions grow in.
+ */
+
+/**
+ * Creates the default frame on the XZ ground plane, extruding along +Y
+ * @returns {{origin: THREE.Vector3, xAxis: THREE.Vector3, yAxis: THREE.Vector3, normal: THREE.Vector3}}
+ */
+export function createGroundFrame() {
+  return {
+    origin: new THREE.Vector3(0, 0, 0),
+    xAxis: new THREE.Vector3(1, 0, 0),
+    yAxis: new THREE.Vector3(0, 0, -1),
+    normal: new THREE.Vector3(0, 1, 0)
+  };
+}
+
+/**
+ * Creates a frame lying on a point with the given normal. The x axis follows
+ * world X projected onto the plane (world Z when the normal is along X).
+ * @param {THREE.Vector3} origin - Point on the plane
+ * @param {THREE.Vector3} normal - Plane normal
+ * @returns {Object} Sketch frame
+ */
+export function createFrameFromNormal(origin, normal) {
+  const n = normal.clone().normalize();
+  const reference = Math.abs(n.x) > 0.9 ? new THREE.Vector3(0, 0, n.x > 0 ? -1 : 1) : new THREE.Vector3(1, 0, 0);
+  const xAxis = reference.addScaledVector(n, -reference.dot(n)).normalize();
+  const yAxis = new THREE.Vector3().crossVectors(n, xAxis).normalize();
+
+  return { origin: origin.clone(), xAxis, yAxis, normal: n };
+}
+
+/**
+ * Normals of the world planes that can be sketched on
+ */
+export const WORK_PLANES = {
+  xz: new THREE.Vector3(0, 1, 0),
+  xy: new THREE.Vector3(0, 0, 1),
+  yz: new THREE.Vector3(1, 0, 0)
+};
+
+/**
+ * Creates a frame on a world plane, moved along its normal by an offset
+ * @param {string} [plane='xz'] - Key of WORK_PLANES
+ * @param {number} [offset=0] - Distance from the world origin along the normal
+ * @returns {Object} Sketch frame
+ */
+export function createWorkPlaneFrame(plane = 'xz', offset = 0) {
+  const normal = WORK_PLANES[plane] || WORK_PLANES.xz;
+  return createFrameFromNormal(normal.clone().multiplyScalar(offset), normal);
+}
+
+/**
+ * Finds the index of the triangle formed by a raycast face's vertex indices
+ * @param {THREE.BufferGeometry} geometry
+ * @param {{a: number, b: number, c: number}} face
+ * @returns {number} Triangle index, or -1 if not found
+ */
+export function findTriangleIndex(geometry, face) {
+  const index = geometry.index ? geometry.index.array : null;
+  const count = index ? index.length / 3 : geometry.attributes.position.count / 3;
+
+  for (let i = 0; i < count; i++) {
+    const a = index ? index[i * 3] : i * 3;
+    const b = index ? index[i * 3 + 1] : i * 3 + 1;
+    const c = index ? index[i * 3 + 2] : i * 3 + 2;
+    if (a === face.a && b === face.b && c === face.c) return i;
+  }
+  return -1;
+}
+
+/**
+ * Creates a frame on the planar face of a mesh that contains a triangle.
+ * All coplanar triangles sharing the triangle's normal form the face; the
+ * frame origin is their area-weighted centroid.
+ * @param {THREE.Mesh} mesh - Mesh owning the face
+ * @param {number} triangleIndex - Index of a triangle on the face
+ * @param {Object} [faces] - Triangle to face map from triangleToFaceMapFromGeometry
+ * @param {number} [tolerance=1e-4] - Normal and distance tolerance for coplanarity
+ * @returns {Object|null} Sketch frame in world space, or null for an unknown triangle
+ */
+export function createFaceFrame(mesh, triangleIndex, faces, tolerance = 1e-4) {
+  const faceMap = faces && Object.keys(faces).length ? faces : triangleToFaceMapFromGeometry(mesh.geometry);
+  const seed = faceMap[triangleIndex];
+  if (!seed || seed.normal.lengthSq() === 0) return null;
+
+  const planeConstant = seed.normal.dot(seed.vertices[0]);
+  const centroid = new THREE.Vector3();
+  let totalArea = 0;
+
+  Object.values(faceMap).forEach(face => {
+    if (face.normal.dot(seed.normal) < 1 - tolerance) return;
+    if (Math.abs(face.normal.dot(face.vertices[0]) - planeConstant) > tolerance) return;
+
+    const [a, b, c] = face.vertices;
+    const area = new THREE.Triangle(a, b, c).getArea();
+    centroid.addScaledVector(a.clone().add(b).add(c).divideScalar(3), area);
+    totalArea += area;
+  });
+
+  if (totalArea > 0) {
+    centroid.divideScalar(totalArea);
+  } else {
+    centroid.copy(seed.vertices[0]);
+  }
+
+  mesh.updateMatrixWorld();
+  const normalMatrix = new THREE.Matrix3().getNormalMatrix(mesh.matrixWorld);
+  const worldNormal = seed.normal.clone().applyMatrix3(normalMatrix).normalize();
+  const worldOrigin = centroid.applyMatrix4(mesh.matrixWorld);
+
+  return createFrameFromNormal(worldOrigin, worldNormal);
+}
+
+/**
+ * Gets the rotation that maps sketch-local axes (x, y, normal) onto the frame
+ * @param {Object} frame
+ * @returns {THREE.Matrix4}
+ */
+export function frameToRotation(frame) {
+  return new THREE.Matrix4().makeBasis(frame.xAxis, frame.yAxis, frame.normal);
+}
+
+/**
+ * Gets the matrix that maps sketch-local coordinates to world space
+ * @param {Object} frame
+ * @returns {THREE.Matrix4}
+ */
+export function frameToMatrix(frame) {
+  return frameToRotation(frame).setPosition(frame.origin);
+}
+
+/**
+ * Gets the plane the frame lies on
+ * @param {Object} frame
+ * @returns {THREE.Plane}
+ */
+export function frameToPlane(frame) {
+  return new THREE.Plane().setFromNormalAndCoplanarPoint(frame.normal, frame.origin);
+}
+
+/**
+ * Converts a frame to plain arrays for storing in object params
+ * @param {Object} frame
+ * @returns {{origin: number[], xAxis: number[], yAxis: number[], normal: number[]}}
+ */
+export function serializeFrame(frame) {
+  return {
+    origin: frame.origin.toArray(),
+    xAxis: frame.xAxis.toArray(),
+    yAxis: frame.yAxis.toArray(),
+    normal: frame.normal.toArray()
+  };
+}
+
+/**
+ * Restores a frame stored with serializeFrame
+ * @param {Object} [data] - Serialized frame; the ground frame is used when missing
+ * @returns {Object} Sketch frame
+ */
+export function deserializeFrame(data) {
+  if (!data) return createGroundFrame();
+  return {
+    origin: new THREE.Vector3().fromArray(data.origin),
+    xAxis: new THREE.Vector3().fromArray(data.xAxis),
+    yAxis: new THREE.Vector3().fromArray(data.yAxis),
+    normal: new THREE.Vector3().fromArray(data.normal)
+  };
+}
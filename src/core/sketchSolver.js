@@ -0,0 +1,370 @@
+// src/core/sketchSolver.js
+
+/*
+ * A small 2D geometric constraint solver for sketches.
+ * Every constraint contributes residuals that are zero when it is satisfied;
+ * the solver moves the free points (and circle radii) with damped
+ * least-squares steps until all residuals vanish.
+ */
+
+const EPSILON = 1e-9;
+
+/**
+ * Supported constraints and what they reference:
+ * 'line' a line entity, 'round' an arc or circle, 'curve' a line, arc or circle,
+ * 'sized' an entity with a length or radius, 'point' a point.
+ * The dimension types (distance, radius) also carry the value they drive.
+ */
+export const CONSTRAINT_TYPES = {
+  horizontal: ['line'],
+  vertical: ['line'],
+  parallel: ['line', 'line'],
+  perpendicular: ['line', 'line'],
+  coincident: ['point', 'point'],
+  tangent: ['curve', 'curve'],
+  equal: ['sized', 'sized'],
+  concentric: ['round', 'round'],
+  fixed: ['point'],
+  distance: ['line'],
+  radius: ['round']
+};
+
+/**
+ * Constraints that drive a size through their value
+ */
+export const DIMENSION_TYPES = ['distance', 'radius'];
+
+const ROUND_TYPES = ['arc', 'circle'];
+
+/**
+ * Tests whether an id refers to something a constraint slot accepts
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {string} kind - Slot kind from CONSTRAINT_TYPES
+ * @param {string} id - Point or entity id
+ * @returns {boolean}
+ */
+function acceptsRef(sketch, kind, id) {
+  if (kind === 'point') return Boolean(sketch.getPoint(id));
+
+  const entity = sketch.entities.find(item => item.id === id);
+  if (!entity) return false;
+
+  switch (kind) {
+    case 'line':
+      return entity.type === 'line';
+    case 'round':
+      return ROUND_TYPES.includes(entity.type);
+    case 'curve':
+    case 'sized':
+      return entity.type === 'line' || ROUND_TYPES.includes(entity.type);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Tests whether a constraint can be applied to the given points or entities
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {string} type - Key of CONSTRAINT_TYPES
+ * @param {Array<string>} refs - Point or entity ids
+ * @returns {boolean}
+ */
+export function canConstrain(sketch, type, refs) {
+  const kinds = CONSTRAINT_TYPES[type];
+  if (!kinds || kinds.length !== refs.length) return false;
+  if (new Set(refs).size !== refs.length) return false;
+  if (!kinds.every((kind, i) => acceptsRef(sketch, kind, refs[i]))) return false;
+
+  const [a, b] = refs.map(id => sketch.entities.find(entity => entity.id === id));
+  if (type === 'tangent') {
+    // A line can only be tangent to something round
+    return ROUND_TYPES.includes(a.type) || ROUND_TYPES.includes(b.type);
+  }
+  if (type === 'equal') {
+    // Lengths compare with lengths, radii with radii
+    return (a.type === 'line') === (b.type === 'line');
+  }
+  return true;
+}
+
+/**
+ * Measures the size a dimension constraint would drive, as the sketch is now
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {string} type - 'distance' or 'radius'
+ * @param {Array<string>} refs - The dimensioned entity
+ * @returns {number|null} Null when the dimension does not apply
+ */
+export function measureDimension(sketch, type, refs) {
+  if (!DIMENSION_TYPES.includes(type) || !canConstrain(sketch, type, refs)) return null;
+
+  const entity = sketch.entities.find(item => item.id === refs[0]);
+  if (entity.type === 'circle') return entity.radius;
+
+  const [from, to] = type === 'radius' ? [entity.center, entity.p1] : [entity.p1, entity.p2];
+  const a = sketch.getPoint(from);
+  const b = sketch.getPoint(to);
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Builds the residual functions of a sketch. Each takes a lookup of the current
+ * point positions and radii and returns the residuals of one constraint.
+ * @param {import('./Sketch').Sketch} sketch
+ * @returns {Array<Function>}
+ */
+function buildResiduals(sketch) {
+  const entityById = new Map(sketch.entities.map(entity => [entity.id, entity]));
+  const residuals = [];
+
+  const direction = (state, line) => {
+    const a = state.point(line.p1);
+    const b = state.point(line.p2);
+    return { x: b.x - a.x, y: b.y - a.y, length: Math.hypot(b.x - a.x, b.y - a.y) };
+  };
+  const radius = (state, entity) => {
+    if (entity.type === 'circle') return state.radius(entity.id);
+    const center = state.point(entity.center);
+    const start = state.point(entity.p1);
+    return Math.hypot(start.x - center.x, start.y - center.y);
+  };
+  const size = (state, entity) => (entity.type === 'line' ? direction(state, entity).length : radius(state, entity));
+
+  // Arcs keep both ends on the same circle
+  sketch.entities.filter(entity => entity.type === 'arc').forEach(arc => {
+    residuals.push(state => {
+      const center = state.point(arc.center);
+      const end = state.point(arc.p2);
+      return [Math.hypot(end.x - center.x, end.y - center.y) - radius(state, arc)];
+    });
+  });
+
+  (sketch.constraints || []).forEach(constraint => {
+    if (!canConstrain(sketch, constraint.type, constraint.refs)) return;
+
+    const [first, second] = constraint.refs;
+    const a = entityById.get(first);
+    const b = entityById.get(second);
+
+    switch (constraint.type) {
+      case 'horizontal':
+        residuals.push(state => [state.point(a.p2).y - state.point(a.p1).y]);
+        break;
+      case 'vertical':
+        residuals.push(state => [state.point(a.p2).x - state.point(a.p1).x]);
+        break;
+      case 'parallel':
+      case 'perpendicular':
+        residuals.push(state => {
+          const u = direction(state, a);
+          const v = direction(state, b);
+          const scale = Math.max(u.length * v.length, EPSILON);
+          return constraint.type === 'parallel'
+            ? [(u.x * v.y - u.y * v.x) / scale]
+            : [(u.x * v.x + u.y * v.y) / scale];
+        });
+        break;
+      case 'coincident':
+        residuals.push(state => {
+          const p = state.point(first);
+          const q = state.point(second);
+          return [p.x - q.x, p.y - q.y];
+        });
+        break;
+      case 'concentric':
+        residuals.push(state => {
+          const p = state.point(a.center);
+          const q = state.point(b.center);
+          return [p.x - q.x, p.y - q.y];
+        });
+        break;
+      case 'equal':
+        residuals.push(state => [size(state, a) - size(state, b)]);
+        break;
+      case 'distance':
+      case 'radius':
+        residuals.push(state => [size(state, a) - constraint.value]);
+        break;
+      case 'tangent':
+        if (a.type === 'line' || b.type === 'line') {
+          const line = a.type === 'line' ? a : b;
+          const round = line === a ? b : a;
+          residuals.push(state => {
+            const u = direction(state, line);
+            const start = state.point(line.p1);
+            const center = state.point(round.center);
+            const distance = Math.abs(u.x * (center.y - start.y) - u.y * (center.x - start.x)) / Math.max(u.length, EPSILON);
+            return [distance - radius(state, round)];
+          });
+        } else {
+          // Round to round: keep whichever of outside/inside tangency is closer
+          residuals.push(state => {
+            const p = state.point(a.center);
+            const q = state.point(b.center);
+            const distance = Math.hypot(p.x - q.x, p.y - q.y);
+            const r1 = radius(state, a);
+            const r2 = radius(state, b);
+            const outside = distance - (r1 + r2);
+            const inside = distance - Math.abs(r1 - r2);
+            return [Math.abs(outside) < Math.abs(inside) ? outside : inside];
+          });
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  return residuals;
+}
+
+/**
+ * Solves the dense linear system A x = b in place with partial pivoting
+ * @param {Array<Array<number>>} a
+ * @param {Array<number>} b
+ * @returns {Array<number>|null} Null for a singular system
+ */
+function solveLinear(a, b) {
+  const n = b.length;
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-14) return null;
+
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      if (factor === 0) continue;
+      for (let k = col; k < n; k++) a[row][k] -= factor * a[col][k];
+      b[row] -= factor * b[col];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+/**
+ * Moves the geometry of a sketch so its constraints hold. Points referenced by
+ * a 'fixed' constraint and the dragged point stay where they are; everything
+ * else moves as little as the damped steps allow. The sketch is updated in place.
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {Object} [options]
+ * @param {{id: string, x: number, y: number}} [options.drag] - Point being dragged to a position
+ * @param {number} [options.maxIterations=100]
+ * @param {number} [options.tolerance=1e-10] - Squared residual treated as solved
+ * @returns {{solved: boolean, error: number}}
+ */
+export function solveSketch(sketch, { drag = null, maxIterations = 100, tolerance = 1e-10 } = {}) {
+  const held = new Set(
+    (sketch.constraints || []).filter(constraint => constraint.type === 'fixed').flatMap(constraint => constraint.refs)
+  );
+
+  if (drag) {
+    if (held.has(drag.id)) return { solved: false, error: Infinity };
+    const point = sketch.getPoint(drag.id);
+    if (point) {
+      point.x = drag.x;
+      point.y = drag.y;
+      held.add(drag.id);
+    }
+  }
+
+  // Unknowns: coordinates of the free points and the radius of each circle
+  const variables = [];
+  const pointSlots = new Map();
+  const radiusSlots = new Map();
+  sketch.points.forEach(point => {
+    if (held.has(point.id)) return;
+    pointSlots.set(point.id, variables.length);
+    variables.push(point.x, point.y);
+  });
+  sketch.entities.filter(entity => entity.type === 'circle').forEach(circle => {
+    radiusSlots.set(circle.id, variables.length);
+    variables.push(circle.radius);
+  });
+
+  const stateOf = values => ({
+    point: id => {
+      const slot = pointSlots.get(id);
+      if (slot === undefined) return sketch.getPoint(id);
+      return { x: values[slot], y: values[slot + 1] };
+    },
+    radius: id => values[radiusSlots.get(id)]
+  });
+
+  const residuals = buildResiduals(sketch);
+  const evaluate = values => {
+    const state = stateOf(values);
+    return residuals.flatMap(residual => residual(state));
+  };
+  const squaredError = r => r.reduce((sum, value) => sum + value * value, 0);
+
+  let values = variables;
+  let r = evaluate(values);
+  let error = squaredError(r);
+  let damping = 1e-3;
+
+  for (let iteration = 0; iteration < maxIterations && error > tolerance && values.length > 0; iteration++) {
+    // Numeric Jacobian of the residuals
+    const jacobian = r.map(() => new Array(values.length).fill(0));
+    values.forEach((value, j) => {
+      const step = 1e-7 * Math.max(1, Math.abs(value));
+      const shifted = values.slice();
+      shifted[j] = value + step;
+      evaluate(shifted).forEach((residual, i) => {
+        jacobian[i][j] = (residual - r[i]) / step;
+      });
+    });
+
+    const n = values.length;
+    const normal = Array.from({ length: n }, () => new Array(n).fill(0));
+    const gradient = new Array(n).fill(0);
+    jacobian.forEach((row, i) => {
+      for (let j = 0; j < n; j++) {
+        if (row[j] === 0) continue;
+        gradient[j] += row[j] * r[i];
+        for (let k = 0; k < n; k++) normal[j][k] += row[j] * row[k];
+      }
+    });
+
+    let improved = false;
+    while (damping < 1e8) {
+      const system = normal.map((row, j) => row.map((value, k) => (j === k ? value + damping * (1 + value) : value)));
+      const delta = solveLinear(system, gradient.map(value => -value));
+      if (delta) {
+        const candidate = values.map((value, j) => value + delta[j]);
+        const candidateResiduals = evaluate(candidate);
+        const candidateError = squaredError(candidateResiduals);
+        if (candidateError < error) {
+          values = candidate;
+          r = candidateResiduals;
+          error = candidateError;
+          damping = Math.max(damping / 3, 1e-12);
+          improved = true;
+          break;
+        }
+      }
+      damping *= 4;
+    }
+    if (!improved) break;
+  }
+
+  const state = stateOf(values);
+  pointSlots.forEach((slot, id) => Object.assign(sketch.getPoint(id), state.point(id)));
+  radiusSlots.forEach((slot, id) => {
+    const circle = sketch.entities.find(entity => entity.id === id);
+    circle.radius = Math.max(state.radius(id), EPSILON);
+  });
+
+  return { solved: error <= tolerance, error };
+}
@@ -0,0 +1,496 @@
+// src/core/sketchTools.js
+import * as THREE from 'three';
+
+/*
+ * Editing tools for the entities of a 2D sketch: trim, extend, offset,
+ * fillet, chamfer and mirror. Each tool changes the sketch in place and reports
+ * a problem with a warning and a null/false result.
+ */
+
+const EPSILON = 1e-7;
+const TWO_PI = Math.PI * 2;
+const ANALYTIC_TYPES = ['line', 'arc', 'circle'];
+
+// Constraints that pin the length of a line and no longer hold once it is cut or moved
+const LENGTH_TYPES = ['distance', 'equal'];
+
+const toVector = point => new THREE.Vector2(point.x, point.y);
+const wrapAngle = angle => ((angle % TWO_PI) + TWO_PI) % TWO_PI;
+
+/**
+ * Gets the infinite line or full circle an entity lies on
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {Object} entity - Line, arc or circle entity
+ * @returns {Object} { kind: 'line', start, end } or { kind: 'circle', center, radius }
+ */
+function carrierOf(sketch, entity) {
+  if (entity.type === 'line') {
+    return { kind: 'line', start: toVector(sketch.getPoint(entity.p1)), end: toVector(sketch.getPoint(entity.p2)) };
+  }
+
+  const center = toVector(sketch.getPoint(entity.center));
+  const radius = entity.type === 'circle' ? entity.radius : center.distanceTo(toVector(sketch.getPoint(entity.p1)));
+  return { kind: 'circle', center, radius };
+}
+
+/**
+ * Intersects two carriers
+ * @param {Object} a - See carrierOf
+ * @param {Object} b - See carrierOf
+ * @returns {Array<THREE.Vector2>} Zero, one or two points
+ */
+function intersectCarriers(a, b) {
+  if (a.kind === 'circle' && b.kind === 'line') return intersectCarriers(b, a);
+
+  if (a.kind === 'line' && b.kind === 'line') {
+    const d1 = a.end.clone().sub(a.start);
+    const d2 = b.end.clone().sub(b.start);
+    const denominator = d1.cross(d2);
+    if (Math.abs(denominator) < EPSILON) return [];
+    const t = b.start.clone().sub(a.start).cross(d2) / denominator;
+    return [a.start.clone().addScaledVector(d1, t)];
+  }
+
+  if (a.kind === 'line') {
+    const direction = a.end.clone().sub(a.start);
+    const toStart = a.start.clone().sub(b.center);
+    const qa = direction.dot(direction);
+    const qb = 2 * toStart.dot(direction);
+    const qc = toStart.dot(toStart) - b.radius * b.radius;
+    const discriminant = qb * qb - 4 * qa * qc;
+    if (qa < EPSILON || discriminant < 0) return [];
+    const root = Math.sqrt(discriminant);
+    return [(-qb - root) / (2 * qa), (-qb + root) / (2 * qa)]
+      .map(t => a.start.clone().addScaledVector(direction, t));
+  }
+
+  const between = b.center.clone().sub(a.center);
+  const distance = between.length();
+  if (distance < EPSILON || distance > a.radius + b.radius || distance < Math.abs(a.radius - b.radius)) return [];
+  const along = (a.radius * a.radius - b.radius * b.radius + distance * distance) / (2 * distance);
+  const height = Math.sqrt(Math.max(a.radius * a.radius - along * along, 0));
+  const base = a.center.clone().addScaledVector(between, along / distance);
+  const across = new THREE.Vector2(-between.y, between.x).divideScalar(distance);
+  return [base.clone().addScaledVector(across, height), base.clone().addScaledVector(across, -height)];
+}
+
+/**
+ * Gets the parameter of a point on an entity: 0..1 along a line, the angle
+ * travelled from the start of an arc, or the polar angle on a circle
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {Object} entity
+ * @param {THREE.Vector2} point
+ * @returns {number}
+ */
+function parameterOf(sketch, entity, point) {
+  if (entity.type === 'line') {
+    const start = toVector(sketch.getPoint(entity.p1));
+    const direction = toVector(sketch.getPoint(entity.p2)).sub(start);
+    return point.clone().sub(start).dot(direction) / direction.lengthSq();
+  }
+
+  const center = toVector(sketch.getPoint(entity.center));
+  const angle = Math.atan2(point.y - center.y, point.x - center.x);
+  if (entity.type === 'circle') return wrapAngle(angle);
+
+  const start = toVector(sketch.getPoint(entity.p1)).sub(center);
+  const travelled = angle - Math.atan2(start.y, start.x);
+  return wrapAngle(entity.clockwise ? -travelled : travelled);
+}
+
+/**
+ * Gets the parameter range an entity spans (see parameterOf)
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {Object} entity
+ * @returns {number}
+ */
+function spanOf(sketch, entity) {
+  if (entity.type === 'line') return 1;
+  if (entity.type === 'circle') return TWO_PI;
+  return parameterOf(sketch, entity, toVector(sketch.getPoint(entity.p2))) || TWO_PI;
+}
+
+/**
+ * Gets the point of an entity at a parameter (see parameterOf)
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {Object} entity
+ * @param {number} parameter
+ * @returns {THREE.Vector2}
+ */
+function pointAt(sketch, entity, parameter) {
+  if (entity.type === 'line') {
+    const start = toVector(sketch.getPoint(entity.p1));
+    return start.clone().lerp(toVector(sketch.getPoint(entity.p2)), parameter);
+  }
+
+  const { center, radius } = carrierOf(sketch, entity);
+  let angle = parameter;
+  if (entity.type === 'arc') {
+    const start = toVector(sketch.getPoint(entity.p1)).sub(center);
+    angle = Math.atan2(start.y, start.x) + (entity.clockwise ? -parameter : parameter);
+  }
+  return new THREE.Vector2(center.x + radius * Math.cos(angle), center.y + radius * Math.sin(angle));
+}
+
+/**
+ * Finds where other line, arc and circle entities cross an entity's carrier
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {Object} entity
+ * @returns {Array<THREE.Vector2>}
+ */
+function crossingsWith(sketch, entity) {
+  const carrier = carrierOf(sketch, entity);
+  return sketch.entities
+    .filter(other => other.id !== entity.id && ANALYTIC_TYPES.includes(other.type))
+    .flatMap(other => intersectCarriers(carrier, carrierOf(sketch, other))
+      .filter(point => {
+        // Keep the points that lie on the other entity itself, not just its carrier
+        const parameter = parameterOf(sketch, other, point);
+        const span = spanOf(sketch, other);
+        return other.type === 'circle' || (parameter > -EPSILON && parameter < span + EPSILON) ||
+          (other.type === 'arc' && parameter > TWO_PI - EPSILON);
+      }));
+}
+
+/**
+ * Drops the length constraints of a line whose length a tool changed
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {Object} entity
+ */
+function releaseLength(sketch, entity) {
+  sketch.constraints = sketch.constraints.filter(constraint => (
+    !LENGTH_TYPES.includes(constraint.type) || !constraint.refs.includes(entity.id) || entity.type !== 'line'
+  ));
+}
+
+/**
+ * Removes the piece of a line, arc or circle between the crossings around a picked
+ * point. An entity that nothing crosses is removed whole; a trimmed circle becomes an arc.
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {string} entityId
+ * @param {THREE.Vector2} pick - Point on the piece to remove, in sketch coordinates
+ * @returns {boolean} Whether the sketch changed
+ */
+export function trimEntity(sketch, entityId, pick) {
+  const entity = sketch.entities.find(item => item.id === entityId);
+  if (!entity || !ANALYTIC_TYPES.includes(entity.type)) {
+    console.warn('Only lines, arcs and circles can be trimmed');
+    return false;
+  }
+
+  const span = spanOf(sketch, entity);
+  const cuts = crossingsWith(sketch, entity)
+    .map(point => parameterOf(sketch, entity, point))
+    .filter(parameter => entity.type === 'circle' || (parameter > EPSILON && parameter < span - EPSILON))
+    .sort((a, b) => a - b)
+    .filter((parameter, i, sorted) => i === 0 || parameter - sorted[i - 1] > EPSILON);
+
+  if (cuts.length === 0 || (entity.type === 'circle' && cuts.length < 2)) {
+    return sketch.removeEntity(entity.id);
+  }
+
+  const picked = parameterOf(sketch, entity, pick);
+  const before = cuts.filter(parameter => parameter < picked).pop();
+  const after = cuts.find(parameter => parameter > picked);
+  const addPointAt = parameter => {
+    const point = pointAt(sketch, entity, parameter);
+    return sketch.addPoint(point.x, point.y);
+  };
+
+  if (entity.type === 'circle') {
+    // Keep the arc running counter-clockwise from the cut after the pick to the cut before it
+    const start = addPointAt(after ?? cuts[0]);
+    const end = addPointAt(before ?? cuts[cuts.length - 1]);
+    Object.assign(entity, { type: 'arc', p1: start.id, p2: end.id, clockwise: false });
+    delete entity.radius;
+  } else if (before === undefined) {
+    entity.p1 = addPointAt(after).id;
+  } else if (after === undefined) {
+    entity.p2 = addPointAt(before).id;
+  } else {
+    // Trimming the middle splits the entity in two
+    const restStart = addPointAt(after);
+    const rest = entity.type === 'line'
+      ? sketch.addLine(restStart, sketch.getPoint(entity.p2))
+      : sketch.addArc(restStart, sketch.getPoint(entity.p2), sketch.getPoint(entity.center), entity.clockwise);
+    entity.p2 = addPointAt(before).id;
+
+    // The direction of a line holds for both pieces
+    sketch.constraints
+      .filter(constraint => constraint.refs.length === 1 && ['horizontal', 'vertical'].includes(constraint.type) &&
+        constraint.refs[0] === entity.id)
+      .forEach(constraint => sketch.addConstraint(constraint.type, [rest.id]));
+  }
+
+  releaseLength(sketch, entity);
+  sketch.removeUnusedPoints();
+  return true;
+}
+
+/**
+ * Extends the free end of a line nearest a picked point up to the next entity it would cross
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {string} entityId
+ * @param {THREE.Vector2} pick - Point near the end to extend, in sketch coordinates
+ * @returns {boolean} Whether the line was extended
+ */
+export function extendLine(sketch, entityId, pick) {
+  const line = sketch.entities.find(item => item.id === entityId);
+  if (line?.type !== 'line') {
+    console.warn('Only lines can be extended');
+    return false;
+  }
+
+  const start = toVector(sketch.getPoint(line.p1));
+  const end = toVector(sketch.getPoint(line.p2));
+  const key = pick.distanceTo(start) < pick.distanceTo(end) ? 'p1' : 'p2';
+  const shared = sketch.entities.some(entity => (
+    entity.id !== line.id && [entity.p1, entity.p2, entity.center].includes(line[key])
+  ));
+  if (shared) {
+    console.warn('Only a free end of a line can be extended');
+    return false;
+  }
+
+  // Parameters beyond the picked end, nearest first
+  const beyond = crossingsWith(sketch, line)
+    .map(point => parameterOf(sketch, line, point))
+    .filter(parameter => (key === 'p2' ? parameter > 1 + EPSILON : parameter < -EPSILON))
+    .sort((a, b) => (key === 'p2' ? a - b : b - a));
+  if (beyond.length === 0) {
+    console.warn('Nothing to extend the line to');
+    return false;
+  }
+
+  const target = pointAt(sketch, line, beyond[0]);
+  Object.assign(sketch.getPoint(line[key]), { x: target.x, y: target.y });
+  releaseLength(sketch, line);
+  return true;
+}
+
+/**
+ * Adds a copy of a closed profile offset by a distance. Positive distances grow
+ * the profile, negative ones shrink it; corners are rejoined where the offset
+ * segments meet. Profiles with splines or beziers are not supported.
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {string} entityId - Any entity of the profile
+ * @param {number} distance
+ * @returns {Array<Object>|null} The new entities, or null if the profile cannot be offset
+ */
+export function offsetProfile(sketch, entityId, distance) {
+  const loop = sketch.getLoops().find(segments => segments.some(({ entity }) => entity.id === entityId));
+  if (!loop) {
+    console.warn('Pick an entity of a closed profile to offset');
+    return null;
+  }
+  if (!loop.every(({ entity }) => ANALYTIC_TYPES.includes(entity.type)) || Math.abs(distance) < EPSILON) {
+    console.warn('Only profiles made of lines, arcs and circles can be offset, by a non-zero distance');
+    return null;
+  }
+
+  if (loop[0].entity.type === 'circle') {
+    const { center, radius } = carrierOf(sketch, loop[0].entity);
+    if (radius + distance < EPSILON) {
+      console.warn('The offset is larger than the circle');
+      return null;
+    }
+    return [sketch.addCircle(sketch.addPoint(center.x, center.y), radius + distance)];
+  }
+
+  // Shift every segment to the right of the direction of travel on a counter-clockwise loop
+  const area = THREE.ShapeUtils.area(sketch.toPath(loop).getPoints(24));
+  const side = area > 0 ? distance : -distance;
+
+  const offsets = loop.map(({ entity, reversed }) => {
+    const [startId, endId] = reversed ? [entity.p2, entity.p1] : [entity.p1, entity.p2];
+    const start = toVector(sketch.getPoint(startId));
+    const end = toVector(sketch.getPoint(endId));
+
+    if (entity.type === 'line') {
+      const direction = end.clone().sub(start).normalize();
+      const shift = new THREE.Vector2(direction.y, -direction.x).multiplyScalar(side);
+      return { kind: 'line', start: start.add(shift), end: end.add(shift) };
+    }
+
+    // The center of an arc travelled counter-clockwise lies on its left
+    const clockwise = reversed ? !entity.clockwise : entity.clockwise;
+    const center = toVector(sketch.getPoint(entity.center));
+    const radius = center.distanceTo(start) + (clockwise ? -side : side);
+    const onCircle = point => center.clone().add(point.clone().sub(center).setLength(radius));
+    return { kind: 'circle', center, radius, clockwise, start: onCircle(start), end: onCircle(end) };
+  });
+  if (offsets.some(offset => offset.kind === 'circle' && offset.radius < EPSILON)) {
+    console.warn('The offset is larger than an arc of the profile');
+    return null;
+  }
+
+  // Each corner goes where the neighbouring offset segments meet, nearest their shifted ends
+  const corners = offsets.map((offset, i) => {
+    const previous = offsets[(i + offsets.length - 1) % offsets.length];
+    const expected = previous.end.clone().add(offset.start).multiplyScalar(0.5);
+    const candidates = intersectCarriers(previous, offset);
+    const corner = candidates.sort((a, b) => a.distanceTo(expected) - b.distanceTo(expected))[0] || expected;
+    return sketch.addPoint(corner.x, corner.y);
+  });
+
+  return offsets.map((offset, i) => {
+    const start = corners[i];
+    const end = corners[(i + 1) % corners.length];
+    if (offset.kind === 'line') return sketch.addLine(start, end);
+    return sketch.addArc(start, end, sketch.addPoint(offset.center.x, offset.center.y), offset.clockwise);
+  });
+}
+
+/**
+ * Finds the two lines meeting at a corner point, with their unit directions away from it
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {string} pointId
+ * @returns {Array<{line: Object, key: string, direction: THREE.Vector2, length: number}>|null}
+ */
+function cornerLines(sketch, pointId) {
+  const users = sketch.entities.filter(entity => (
+    [entity.p1, entity.p2, entity.center, entity.c1, entity.c2, ...(entity.through || [])].includes(pointId)
+  ));
+  if (users.length !== 2 || !users.every(entity => entity.type === 'line')) {
+    console.warn('Pick a corner point where exactly two lines meet');
+    return null;
+  }
+
+  const corner = toVector(sketch.getPoint(pointId));
+  return users.map(line => {
+    const key = line.p1 === pointId ? 'p1' : 'p2';
+    const away = toVector(sketch.getPoint(key === 'p1' ? line.p2 : line.p1)).sub(corner);
+    return { line, key, length: away.length(), direction: away.normalize() };
+  });
+}
+
+/**
+ * Replaces the corner of two lines by points set back along each line
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {string} pointId - The corner
+ * @param {Array<Object>} sides - From cornerLines
+ * @param {number} setback - Distance from the corner to each new end
+ * @returns {Array<Object>} The new end points of the two lines
+ */
+function cutCorner(sketch, pointId, sides, setback) {
+  const corner = toVector(sketch.getPoint(pointId));
+  const ends = sides.map(({ line, key, direction }) => {
+    const end = corner.clone().addScaledVector(direction, setback);
+    const point = sketch.addPoint(end.x, end.y);
+    line[key] = point.id;
+    releaseLength(sketch, line);
+    return point;
+  });
+  sketch.removeUnusedPoints();
+  return ends;
+}
+
+/**
+ * Rounds the corner between two lines with a tangent arc of a radius. The arc
+ * is kept tangent to both lines and its radius becomes a driving dimension.
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {string} pointId - Corner point shared by the two lines
+ * @param {number} radius
+ * @returns {Object|null} The new arc, or null if the corner cannot take the radius
+ */
+export function filletCorner(sketch, pointId, radius) {
+  const sides = cornerLines(sketch, pointId);
+  if (!sides || !(radius > 0)) return null;
+
+  const [first, second] = sides;
+  const angle = first.direction.angleTo(second.direction);
+  if (angle < EPSILON || Math.PI - angle < EPSILON) {
+    console.warn('The lines at the corner are parallel');
+    return null;
+  }
+
+  const setback = radius / Math.tan(angle / 2);
+  if (setback >= first.length - EPSILON || setback >= second.length - EPSILON) {
+    console.warn(`A fillet radius of ${radius} does not fit the corner`);
+    return null;
+  }
+
+  const bisector = first.direction.clone().add(second.direction).normalize();
+  const center = toVector(sketch.getPoint(pointId)).addScaledVector(bisector, radius / Math.sin(angle / 2));
+  const [start, end] = cutCorner(sketch, pointId, sides, setback);
+
+  const clockwise = toVector(start).sub(center).cross(toVector(end).sub(center)) < 0;
+  const arc = sketch.addArc(start, end, sketch.addPoint(center.x, center.y), clockwise);
+  sketch.addConstraint('tangent', [first.line.id, arc.id]);
+  sketch.addConstraint('tangent', [second.line.id, arc.id]);
+  sketch.addConstraint('radius', [arc.id], radius);
+  return arc;
+}
+
+/**
+ * Bevels the corner between two lines with a line set back the same distance along both
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {string} pointId - Corner point shared by the two lines
+ * @param {number} distance - Setback along each line
+ * @returns {Object|null} The new line, or null if the corner cannot take the distance
+ */
+export function chamferCorner(sketch, pointId, distance) {
+  const sides = cornerLines(sketch, pointId);
+  if (!sides || !(distance > 0)) return null;
+
+  if (sides.some(side => distance >= side.length - EPSILON)) {
+    console.warn(`A chamfer of ${distance} does not fit the corner`);
+    return null;
+  }
+
+  const [start, end] = cutCorner(sketch, pointId, sides, distance);
+  return sketch.addLine(start, end);
+}
+
+/**
+ * Adds the reflection of entities across a line of the sketch. Points lying on the
+ * line are shared by both halves, so half of a symmetric profile drawn up to the
+ * line closes into the whole profile. Constraints are not copied.
+ * @param {import('./Sketch').Sketch} sketch
+ * @param {string} lineId - The line reflected across
+ * @param {Array<string>} [entityIds] - Entities to mirror; every other entity when missing
+ * @returns {Array<Object>|null} The new entities, or null if there is no line or nothing to mirror
+ */
+export function mirrorEntities(sketch, lineId, entityIds = null) {
+  const line = sketch.entities.find(entity => entity.id === lineId && entity.type === 'line');
+  if (!line) {
+    console.warn('Pick a line to mirror across');
+    return null;
+  }
+
+  const { start, end } = carrierOf(sketch, line);
+  const direction = end.sub(start);
+  const entities = sketch.entities.filter(entity => entity.id !== lineId && (!entityIds || entityIds.includes(entity.id)));
+  if (direction.lengthSq() < EPSILON || entities.length === 0) {
+    console.warn('There is nothing to mirror, or the mirror line has no length');
+    return null;
+  }
+  direction.normalize();
+
+  const images = new Map();
+  const imageOf = id => {
+    if (!images.has(id)) {
+      const point = sketch.getPoint(id);
+      const offset = toVector(point).sub(start);
+      const image = start.clone().addScaledVector(direction, 2 * offset.dot(direction)).sub(offset);
+      images.set(id, image.distanceTo(toVector(point)) < 1e-6 ? point : sketch.addPoint(image.x, image.y));
+    }
+    return images.get(id);
+  };
+
+  // A reflection turns arcs the other way round
+  return entities.map(entity => {
+    switch (entity.type) {
+      case 'line':
+        return sketch.addLine(imageOf(entity.p1), imageOf(entity.p2));
+      case 'arc':
+        return sketch.addArc(imageOf(entity.p1), imageOf(entity.p2), imageOf(entity.center), !entity.clockwise);
+      case 'circle':
+        return sketch.addCircle(imageOf(entity.center), entity.radius);
+      case 'spline':
+        return sketch.addSpline(imageOf(entity.p1), imageOf(entity.p2), entity.through.map(imageOf));
+      default:
+        return sketch.addBezier(imageOf(entity.p1), imageOf(entity.p2), imageOf(entity.c1), imageOf(entity.c2));
+    }
+  });
+}
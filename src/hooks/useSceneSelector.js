@@ -0,0 +1,90 @@
+// src/hooks/useSceneSelector.js
+import { useCallback, useRef, useSyncExternalStore } from 'react';
+import { SCENE_EVENTS } from '../core/sceneEvents';
+
+// Plain arrays and objects are compared by content, anything else (meshes, vectors) by identity
+const isPlain = value => Array.isArray(value) ||
+  (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype);
+
+/**
+ * Compares two reads of scene data, e.g. the rows of an outliner: plain arrays and
+ * objects by their content, scene objects by identity
+ * @param {*} a - One read
+ * @param {*} b - The other read
+ * @returns {boolean} True if a panel would show them the same way
+ */
+export const sameSceneData = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (!isPlain(a) || !isPlain(b) || Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => Object.hasOwn(b, key) && sameSceneData(a[key], b[key]));
+};
+
+/**
+ * Compares two reads field by field, each by identity; cheaper than sameSceneData for reads
+ * made of flat values, e.g. what a panel shows of the selected object
+ * @param {Object} a - One read
+ * @param {Object} b - The other read
+ * @returns {boolean} True if every field is the same
+ */
+export const shallowEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (!a || !b) return false;
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => Object.is(a[key], b[key]));
+};
+
+/**
+ * Reads data from a scene manager and re-renders the component only when that data
+ * changes. The selector runs again after the manager dispatches SCENE_EVENTS; the events
+ * of one operation (a rebuild, grouping objects) are handled together once it finishes.
+ * @param {Object} sceneManager - Scene manager to read; one without events is read once
+ * @param {(sceneManager: Object) => *} selector - Reads the data; keep it stable (e.g. with useCallback)
+ *   so it only runs again when the scene changes
+ * @param {(a: *, b: *) => boolean} [isEqual=sameSceneData] - Whether two reads are the same data
+ * @returns {*} What the selector read, the same value as long as the data is equal
+ */
+export function useSceneSelector(sceneManager, selector, isEqual = sameSceneData) {
+  const cache = useRef(null);
+
+  const subscribe = useCallback(onChange => {
+    if (!sceneManager?.addEventListener) return () => {};
+
+    let active = true;
+    let scheduled = false;
+    const onEvent = () => {
+      if (scheduled) return;
+      scheduled = true;
+      queueMicrotask(() => {
+        scheduled = false;
+        if (active) onChange();
+      });
+    };
+
+    const types = Object.values(SCENE_EVENTS);
+    types.forEach(type => sceneManager.addEventListener(type, onEvent));
+    return () => {
+      active = false;
+      types.forEach(type => sceneManager.removeEventListener(type, onEvent));
+    };
+  }, [sceneManager]);
+
+  // Read again only after an event or with a new selector, and keep the last read while it is equal
+  const getSnapshot = () => {
+    const cached = cache.current;
+    const version = sceneManager?.version;
+    if (cached && cached.sceneManager === sceneManager && cached.version === version && cached.selector === selector) {
+      return cached.value;
+    }
+
+    const value = sceneManager ? selector(sceneManager) : undefined;
+    const stable = cached && isEqual(cached.value, value) ? cached.value : value;
+    cache.current = { sceneManager, version, selector, value: stable };
+    return stable;
+  };
+
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
@@ -1,12 +1,21 @@
 import * as THREE from 'three';
+import { SCENE_EVENTS } from '../core/sceneEvents';
 
-export class SceneManager {
+export class SceneManager extends THREE.EventDispatcher {
   constructor() {
+    super();
     this.scene = null;
     this.camera = null;
     this.renderer = null;
     this.objects = [];
     this.selectedObject = null;
+    this.version = 0;
+  }
+
+  // Dispatch one of the SCENE_EVENTS to the panels
+  notify(type, detail = {}) {
+    this.version++;
+    this.dispatchEvent({ type, ...detail });
   }
 
   init() {
@@ -53,6 +62,7 @@ export class SceneManager {
     if (object) {
       this.scene.add(object);
       this.objects.push(object);
+      this.notify(SCENE_EVENTS.OBJECT_ADDED, { object });
       this.selectObject(object);
       return object;
     }
@@ -65,10 +75,42 @@ export class SceneManager {
       this.objects = this.objects.filter(obj => obj !== object);
       if (this.selectedObject === object) {
         this.selectedObject = null;
+        this.notify(SCENE_EVENTS.SELECTION_CHANGED, { objects: [] });
       }
+      this.notify(SCENE_EVENTS.OBJECT_REMOVED, { object });
     }
   }
 
+  // Put objects into a new group pivoting on the center of their bounds, keeping their world transforms
+  groupObjects(objects, name = 'Group') {
+    if (!objects?.length) return null;
+
+    const center = new THREE.Box3();
+    objects.forEach(object => center.expandByObject(object));
+    const group = new THREE.Group();
+    group.name = name;
+    if (!center.isEmpty()) center.getCenter(group.position);
+    this.scene.add(group);
+    group.updateMatrixWorld();
+
+    objects.forEach(object => group.attach(object));
+    this.objects = [...this.objects.filter(object => !objects.includes(object)), group];
+    this.notify(SCENE_EVENTS.OBJECT_ADDED, { object: group });
+    return group;
+  }
+
+  // Move the members of a group back to the scene, keeping their world transforms, and remove the group
+  ungroupObject(group) {
+    if (!group?.isGroup) return [];
+
+    const members = [...group.children];
+    members.forEach(member => this.scene.attach(member));
+    this.removeObject(group);
+    this.objects.push(...members);
+    members.forEach(object => this.notify(SCENE_EVENTS.TRANSFORM_CHANGED, { object }));
+    return members;
+  }
+
   selectObject(object) {
     // Reset previously selected object's material if it exists
     if (this.selectedObject && this.selectedObject.userData.originalMaterial) {
@@ -86,6 +128,7 @@ export class SceneManager {
       });
       object.material = highlightMaterial;
     }
+    this.notify(SCENE_EVENTS.SELECTION_CHANGED, { objects: object ? [object] : [] });
   }
 
   update() {
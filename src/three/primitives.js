@@ -1,41 +1,39 @@
 import * as THREE from 'three';
 import { sceneManager } from './SceneManager';
+import { buildPrimitiveGeometry, getPrimitive } from '../core/primitiveRegistry';
 
+// Sizes the legacy scene gives shapes made without them, by registry type; they are smaller
+// than the registry defaults, and callers that leave params out rely on them
+const LEGACY_DEFAULTS = {
+  Box: { width: 1, height: 1, depth: 1 },
+  Sphere: { radius: 0.5, widthSegments: 32, heightSegments: 32 },
+  Cylinder: { radiusTop: 0.5, radiusBottom: 0.5, height: 1, radialSegments: 32 },
+  Torus: { radius: 0.5, tube: 0.2, radialSegments: 16, tubularSegments: 48 },
+  TorusKnot: { radius: 0.5, tube: 0.15, tubularSegments: 128, radialSegments: 16, p: 2, q: 3 },
+  Cone: { radius: 0.5, height: 1, radialSegments: 32 },
+  Plane: { width: 1, height: 1 },
+  Wedge: { width: 1, height: 1, depth: 1 },
+  Pyramid: { radius: 0.5, height: 1, sides: 4 },
+  Prism: { radius: 0.5, height: 1, sides: 6 },
+  Capsule: { radius: 0.25, length: 0.5, capSegments: 8, radialSegments: 16 },
+  Tube: { outerRadius: 0.5, innerRadius: 0.35, height: 1, radialSegments: 32 },
+  Helix: { radius: 0.5, tube: 0.05, pitch: 0.25, turns: 4, radialSegments: 8 }
+};
+
+// Geometry of a registered primitive; legacy lowercase types like 'box' are aliases of its type.
+// As before the registry, a missing or zero param takes the legacy default.
 const createGeometry = (type, params) => {
-  let geometry;
-  
-  switch (type) {
-    case 'box':
-      geometry = new THREE.BoxGeometry(
-        params.width || 1,
-        params.height || 1,
-        params.depth || 1
-      );
-      break;
-      
-    case 'sphere':
-      geometry = new THREE.SphereGeometry(
-        params.radius || 0.5,
-        params.widthSegments || 32,
-        params.heightSegments || 32
-      );
-      break;
-      
-    case 'cylinder':
-      geometry = new THREE.CylinderGeometry(
-        params.radiusTop || 0.5,
-        params.radiusBottom || 0.5,
-        params.height || 1,
-        params.radialSegments || 32
-      );
-      break;
-      
-    default:
-      console.warn(`Unknown geometry type: ${type}`);
-      return null;
+  const primitive = getPrimitive(type);
+  if (!primitive) {
+    console.warn(`Unknown geometry type: ${type}`);
+    return null;
   }
   
-  return geometry;
+  const values = { ...params };
+  Object.entries(LEGACY_DEFAULTS[primitive.type] || {}).forEach(([name, value]) => {
+    values[name] = params[name] || value;
+  });
+  return buildPrimitiveGeometry(type, values);
 };
 
 export const createPrimitive = (type, params = {}) => {
@@ -0,0 +1,10 @@
+/**
+ * Checks whether a key event goes to a field the user is typing in, so that editor
+ * shortcuts registered on the window leave its keys alone
+ * @param {EventTarget} target - The target of the key event
+ * @returns {boolean} True for inputs, text areas, selects and editable content
+ */
+export function isTextEntry(target) {
+  if (!target) return false;
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || Boolean(target.isContentEditable);
+}
@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { createBox, createSphere, createCylinder } from '../core/primitives';
+import { getPrimitive } from '../core/primitiveRegistry';
 
 /**
  * Exports the scene objects to a JSON string
@@ -10,10 +10,11 @@ export function exportSceneToJson(sceneManager) {
   const objects = [];
   
   for (const [id, meta] of sceneManager.objects.entries()) {
+    const primitive = getPrimitive(meta.type);
     const objData = {
       id: id,
       type: meta.type,
-      params: meta.params || {},
+      params: primitive ? primitive.serialize(meta.params) : meta.params || {},
       transform: {
         position: meta.mesh.position.toArray(),
         rotation: [
@@ -80,55 +81,35 @@ export async function importSceneFromJson(jsonString, sceneManager) {
       let newObj;
       const { type, params, transform, id, metadata = {} } = objData;
       
+      // Primitives are made from the registry, under their type or a legacy alias like 'box'
+      const primitive = getPrimitive(type);
+      
       // Create the appropriate object based on type
-      switch (type) {
-        case 'box':
-          newObj = await sceneManager.addBox({
-            ...params,
-            position: transform.position,
-            rotation: transform.rotation,
-            scale: transform.scale,
-            id
-          });
-          break;
-          
-        case 'sphere':
-          newObj = await sceneManager.addSphere({
-            ...params,
-            position: transform.position,
-            rotation: transform.rotation,
-            scale: transform.scale,
-            id
-          });
-          break;
-          
-        case 'cylinder':
-          newObj = await sceneManager.addCylinder({
-            ...params,
-            position: transform.position,
-            rotation: transform.rotation,
-            scale: transform.scale,
-            id
-          });
-          break;
-          
-        case 'extrude':
-          if (objData.shapePoints && objData.extrudeSettings) {
-            const points = objData.shapePoints.map(p => new THREE.Vector3().fromArray(p));
-            newObj = await sceneManager.addExtrude({
-              shapePoints: points,
-              extrudeSettings: objData.extrudeSettings,
-              position: transform.position,
-              rotation: transform.rotation,
-              scale: transform.scale,
-              id
-            });
-          }
-          break;
-          
-        default:
-          console.warn(`Unsupported object type: ${type}`);
-          continue;
+      if (primitive) {
+        newObj = await sceneManager.addPrimitive(primitive.type, {
+          ...primitive.deserialize(params),
+          position: transform.position
+        });
+      } else {
+        switch (type) {
+          case 'extrude':
+            if (objData.shapePoints && objData.extrudeSettings) {
+              const points = objData.shapePoints.map(p => new THREE.Vector3().fromArray(p));
+              newObj = await sceneManager.addExtrude({
+                shapePoints: points,
+                extrudeSettings: objData.extrudeSettings,
+                position: transform.position,
+                rotation: transform.rotation,
+                scale: transform.scale,
+                id
+              });
+            }
+            break;
+            
+          default:
+            console.warn(`Unsupported object type: ${type}`);
+            continue;
+        }
       }
       
       if (newObj) {
@@ -196,9 +177,3 @@ export async function handleFileUpload(event, sceneManager) {
     reader.readAsText(file);
   });
 }
-    return true;
-  } catch (error) {
-    console.error('Error importing scene:', error);
-    return false;
-  }
-};
@@ -0,0 +1,123 @@
+import * as THREE from 'three';
+
+const EPSILON = 1e-9;
+
+/**
+ * Computes the arc that leaves a point along a tangent and ends at another point
+ * @param {THREE.Vector2} start - Start point of the arc
+ * @param {THREE.Vector2} tangent - Unit direction of travel at the start point
+ * @param {THREE.Vector2} end - End point of the arc
+ * @returns {{center: THREE.Vector2, clockwise: boolean}|null} Null when the points are collinear
+ */
+export function tangentArc(start, tangent, end) {
+  const chord = new THREE.Vector2().subVectors(end, start);
+  const normal = new THREE.Vector2(-tangent.y, tangent.x);
+  const projection = chord.dot(normal);
+
+  if (Math.abs(projection) < EPSILON) return null;
+
+  const signedRadius = chord.lengthSq() / (2 * projection);
+  return {
+    center: start.clone().addScaledVector(normal, signedRadius),
+    clockwise: signedRadius < 0
+  };
+}
+
+/**
+ * Computes the arc that runs from start through a middle point to end
+ * @param {THREE.Vector2} start
+ * @param {THREE.Vector2} through
+ * @param {THREE.Vector2} end
+ * @returns {{center: THREE.Vector2, clockwise: boolean}|null} Null when the points are collinear
+ */
+export function arcThroughPoints(start, through, end) {
+  const ax = start.x, ay = start.y;
+  const bx = through.x, by = through.y;
+  const cx = end.x, cy = end.y;
+  const d = 2 * (ax * (by - cy) + bx * (cy - ay) + cx * (ay - by));
+
+  if (Math.abs(d) < EPSILON) return null;
+
+  const a2 = ax * ax + ay * ay;
+  const b2 = bx * bx + by * by;
+  const c2 = cx * cx + cy * cy;
+  const center = new THREE.Vector2(
+    (a2 * (by - cy) + b2 * (cy - ay) + c2 * (ay - by)) / d,
+    (a2 * (cx - bx) + b2 * (ax - cx) + c2 * (bx - ax)) / d
+  );
+
+  // Travelling start -> through -> end turns left for a counter-clockwise arc
+  const turn = (bx - ax) * (cy - by) - (by - ay) * (cx - bx);
+  return { center, clockwise: turn < 0 };
+}
+
+/**
+ * Gets the unit tangent at the end of a sketch entity, in the direction of travel
+ * @param {import('../core/Sketch').Sketch} sketch - Sketch owning the entity
+ * @param {Object} entity - Line, arc, spline or bezier entity
+ * @returns {THREE.Vector2}
+ */
+export function endTangent(sketch, entity) {
+  const toVector = id => {
+    const point = sketch.getPoint(id);
+    return new THREE.Vector2(point.x, point.y);
+  };
+  const end = toVector(entity.p2);
+  let tangent;
+
+  switch (entity.type) {
+    case 'arc': {
+      const radius = end.clone().sub(toVector(entity.center));
+      tangent = entity.clockwise
+        ? new THREE.Vector2(radius.y, -radius.x)
+        : new THREE.Vector2(-radius.y, radius.x);
+      break;
+    }
+    case 'spline': {
+      const points = [entity.p1, ...entity.through, entity.p2].map(toVector);
+      tangent = new THREE.SplineCurve(points).getTangent(1);
+      break;
+    }
+    case 'bezier':
+      tangent = end.clone().sub(toVector(entity.c2));
+      if (tangent.lengthSq() < EPSILON) {
+        tangent = end.clone().sub(toVector(entity.c1));
+      }
+      break;
+    default:
+      tangent = end.clone().sub(toVector(entity.p1));
+  }
+
+  return tangent.lengthSq() < EPSILON ? new THREE.Vector2(1, 0) : tangent.normalize();
+}
+
+/**
+ * Tests whether a point lies inside a closed polygon (even-odd rule)
+ * @param {THREE.Vector2} point
+ * @param {Array<THREE.Vector2>} polygon - Polygon vertices; the closing edge is implied
+ * @returns {boolean}
+ */
+export function pointInPolygon(point, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Tests whether one closed polygon lies fully inside another
+ * @param {Array<THREE.Vector2>} outer
+ * @param {Array<THREE.Vector2>} inner
+ * @returns {boolean}
+ */
+export function polygonContains(outer, inner) {
+  return inner.length > 0 && inner.every(point => pointInPolygon(point, outer));
+}